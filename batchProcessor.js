@@ -0,0 +1,275 @@
+// Batch Processing for Image Processing Application
+// Runs every stage with the current slider settings over a multi-file or folder
+// selection, keeps each panel's output per file and exports the results per stage.
+class BatchProcessor {
+    constructor() {
+        this.isRunning = false;
+        this.cancelRequested = false;
+        this.results = [];   // [{ name, stages: { canvasType: Blob } }]
+        this.errors = [];    // [{ name, message }]
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        const filesBtn = document.getElementById('batchFilesBtn');
+        const folderBtn = document.getElementById('batchFolderBtn');
+        const filesInput = document.getElementById('batchFileInput');
+        const folderInput = document.getElementById('batchFolderInput');
+
+        if (filesBtn && filesInput) {
+            filesBtn.addEventListener('click', () => filesInput.click());
+        }
+        if (folderBtn && folderInput) {
+            folderBtn.addEventListener('click', () => folderInput.click());
+        }
+
+        [filesInput, folderInput].forEach(input => {
+            if (!input) return;
+            input.addEventListener('change', (e) => {
+                const files = Array.from(e.target.files || []);
+                e.target.value = '';
+                if (files.length > 0) {
+                    this.run(files);
+                }
+            });
+        });
+
+        const cancelBtn = document.getElementById('batchCancelBtn');
+        if (cancelBtn) {
+            cancelBtn.addEventListener('click', () => {
+                this.cancel();
+            });
+        }
+
+        const exportBtn = document.getElementById('batchExportBtn');
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => {
+                this.exportResults();
+            });
+        }
+
+        this.updateButtons();
+    }
+
+    // Display name including the folder path when a directory was selected
+    getFileName(file) {
+        return file.webkitRelativePath || file.name;
+    }
+
+    async run(files) {
+        if (this.isRunning) {
+            uiController.updateStatusText('A batch is already running');
+            return;
+        }
+
+        // Live mode would overwrite each file with camera frames
+        if (liveModeController && liveModeController.isLive) {
+            liveModeController.stop();
+        }
+
+        const supported = [];
+        this.results = [];
+        this.errors = [];
+        this.clearErrorList();
+
+        files.forEach(file => {
+            if (imageInputController.isSupported(file)) {
+                supported.push(file);
+            } else {
+                this.recordError(this.getFileName(file), 'Unsupported file type');
+            }
+        });
+        supported.sort((a, b) => this.getFileName(a).localeCompare(this.getFileName(b)));
+
+        console.log(`=== BATCH PROCESSING ${supported.length} FILE(S) ===`);
+        this.isRunning = true;
+        this.cancelRequested = false;
+        this.updateButtons();
+
+        for (let i = 0; i < supported.length; i++) {
+            if (this.cancelRequested) break;
+
+            const file = supported[i];
+            const name = this.getFileName(file);
+            this.updateProgress(i, supported.length, `Processing ${name}`);
+
+            try {
+                const stages = await this.processFile(file);
+                this.results.push({ name, stages });
+            } catch (error) {
+                console.error(`Batch error for ${name}:`, error);
+                this.recordError(name, error.message);
+            }
+        }
+
+        this.isRunning = false;
+        this.updateButtons();
+
+        const summary = `${this.cancelRequested ? 'Batch cancelled' : 'Batch complete'}: ` +
+                        `${this.results.length} processed, ${this.errors.length} failed`;
+        this.updateProgress(supported.length, supported.length, summary);
+        uiController.updateStatusText(summary);
+    }
+
+    // Run one file through every stage and collect each panel as a PNG blob
+    async processFile(file) {
+        const img = await imageInputController.decodeFile(file);
+
+        imageInputController.setSource(img, file.name);
+        capturedImage = imageInputController.fitToResolution(img);
+        displayImageOnCanvas(capturedImage, 'original');
+
+        const source = imageProcessor.toSourceBuffer(capturedImage);
+        processingPipeline.setInput('source', source);
+        await runPipeline(source);
+        await processFaceDetection();
+
+        const stages = {};
+        for (const type of Object.keys(canvases)) {
+            const canvas = document.getElementById(`canvas_${type}`);
+            if (canvas) {
+                stages[type] = await this.canvasToBlob(canvas);
+            }
+        }
+        return stages;
+    }
+
+    canvasToBlob(canvas) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error('Could not encode panel'));
+                }
+            }, 'image/png');
+        });
+    }
+
+    cancel() {
+        if (this.isRunning) {
+            this.cancelRequested = true;
+            uiController.updateStatusText('Cancelling batch after the current file...');
+        }
+    }
+
+    // Output file name for one stage of one input, without folders or extension
+    getBaseName(name) {
+        return name.replace(/^.*[\\/]/, '').replace(/\.[^.]+$/, '');
+    }
+
+    // Write one folder per stage when the File System Access API is available,
+    // otherwise download every file with the stage in its name
+    async exportResults() {
+        if (this.results.length === 0) {
+            uiController.updateStatusText('No batch results to export');
+            return;
+        }
+
+        try {
+            if (typeof window.showDirectoryPicker === 'function') {
+                await this.exportToDirectory();
+            } else {
+                this.exportAsDownloads();
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') return; // Directory picker dismissed
+            console.error('Error exporting batch results:', error);
+            uiController.updateStatusText('Error exporting batch results: ' + error.message);
+        }
+    }
+
+    async exportToDirectory() {
+        const root = await window.showDirectoryPicker({ mode: 'readwrite' });
+        let written = 0;
+
+        for (const type of Object.keys(canvases)) {
+            const stageDir = await root.getDirectoryHandle(type, { create: true });
+
+            for (const result of this.results) {
+                if (!result.stages[type]) continue;
+
+                const fileHandle = await stageDir.getFileHandle(`${this.getBaseName(result.name)}.png`, { create: true });
+                const writable = await fileHandle.createWritable();
+                await writable.write(result.stages[type]);
+                await writable.close();
+                written++;
+            }
+        }
+
+        uiController.updateStatusText(`Exported ${written} images into ${Object.keys(canvases).length} stage folders`);
+    }
+
+    exportAsDownloads() {
+        let downloaded = 0;
+
+        Object.keys(canvases).forEach(type => {
+            this.results.forEach(result => {
+                const blob = result.stages[type];
+                if (!blob) return;
+
+                const url = URL.createObjectURL(blob);
+                const link = document.createElement('a');
+                link.download = `${type}_${this.getBaseName(result.name)}.png`;
+                link.href = url;
+                document.body.appendChild(link);
+                link.click();
+                document.body.removeChild(link);
+                setTimeout(() => URL.revokeObjectURL(url), 1000);
+                downloaded++;
+            });
+        });
+
+        uiController.updateStatusText(`Downloaded ${downloaded} batch images`);
+    }
+
+    updateProgress(done, total, text) {
+        const progress = document.getElementById('batchProgress');
+        if (progress) {
+            progress.max = Math.max(1, total);
+            progress.value = done;
+        }
+
+        const status = document.getElementById('batchStatus');
+        if (status) {
+            status.textContent = `${text} (${done}/${total})`;
+        }
+    }
+
+    recordError(name, message) {
+        this.errors.push({ name, message });
+
+        const list = document.getElementById('batchErrors');
+        if (list) {
+            const item = document.createElement('li');
+            item.textContent = `${name}: ${message}`;
+            list.appendChild(item);
+        }
+    }
+
+    clearErrorList() {
+        const list = document.getElementById('batchErrors');
+        if (list) {
+            list.innerHTML = '';
+        }
+    }
+
+    updateButtons() {
+        ['batchFilesBtn', 'batchFolderBtn'].forEach(id => {
+            const btn = document.getElementById(id);
+            if (btn) btn.disabled = this.isRunning;
+        });
+
+        const cancelBtn = document.getElementById('batchCancelBtn');
+        if (cancelBtn) cancelBtn.disabled = !this.isRunning;
+
+        const exportBtn = document.getElementById('batchExportBtn');
+        if (exportBtn) exportBtn.disabled = this.isRunning || this.results.length === 0;
+    }
+}
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BatchProcessor;
+}
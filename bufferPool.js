@@ -0,0 +1,115 @@
+// Buffer Pool for Image Processing Application
+// Reuses p5 graphics, canvases and images keyed by purpose and size instead of
+// allocating new ones on every capture, slider tick and detection.
+class BufferPool {
+    constructor(maxSizesPerPurpose = 2) {
+        this.maxSizesPerPurpose = maxSizesPerPurpose; // Older sizes of a purpose are freed
+        this.entries = new Map(); // purpose -> Map(sizeKey -> { kind, resource })
+        this.createdCount = 0;
+        this.reusedCount = 0;
+    }
+
+    // Get a p5 graphics buffer for this purpose and size, creating it only when needed
+    acquireGraphics(purpose, width, height) {
+        return this.acquire(purpose, 'graphics', width, height, () => safeCreateGraphics(width, height), (graphics) => {
+            graphics.clear();
+        });
+    }
+
+    // Get a plain 2D canvas for this purpose and size
+    acquireCanvas(purpose, width, height) {
+        return this.acquire(purpose, 'canvas', width, height, () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            return canvas;
+        }, (canvas) => {
+            canvas.getContext('2d').clearRect(0, 0, width, height);
+        });
+    }
+
+    // Get a reusable Image element for this purpose
+    acquireImage(purpose) {
+        return this.acquire(purpose, 'image', 0, 0, () => new Image(), null);
+    }
+
+    acquire(purpose, kind, width, height, create, reset) {
+        let sizes = this.entries.get(purpose);
+        if (!sizes) {
+            sizes = new Map();
+            this.entries.set(purpose, sizes);
+        }
+
+        const sizeKey = `${kind}:${width}x${height}`;
+        const existing = sizes.get(sizeKey);
+        if (existing) {
+            // Move to the end so the least recently used size is evicted first
+            sizes.delete(sizeKey);
+            sizes.set(sizeKey, existing);
+            if (reset) reset(existing.resource);
+            this.reusedCount++;
+            return existing.resource;
+        }
+
+        const resource = create();
+        if (!resource) return null; // Creation failed; caller handles null
+
+        sizes.set(sizeKey, { kind, resource });
+        this.createdCount++;
+
+        // Free the least recently used sizes beyond the limit
+        while (sizes.size > this.maxSizesPerPurpose) {
+            const oldestKey = sizes.keys().next().value;
+            this.destroy(sizes.get(oldestKey));
+            sizes.delete(oldestKey);
+        }
+
+        return resource;
+    }
+
+    // Free every buffer held for a purpose
+    release(purpose) {
+        const sizes = this.entries.get(purpose);
+        if (!sizes) return;
+
+        sizes.forEach(entry => this.destroy(entry));
+        this.entries.delete(purpose);
+    }
+
+    // Free everything, e.g. after the processing resolution changes
+    clear() {
+        Array.from(this.entries.keys()).forEach(purpose => this.release(purpose));
+    }
+
+    destroy(entry) {
+        try {
+            if (entry.kind === 'graphics' && typeof entry.resource.remove === 'function') {
+                entry.resource.remove();
+            } else if (entry.kind === 'canvas') {
+                // Shrinking releases the backing store immediately
+                entry.resource.width = 0;
+                entry.resource.height = 0;
+            } else if (entry.kind === 'image') {
+                entry.resource.onload = null;
+                entry.resource.onerror = null;
+                entry.resource.src = '';
+            }
+        } catch (error) {
+            console.error("Error releasing pooled buffer:", error);
+        }
+    }
+
+    // Number of buffers currently held by the pool
+    get liveCount() {
+        let count = 0;
+        this.entries.forEach(sizes => {
+            count += sizes.size;
+        });
+        return count;
+    }
+}
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BufferPool;
+}
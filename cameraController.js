@@ -0,0 +1,188 @@
+// Camera Selection for Image Processing Application
+// Opens the webcam with user-chosen device, resolution, frame rate and facing mode,
+// and switches cameras live by swapping the stream on the existing video element.
+class CameraController {
+    constructor(onReady) {
+        this.onReady = onReady;    // Called once the first stream is playing
+        this.stream = null;
+        this.devices = [];
+        this.hasStarted = false;
+
+        // Requested settings; empty values leave the choice to the browser
+        this.settings = {
+            deviceId: '',
+            resolution: '',
+            frameRate: '',
+            facingMode: ''
+        };
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        const selects = {
+            deviceId: 'cameraDeviceSelect',
+            resolution: 'cameraResolutionSelect',
+            frameRate: 'cameraFrameRateSelect',
+            facingMode: 'cameraFacingSelect'
+        };
+
+        Object.keys(selects).forEach(setting => {
+            const select = document.getElementById(selects[setting]);
+            if (select) {
+                select.addEventListener('change', (e) => {
+                    this.settings[setting] = e.target.value;
+                    if (setting === 'facingMode') {
+                        // Let the browser pick the camera facing the requested way
+                        this.settings.deviceId = '';
+                    }
+                    this.start();
+                });
+            }
+        });
+
+        // Cameras plugged in or removed while the page is open
+        if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+            navigator.mediaDevices.addEventListener('devicechange', () => {
+                this.refreshDevices();
+            });
+        }
+    }
+
+    // Build getUserMedia constraints from the current settings
+    getConstraints() {
+        const videoConstraints = {};
+
+        if (this.settings.deviceId) {
+            videoConstraints.deviceId = { exact: this.settings.deviceId };
+        } else if (this.settings.facingMode) {
+            // A specific device already implies its facing mode
+            videoConstraints.facingMode = { ideal: this.settings.facingMode };
+        }
+
+        if (this.settings.resolution) {
+            const [width, height] = this.settings.resolution.split('x').map(Number);
+            videoConstraints.width = { ideal: width };
+            videoConstraints.height = { ideal: height };
+        }
+
+        if (this.settings.frameRate) {
+            videoConstraints.frameRate = { ideal: parseInt(this.settings.frameRate) };
+        }
+
+        return {
+            video: Object.keys(videoConstraints).length > 0 ? videoConstraints : true,
+            audio: false
+        };
+    }
+
+    // Open (or reopen) the camera with the current settings
+    async start() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+            uiController.updateStatusText('Camera error: this browser does not support camera access');
+            return false;
+        }
+
+        const constraints = this.getConstraints();
+        console.log("Requesting camera with constraints:", constraints);
+
+        try {
+            const stream = await navigator.mediaDevices.getUserMedia(constraints);
+
+            // Only release the old camera once the new one opened, so a failed switch keeps the stream
+            this.stopStream();
+            this.stream = stream;
+            video.elt.srcObject = stream;
+            await video.elt.play();
+
+            this.describeActiveCamera();
+            this.refreshDevices();
+
+            if (!this.hasStarted) {
+                this.hasStarted = true;
+                if (this.onReady) this.onReady();
+            }
+            return true;
+        } catch (error) {
+            console.error("Camera error:", error);
+            uiController.updateStatusText('Camera error: ' + this.describeError(error));
+            return false;
+        }
+    }
+
+    stopStream() {
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+    }
+
+    describeError(error) {
+        switch (error.name) {
+            case 'NotAllowedError':
+                return 'permission denied - allow camera access in the browser';
+            case 'NotFoundError':
+                return 'no camera found';
+            case 'NotReadableError':
+                return 'camera is in use by another application';
+            case 'OverconstrainedError':
+                return `the selected camera does not support ${error.constraint || 'these settings'}`;
+            default:
+                return error.message || error.name;
+        }
+    }
+
+    // Report what the browser actually granted, which may differ from the request
+    describeActiveCamera() {
+        const track = this.stream ? this.stream.getVideoTracks()[0] : null;
+        if (!track) return;
+
+        const actual = track.getSettings ? track.getSettings() : {};
+        if (actual.deviceId) {
+            this.settings.deviceId = actual.deviceId;
+        }
+
+        const details = [];
+        if (actual.width && actual.height) details.push(`${actual.width}x${actual.height}`);
+        if (actual.frameRate) details.push(`${Math.round(actual.frameRate)} FPS`);
+        uiController.updateStatusText(`Camera: ${track.label || 'default'}${details.length ? ' (' + details.join(', ') + ')' : ''}`);
+    }
+
+    // Fill the device dropdown; labels are only available after permission was granted
+    async refreshDevices() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return;
+
+        try {
+            const devices = await navigator.mediaDevices.enumerateDevices();
+            this.devices = devices.filter(device => device.kind === 'videoinput');
+        } catch (error) {
+            console.error("Error listing cameras:", error);
+            return;
+        }
+
+        const select = document.getElementById('cameraDeviceSelect');
+        if (!select) return;
+
+        select.innerHTML = '';
+        const defaultOption = document.createElement('option');
+        defaultOption.value = '';
+        defaultOption.textContent = 'Default camera';
+        select.appendChild(defaultOption);
+
+        this.devices.forEach((device, index) => {
+            const option = document.createElement('option');
+            option.value = device.deviceId;
+            option.textContent = device.label || `Camera ${index + 1}`;
+            select.appendChild(option);
+        });
+
+        select.value = this.devices.some(device => device.deviceId === this.settings.deviceId) ?
+            this.settings.deviceId : '';
+        console.log(`Found ${this.devices.length} camera(s)`);
+    }
+}
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CameraController;
+}
@@ -0,0 +1,107 @@
+// Color Editing for Image Processing Application
+// Hue shift, chroma and lightness edits made in HSV, HSL, Lab or LCh and converted back
+// to real RGB for the 'Color Edit' panel, plus a table of how accurately each color
+// space panel's 0-255 encoding converts back to the captured image (ΔE).
+class ColorEditPanel {
+    constructor() {
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        [
+            { id: 'editHueShift', format: value => `${value}°` },
+            { id: 'editChromaScale', format: value => `${value}%` },
+            { id: 'editLightnessScale', format: value => `${value}%` }
+        ].forEach(({ id, format }) => {
+            const slider = document.getElementById(id);
+            const valueSpan = document.getElementById(`${id}Value`);
+            if (slider) {
+                slider.addEventListener('input', (e) => {
+                    if (valueSpan) {
+                        valueSpan.textContent = format(e.target.value);
+                    }
+                    this.paramsChanged();
+                });
+            }
+        });
+
+        const spaceSelect = document.getElementById('editSpace');
+        if (spaceSelect) {
+            spaceSelect.addEventListener('change', () => {
+                this.paramsChanged();
+            });
+        }
+
+        const resetBtn = document.getElementById('editResetBtn');
+        if (resetBtn) {
+            resetBtn.addEventListener('click', () => {
+                this.reset();
+            });
+        }
+
+        const reportToggle = document.getElementById('roundTripToggle');
+        if (reportToggle) {
+            reportToggle.addEventListener('change', () => {
+                if (!reportToggle.checked) {
+                    this.showReport(null);
+                }
+                this.paramsChanged();
+            });
+        }
+    }
+
+    paramsChanged() {
+        if (capturedImage) {
+            uiController.updateProcessing();
+        }
+    }
+
+    // Pipeline parameters for the 'colorEdit' and 'roundTrip' stages
+    getParams() {
+        return {
+            editSpace: document.getElementById('editSpace')?.value || 'hsv',
+            editHueShift: parseInt(document.getElementById('editHueShift')?.value || 0),
+            editChromaScale: parseInt(document.getElementById('editChromaScale')?.value || 100) / 100,
+            editLightnessScale: parseInt(document.getElementById('editLightnessScale')?.value || 100) / 100,
+            roundTripReport: document.getElementById('roundTripToggle')?.checked || false
+        };
+    }
+
+    reset() {
+        [
+            { id: 'editHueShift', value: 0, text: '0°' },
+            { id: 'editChromaScale', value: 100, text: '100%' },
+            { id: 'editLightnessScale', value: 100, text: '100%' }
+        ].forEach(({ id, value, text }) => {
+            const slider = document.getElementById(id);
+            const valueSpan = document.getElementById(`${id}Value`);
+            if (slider) slider.value = value;
+            if (valueSpan) valueSpan.textContent = text;
+        });
+        uiController.updateStatusText('Color edits reset');
+        this.paramsChanged();
+    }
+
+    // Called with the 'roundTrip' stage result; null while the report is switched off
+    showReport(report) {
+        const table = document.getElementById('roundTripTable');
+        if (!table) return;
+
+        if (!report) {
+            table.innerHTML = '';
+            return;
+        }
+
+        let html = '<tr><th>Color space</th><th>Mean ΔE</th><th>Max ΔE</th></tr>';
+        Object.keys(report).forEach(spaceKey => {
+            const row = report[spaceKey];
+            html += `<tr><td>${row.name}</td><td>${row.meanDeltaE.toFixed(2)}</td><td>${row.maxDeltaE.toFixed(2)}</td></tr>`;
+        });
+        table.innerHTML = html;
+    }
+}
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ColorEditPanel;
+}
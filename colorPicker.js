@@ -0,0 +1,239 @@
+// Click-to-Pick Color Segmentation for Image Processing Application
+// With "Pick colors" on, clicking a pixel in any panel seeds a color range around it
+// (shift-click adds more samples); the pipeline shows the matching pixels in the 'Picked Color Mask' panel,
+// which can also limit the face filter or be exported as a transparent cutout.
+class ColorPickController {
+    constructor() {
+        this.samples = [];         // picked {r, g, b} pixels
+        this.space = 'hsv';
+        this.tolerance = 10;
+        this.limitFaceFilter = false;
+        this.pickingEnabled = false; // Grid clicks only pick while the toggle is on
+
+        this.setupEventListeners();
+        this.updateInfo();
+    }
+
+    setupEventListeners() {
+        // Every grid panel shares the processing resolution, so any of them can be clicked
+        const grid = document.getElementById('imageGrid');
+        if (grid) {
+            grid.addEventListener('click', (e) => {
+                if (!this.pickingEnabled || e.target.tagName !== 'CANVAS') return;
+                const canvas = e.target;
+                const x = Math.floor(e.offsetX * canvas.width / canvas.clientWidth);
+                const y = Math.floor(e.offsetY * canvas.height / canvas.clientHeight);
+                this.pick(x, y, e.shiftKey);
+            });
+        }
+
+        const pickToggle = document.getElementById('pickModeToggle');
+        if (pickToggle) {
+            pickToggle.addEventListener('change', (e) => {
+                this.setPicking(e.target.checked);
+            });
+        }
+
+        const spaceSelect = document.getElementById('colorPickSpace');
+        if (spaceSelect) {
+            spaceSelect.addEventListener('change', (e) => {
+                this.space = e.target.value;
+                this.rangesChanged();
+            });
+        }
+
+        const toleranceSlider = document.getElementById('pickTolerance');
+        if (toleranceSlider) {
+            toleranceSlider.addEventListener('input', (e) => {
+                this.tolerance = parseInt(e.target.value);
+                const valueSpan = document.getElementById('pickToleranceValue');
+                if (valueSpan) valueSpan.textContent = this.tolerance;
+                this.rangesChanged();
+            });
+        }
+
+        const faceFilterToggle = document.getElementById('pickMaskFaceFilter');
+        if (faceFilterToggle) {
+            faceFilterToggle.addEventListener('change', (e) => {
+                this.limitFaceFilter = e.target.checked;
+                if (capturedImage) {
+                    processFaceDetection();
+                }
+            });
+        }
+
+        const copyBtn = document.getElementById('pickToRangesBtn');
+        if (copyBtn) {
+            copyBtn.addEventListener('click', () => {
+                this.copyToRangeSliders();
+            });
+        }
+
+        const clearBtn = document.getElementById('pickClearBtn');
+        if (clearBtn) {
+            clearBtn.addEventListener('click', () => {
+                this.clear();
+            });
+        }
+
+        const cutoutBtn = document.getElementById('pickCutoutBtn');
+        if (cutoutBtn) {
+            cutoutBtn.addEventListener('click', () => {
+                this.exportCutout();
+            });
+        }
+    }
+
+    // Turn grid-click picking on or off; the crosshair cursor shows when it is on
+    setPicking(enabled) {
+        this.pickingEnabled = enabled;
+        const grid = document.getElementById('imageGrid');
+        if (grid) {
+            grid.classList.toggle('picking', enabled);
+        }
+        this.updateInfo();
+    }
+
+    // Sample the source pixel under a click; extend adds to the existing samples
+    pick(x, y, extend) {
+        const source = processingPipeline.get('source');
+        if (!source) {
+            uiController.updateStatusText('Capture an image before picking a color');
+            return;
+        }
+        if (x < 0 || y < 0 || x >= source.width || y >= source.height) return;
+
+        const i = (y * source.width + x) * 4;
+        const sample = { r: source.data[i], g: source.data[i + 1], b: source.data[i + 2] };
+        this.samples = extend ? this.samples.concat([sample]) : [sample];
+
+        console.log(`Picked color at (${x}, ${y}):`, sample, `${this.samples.length} sample(s)`);
+        uiController.updateStatusText(extend ?
+            `Color range extended (${this.samples.length} samples)` : `Picked color at (${x}, ${y})`);
+        this.rangesChanged();
+    }
+
+    // Ranges around every sample in natural units, or null when nothing is picked
+    getRanges() {
+        if (this.samples.length === 0) return null;
+        const values = this.samples.map(sample => COLOR_SPACES[this.space].fromRgb(sample.r, sample.g, sample.b));
+        return colorRangesAroundSamples(this.space, values, this.tolerance);
+    }
+
+    rangesChanged() {
+        this.updateInfo();
+        if (capturedImage) {
+            uiController.updateProcessing();
+            if (this.limitFaceFilter) {
+                processFaceDetection();
+            }
+        }
+    }
+
+    updateInfo() {
+        const info = document.getElementById('pickInfo');
+        if (!info) return;
+
+        if (this.samples.length === 0) {
+            info.textContent = this.pickingEnabled ?
+                'Click a panel to pick a color, shift-click to add more' :
+                'Turn on "Pick colors", then click a panel to pick a color';
+            return;
+        }
+
+        const { r, g, b } = this.samples[this.samples.length - 1];
+        const hsv = COLOR_SPACES.hsv.fromRgb(r, g, b);
+        const lab = COLOR_SPACES.lab.fromRgb(r, g, b);
+        const space = COLOR_SPACES[this.space];
+        const ranges = this.getRanges();
+        const rangeText = space.components.map(component => {
+            const range = ranges[component.key];
+            return `${component.label} ${range.min}–${range.max}${component.unit}`;
+        }).join(', ');
+
+        info.textContent = `RGB(${r}, ${g}, ${b}) · HSV(${hsv.h}°, ${Math.round(hsv.s)}%, ${Math.round(hsv.v)}%) · ` +
+                           `Lab(${Math.round(lab.l)}, ${Math.round(lab.a)}, ${Math.round(lab.b)}) · ` +
+                           `${this.samples.length} sample(s): ${rangeText}`;
+    }
+
+    clear() {
+        this.samples = [];
+        uiController.updateStatusText('Picked colors cleared');
+        this.rangesChanged();
+    }
+
+    // Seed the range sliders of the current space from the picked colors
+    copyToRangeSliders() {
+        const ranges = this.getRanges();
+        if (!ranges) {
+            uiController.updateStatusText('Pick a color first');
+            return;
+        }
+        // Show the picked color space in the HSV panel if neither panel has it
+        if (!colorRangePanel.panelFor(this.space)) {
+            uiController.changeColorSpace('hsv', this.space);
+        }
+        colorRangePanel.setRanges(this.space, ranges);
+        uiController.updateStatusText(`${COLOR_SPACES[this.space].name} range sliders set from picked colors`);
+    }
+
+    // Mask at the processing resolution, computed on the main thread since the
+    // pipeline may be running in the worker
+    computeMask(source = processingPipeline.get('source')) {
+        const ranges = this.getRanges();
+        if (!ranges || !source) return null;
+
+        const converted = convertToColorSpace(source, this.space);
+        return PixelCore.componentRangeMask(converted, colorRangesToBytes(this.space, ranges), converted);
+    }
+
+    // Source pixels with alpha from the mask; inverted keeps the pixels outside it
+    buildCutout(inverted = false, source = processingPipeline.get('source')) {
+        const mask = this.computeMask(source);
+        if (!mask) return null;
+
+        const canvas = bufferPool.acquireCanvas('colorPickCutout', source.width, source.height);
+        const ctx = canvas.getContext('2d');
+        const cutout = ctx.createImageData(source.width, source.height);
+        for (let i = 0; i < cutout.data.length; i += 4) {
+            const inside = mask.data[i] > 0;
+            cutout.data[i] = source.data[i];
+            cutout.data[i + 1] = source.data[i + 1];
+            cutout.data[i + 2] = source.data[i + 2];
+            cutout.data[i + 3] = inside !== inverted ? 255 : 0;
+        }
+        ctx.putImageData(cutout, 0, 0);
+        return canvas;
+    }
+
+    // Called after a face filter was applied: put back the original pixels of the
+    // face box that are outside the picked colors, so only e.g. skin is filtered.
+    // The mask comes from the image the face was found in, not the pipeline source:
+    // in live mode detection runs on a snapshot while newer frames are processed.
+    maskFaceFilter(faceImage, faceBbox, sourceImage) {
+        if (!this.limitFaceFilter) return;
+
+        const outside = this.buildCutout(true, imageProcessor.toSourceBuffer(sourceImage));
+        if (!outside) return;
+
+        faceImage.drawingContext.drawImage(outside,
+            faceBbox.x, faceBbox.y, faceBbox.width, faceBbox.height,
+            faceBbox.x, faceBbox.y, faceBbox.width, faceBbox.height);
+        console.log("Face filter limited to picked colors");
+    }
+
+    // Download the original with everything outside the picked colors transparent
+    exportCutout() {
+        const cutout = this.buildCutout();
+        if (!cutout) {
+            uiController.updateStatusText('Capture an image and pick a color first');
+            return;
+        }
+        imageSaveController.downloadImage(cutout, 'colorPickCutout', 'png');
+    }
+}
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ColorPickController;
+}
@@ -0,0 +1,168 @@
+// Color Range Controls for Image Processing Application
+// Min/max sliders for every component of the color space shown in each "Color Space"
+// panel, used by the 'Component ranges' mode of its threshold to segment skin or objects.
+class ColorRangePanel {
+    constructor() {
+        // Ranges are kept per color space so switching a panel back restores them
+        this.ranges = {};
+        // Color space currently shown by each panel ('hsv' and 'lab' are the panel ids)
+        this.panelSpaces = { hsv: 'hsv', lab: 'lab' };
+
+        this.buildPanel();
+    }
+
+    buildPanel() {
+        const container = document.getElementById('colorRangeControls');
+        if (!container) {
+            console.error('Color range container not found');
+            return;
+        }
+
+        Object.keys(this.panelSpaces).forEach(panel => {
+            const group = document.createElement('div');
+            group.className = 'color-range-group';
+            group.id = `colorRangeGroup_${panel}`;
+            container.appendChild(group);
+            this.renderPanel(panel);
+        });
+    }
+
+    getSpaceRanges(spaceKey) {
+        if (!this.ranges[spaceKey]) {
+            this.ranges[spaceKey] = defaultColorRanges(spaceKey);
+        }
+        return this.ranges[spaceKey];
+    }
+
+    // Rebuild the sliders of one panel for its current color space
+    renderPanel(panel) {
+        const group = document.getElementById(`colorRangeGroup_${panel}`);
+        if (!group) return;
+
+        const spaceKey = this.panelSpaces[panel];
+        const space = COLOR_SPACES[spaceKey];
+        const ranges = this.getSpaceRanges(spaceKey);
+        group.innerHTML = '';
+
+        const title = document.createElement('h4');
+        title.textContent = `${space.name} ranges`;
+        group.appendChild(title);
+
+        space.components.forEach(component => {
+            const row = document.createElement('div');
+            row.className = 'color-range-row';
+
+            const label = document.createElement('label');
+            label.textContent = component.label;
+            row.appendChild(label);
+
+            ['min', 'max'].forEach(bound => {
+                const slider = document.createElement('input');
+                slider.type = 'range';
+                slider.className = 'slider';
+                slider.id = `${panel}Range_${component.key}_${bound}`;
+                slider.min = component.min;
+                slider.max = component.max;
+                slider.value = ranges[component.key][bound];
+                slider.title = `${component.label} ${bound}`;
+                slider.addEventListener('input', (e) => {
+                    ranges[component.key][bound] = parseInt(e.target.value);
+                    this.updateLabel(panel, component);
+                    this.rangesChanged(panel);
+                });
+                row.appendChild(slider);
+            });
+
+            const value = document.createElement('span');
+            value.id = `${panel}Range_${component.key}_value`;
+            value.className = 'color-range-value';
+            row.appendChild(value);
+
+            group.appendChild(row);
+            this.updateLabel(panel, component);
+        });
+
+        const resetBtn = document.createElement('button');
+        resetBtn.className = 'btn-secondary';
+        resetBtn.textContent = `Reset ${space.name}`;
+        resetBtn.addEventListener('click', () => {
+            // Restores the defaults without switching the panel's threshold mode
+            this.setRanges(this.panelSpaces[panel], defaultColorRanges(this.panelSpaces[panel]), false);
+        });
+        group.appendChild(resetBtn);
+    }
+
+    updateLabel(panel, component) {
+        const label = document.getElementById(`${panel}Range_${component.key}_value`);
+        if (!label) return;
+
+        const { min, max } = this.getSpaceRanges(this.panelSpaces[panel])[component.key];
+        const wraps = component.wraps && min > max;
+        label.textContent = `${min}${component.unit} – ${max}${component.unit}${wraps ? ' (wraps)' : ''}`;
+    }
+
+    // Show another color space in a panel's sliders
+    setPanelSpace(panel, spaceKey) {
+        this.panelSpaces[panel] = spaceKey;
+        this.renderPanel(panel);
+    }
+
+    // The panel currently showing a color space, if any
+    panelFor(spaceKey) {
+        return Object.keys(this.panelSpaces).find(panel => this.panelSpaces[panel] === spaceKey) || null;
+    }
+
+    // Replace every range of a color space, e.g. from a reset or a picked color;
+    // showRanges switches the panels showing it to range mode
+    setRanges(spaceKey, ranges, showRanges = true) {
+        const current = this.getSpaceRanges(spaceKey);
+        COLOR_SPACES[spaceKey].components.forEach(component => {
+            const range = ranges[component.key];
+            if (range) {
+                current[component.key] = { min: range.min, max: range.max };
+            }
+        });
+
+        Object.keys(this.panelSpaces).forEach(panel => {
+            if (this.panelSpaces[panel] !== spaceKey) return;
+            COLOR_SPACES[spaceKey].components.forEach(component => {
+                ['min', 'max'].forEach(bound => {
+                    const slider = document.getElementById(`${panel}Range_${component.key}_${bound}`);
+                    if (slider) slider.value = current[component.key][bound];
+                });
+                this.updateLabel(panel, component);
+            });
+            this.rangesChanged(panel, showRanges);
+        });
+    }
+
+    // Copy of the ranges of the color space a panel currently shows; a fresh object
+    // so the pipeline notices edits made to the stored ranges in place
+    getRanges(panel) {
+        const ranges = this.getSpaceRanges(this.panelSpaces[panel]);
+        const copy = {};
+        Object.keys(ranges).forEach(key => {
+            copy[key] = { min: ranges[key].min, max: ranges[key].max };
+        });
+        return copy;
+    }
+
+    // Editing ranges switches the panel to range mode so the change is visible
+    rangesChanged(panel, showRanges = true) {
+        const typeSelect = document.getElementById(`${panel}ThresholdType`);
+        if (showRanges && typeSelect && typeSelect.value !== 'range') {
+            typeSelect.value = 'range';
+            typeSelect.dispatchEvent(new Event('change'));
+            return;
+        }
+
+        if (capturedImage) {
+            uiController.updateProcessing();
+        }
+    }
+}
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ColorRangePanel;
+}
@@ -0,0 +1,303 @@
+// Color Space Registry for Image Processing Application
+// Describes every color space the "Color Space" panels, their thresholds and face filter 3
+// can use: how to convert a pixel there and back, the components in their natural units
+// and how those are encoded into the 0-255 bytes of the converted image. Depends on
+// PixelCore and is shared by the main thread and the processing worker.
+
+// Under Node there is no PixelCore script global, so require it
+if (typeof module !== 'undefined' && module.exports) {
+    globalThis.PixelCore = require('./pixelCore.js');
+}
+
+const grayComponents = [{ key: 'y', label: 'Gray', min: 0, max: 255, unit: '', toByte: v => v, fromByte: v => v }];
+const grayscaleSpace = (name, method) => ({
+    name: name,
+    grayscale: true,
+    fromRgb: (r, g, b) => ({ y: PixelCore.grayValue(r, g, b, method) }),
+    toRgb: ({ y }) => PixelCore.clampRgb(y, y, y),
+    components: grayComponents
+});
+
+const COLOR_SPACES = {
+    hsv: {
+        name: 'HSV',
+        // Component values in natural units for one RGB pixel
+        fromRgb: (r, g, b) => {
+            const [h, s, v] = PixelCore.rgbToHsv(r, g, b);
+            return { h: h, s: s * 100 / 255, v: v * 100 / 255 };
+        },
+        // And back to RGB (0-255, clamped)
+        toRgb: ({ h, s, v }) => PixelCore.hsvToRgb(h, s * 255 / 100, v * 255 / 100),
+        // Components that color edits act on
+        edit: { hue: 'h', chroma: ['s'], lightness: 'v' },
+        components: [
+            // Hue ranges may wrap around 360, e.g. 340-20 for reds
+            { key: 'h', label: 'H', min: 0, max: 360, unit: '°', wraps: true, toByte: v => v * 255 / 360, fromByte: v => v * 360 / 255 },
+            { key: 's', label: 'S', min: 0, max: 100, unit: '%', toByte: v => v * 255 / 100, fromByte: v => v * 100 / 255 },
+            { key: 'v', label: 'V', min: 0, max: 100, unit: '%', toByte: v => v * 255 / 100, fromByte: v => v * 100 / 255 }
+        ]
+    },
+    hsl: {
+        name: 'HSL',
+        fromRgb: (r, g, b) => {
+            const [h, s, l] = PixelCore.rgbToHsl(r, g, b);
+            return { h: h, s: s, l: l };
+        },
+        toRgb: ({ h, s, l }) => PixelCore.hslToRgb(h, s, l),
+        edit: { hue: 'h', chroma: ['s'], lightness: 'l' },
+        components: [
+            { key: 'h', label: 'H', min: 0, max: 360, unit: '°', wraps: true, toByte: v => v * 255 / 360, fromByte: v => v * 360 / 255 },
+            { key: 's', label: 'S', min: 0, max: 100, unit: '%', toByte: v => v * 255 / 100, fromByte: v => v * 100 / 255 },
+            { key: 'l', label: 'L', min: 0, max: 100, unit: '%', toByte: v => v * 255 / 100, fromByte: v => v * 100 / 255 }
+        ]
+    },
+    lab: {
+        name: 'Lab',
+        fromRgb: (r, g, b) => {
+            const [l, a, bLab] = PixelCore.rgbToLabValues(r, g, b);
+            return { l: l, a: a, b: bLab };
+        },
+        toRgb: ({ l, a, b }) => PixelCore.labValuesToRgb(l, a, b),
+        // Hue shifts rotate the a/b plane
+        edit: { hueAxes: ['a', 'b'], chroma: ['a', 'b'], lightness: 'l' },
+        components: [
+            { key: 'l', label: 'L', min: 0, max: 100, unit: '', toByte: v => v * 255 / 100, fromByte: v => v * 100 / 255 },
+            { key: 'a', label: 'a', min: -128, max: 127, unit: '', toByte: v => (v + 128) * 255 / 256, fromByte: v => v * 256 / 255 - 128 },
+            { key: 'b', label: 'b', min: -128, max: 127, unit: '', toByte: v => (v + 128) * 255 / 256, fromByte: v => v * 256 / 255 - 128 }
+        ]
+    },
+    lch: {
+        name: 'LCh',
+        fromRgb: (r, g, b) => {
+            const [l, c, h] = PixelCore.rgbToLch(r, g, b);
+            return { l: l, c: c, h: h };
+        },
+        toRgb: ({ l, c, h }) => PixelCore.lchToRgb(l, c, h),
+        edit: { hue: 'h', chroma: ['c'], lightness: 'l' },
+        components: [
+            { key: 'l', label: 'L', min: 0, max: 100, unit: '', toByte: v => v * 255 / 100, fromByte: v => v * 100 / 255 },
+            { key: 'c', label: 'C', min: 0, max: 150, unit: '', toByte: v => v * 255 / 150, fromByte: v => v * 150 / 255 },
+            { key: 'h', label: 'h', min: 0, max: 360, unit: '°', wraps: true, toByte: v => v * 255 / 360, fromByte: v => v * 360 / 255 }
+        ]
+    },
+    xyz: {
+        name: 'XYZ',
+        fromRgb: (r, g, b) => {
+            const [x, y, z] = PixelCore.rgbToXyz(r, g, b);
+            return { x: x, y: y, z: z };
+        },
+        toRgb: ({ x, y, z }) => PixelCore.xyzToRgb(x, y, z),
+        components: [
+            { key: 'x', label: 'X', min: 0, max: 96, unit: '', toByte: v => v * 255 / 96, fromByte: v => v * 96 / 255 },
+            { key: 'y', label: 'Y', min: 0, max: 100, unit: '', toByte: v => v * 255 / 100, fromByte: v => v * 100 / 255 },
+            { key: 'z', label: 'Z', min: 0, max: 109, unit: '', toByte: v => v * 255 / 109, fromByte: v => v * 109 / 255 }
+        ]
+    },
+    // The usual space for skin detection: skin clusters tightly in Cb/Cr
+    ycbcr: {
+        name: 'YCbCr',
+        fromRgb: (r, g, b) => {
+            const [y, cb, cr] = PixelCore.rgbToYCbCr(r, g, b);
+            return { y: y, cb: cb, cr: cr };
+        },
+        toRgb: ({ y, cb, cr }) => PixelCore.yCbCrToRgb(y, cb, cr),
+        components: [
+            { key: 'y', label: 'Y', min: 0, max: 255, unit: '', toByte: v => v, fromByte: v => v },
+            { key: 'cb', label: 'Cb', min: 0, max: 255, unit: '', toByte: v => v, fromByte: v => v },
+            { key: 'cr', label: 'Cr', min: 0, max: 255, unit: '', toByte: v => v, fromByte: v => v }
+        ]
+    },
+    gray601: grayscaleSpace('Gray (luma 601)', 'luma601'),
+    gray709: grayscaleSpace('Gray (luma 709)', 'luma709'),
+    grayAverage: grayscaleSpace('Gray (average)', 'average'),
+    grayLightness: grayscaleSpace('Gray (lightness)', 'lightness'),
+    grayDesaturate: grayscaleSpace('Gray (desaturate)', 'desaturate')
+};
+
+// Convert a whole buffer into a color space's 0-255 encoding; grayscale spaces
+// repeat their single component in all three channels
+function convertToColorSpace(src, spaceKey, output) {
+    // HSV and Lab keep their original dedicated conversions
+    if (spaceKey === 'hsv') return PixelCore.convertToHSV(src, output);
+    if (spaceKey === 'lab') return PixelCore.convertToLab(src, output);
+
+    const space = COLOR_SPACES[spaceKey];
+    if (!space) {
+        throw new Error(`Unknown color space "${spaceKey}"`);
+    }
+
+    const out = PixelCore.prepareOutput(src, output);
+    const s = src.data;
+    const d = out.data;
+    const components = space.components;
+    const last = components.length - 1;
+
+    for (let i = 0; i < s.length; i += 4) {
+        const values = space.fromRgb(s[i], s[i + 1], s[i + 2]);
+        for (let c = 0; c < 3; c++) {
+            const component = components[Math.min(c, last)];
+            d[i + c] = component.toByte(values[component.key]);
+        }
+        d[i + 3] = 255;
+    }
+    return out;
+}
+
+// Edit every pixel in a color space and convert back to real RGB. Edits are in
+// natural units: hueShift in degrees, chromaScale and lightnessScale as factors.
+function editInColorSpace(src, spaceKey, edits, output) {
+    const space = COLOR_SPACES[spaceKey];
+    if (!space || !space.edit) {
+        throw new Error(`Color space "${spaceKey}" does not support editing`);
+    }
+
+    const out = PixelCore.prepareOutput(src, output);
+    const s = src.data;
+    const d = out.data;
+    const { hueShift = 0, chromaScale = 1, lightnessScale = 1 } = edits;
+    const roles = space.edit;
+    const angle = hueShift * Math.PI / 180;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+
+    for (let i = 0; i < s.length; i += 4) {
+        const values = space.fromRgb(s[i], s[i + 1], s[i + 2]);
+
+        if (roles.hue) {
+            values[roles.hue] = ((values[roles.hue] + hueShift) % 360 + 360) % 360;
+        }
+        if (roles.hueAxes) {
+            const [u, w] = roles.hueAxes;
+            const a = values[u];
+            values[u] = a * cos - values[w] * sin;
+            values[w] = a * sin + values[w] * cos;
+        }
+        roles.chroma.forEach(key => {
+            values[key] *= chromaScale;
+        });
+        values[roles.lightness] *= lightnessScale;
+
+        const [r, g, b] = space.toRgb(values);
+        d[i] = r;
+        d[i + 1] = g;
+        d[i + 2] = b;
+        d[i + 3] = 255;
+    }
+    return out;
+}
+
+// CIE76 color difference between two RGB colors
+function deltaE(r1, g1, b1, r2, g2, b2) {
+    const [l1, a1, bb1] = PixelCore.rgbToLabValues(r1, g1, b1);
+    const [l2, a2, bb2] = PixelCore.rgbToLabValues(r2, g2, b2);
+    return Math.sqrt((l1 - l2) * (l1 - l2) + (a1 - a2) * (a1 - a2) + (bb1 - bb2) * (bb1 - bb2));
+}
+
+// How much color survives encoding an image into a space's 0-255 panel and converting
+// it back: {spaceKey: {name, maxDeltaE, meanDeltaE}}. Grayscale spaces are lossy by design.
+function colorRoundTripReport(src, spaceKeys = Object.keys(COLOR_SPACES)) {
+    const report = {};
+    const s = src.data;
+    const pixels = s.length / 4;
+
+    spaceKeys.forEach(spaceKey => {
+        const space = COLOR_SPACES[spaceKey];
+        const encoded = convertToColorSpace(src, spaceKey).data;
+        let max = 0;
+        let sum = 0;
+
+        for (let i = 0; i < s.length; i += 4) {
+            const values = {};
+            space.components.forEach((component, c) => {
+                values[component.key] = component.fromByte(encoded[i + c]);
+            });
+            const rgb = space.toRgb(values).map(Math.round);
+
+            const error = deltaE(s[i], s[i + 1], s[i + 2], rgb[0], rgb[1], rgb[2]);
+            sum += error;
+            if (error > max) max = error;
+        }
+
+        report[spaceKey] = { name: space.name, maxDeltaE: max, meanDeltaE: pixels > 0 ? sum / pixels : 0 };
+    });
+    return report;
+}
+
+// Full-range settings for a color space, i.e. a mask that keeps every pixel
+function defaultColorRanges(spaceKey) {
+    const ranges = {};
+    COLOR_SPACES[spaceKey].components.forEach(component => {
+        ranges[component.key] = { min: component.min, max: component.max };
+    });
+    return ranges;
+}
+
+// Convert {componentKey: {min, max}} in natural units into byte ranges for
+// PixelCore.componentRangeMask; a wrapping component with min > max wraps around
+function colorRangesToBytes(spaceKey, ranges) {
+    const byteRanges = COLOR_SPACES[spaceKey].components.map(component => {
+        const range = (ranges && ranges[component.key]) || { min: component.min, max: component.max };
+        return {
+            min: component.toByte(range.min),
+            max: component.toByte(range.max),
+            wraps: Boolean(component.wraps) && range.min > range.max
+        };
+    });
+
+    // Grayscale spaces have one component; the other channels hold the same value
+    while (byteRanges.length < 3) {
+        byteRanges.push({ min: 0, max: 255, wraps: false });
+    }
+    return byteRanges;
+}
+
+// Smallest ranges covering every sample ({componentKey: value} in natural units),
+// widened by the tolerance; hue takes the shortest arc, wrapping past 360 if needed
+function colorRangesAroundSamples(spaceKey, samples, tolerance) {
+    const ranges = {};
+    COLOR_SPACES[spaceKey].components.forEach(component => {
+        const values = samples.map(sample => sample[component.key]);
+
+        if (component.wraps) {
+            const span = component.max - component.min;
+            const sorted = values.slice().sort((a, b) => a - b);
+
+            // The arc is everything except the largest gap between neighbouring samples
+            let gapEnd = 0;
+            let largestGap = sorted[0] + span - sorted[sorted.length - 1];
+            for (let i = 1; i < sorted.length; i++) {
+                if (sorted[i] - sorted[i - 1] > largestGap) {
+                    largestGap = sorted[i] - sorted[i - 1];
+                    gapEnd = i;
+                }
+            }
+            const start = sorted[gapEnd];
+            const end = sorted[(gapEnd + sorted.length - 1) % sorted.length];
+
+            if (span - largestGap + 2 * tolerance >= span) {
+                ranges[component.key] = { min: component.min, max: component.max };
+            } else {
+                const wrap = value => ((value - component.min) % span + span) % span + component.min;
+                ranges[component.key] = {
+                    min: Math.floor(wrap(start - tolerance)),
+                    max: Math.ceil(wrap(end + tolerance))
+                };
+            }
+            return;
+        }
+
+        ranges[component.key] = {
+            min: Math.max(component.min, Math.floor(Math.min(...values) - tolerance)),
+            max: Math.min(component.max, Math.ceil(Math.max(...values) + tolerance))
+        };
+    });
+    return ranges;
+}
+
+// Export for Node scripts and unit tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        COLOR_SPACES, convertToColorSpace, editInColorSpace, deltaE, colorRoundTripReport,
+        defaultColorRanges, colorRangesToBytes, colorRangesAroundSamples
+    };
+}
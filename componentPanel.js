@@ -0,0 +1,83 @@
+// Connected Components Controls for Image Processing Application
+// Chooses which mask is labelled, the connectivity and the minimum blob area, and lists
+// the measured blobs of the 'components' stage in a table.
+class ComponentPanel {
+    constructor() {
+        this.maxRows = 20; // Largest blobs shown in the table
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        ['componentMask', 'componentConnectivity'].forEach(id => {
+            const select = document.getElementById(id);
+            if (select) {
+                select.addEventListener('change', () => {
+                    this.paramsChanged();
+                });
+            }
+        });
+
+        const minAreaSlider = document.getElementById('componentMinArea');
+        const minAreaValue = document.getElementById('componentMinAreaValue');
+        if (minAreaSlider) {
+            minAreaSlider.addEventListener('input', (e) => {
+                if (minAreaValue) {
+                    minAreaValue.textContent = `${e.target.value} px`;
+                }
+                this.paramsChanged();
+            });
+        }
+    }
+
+    paramsChanged() {
+        if (capturedImage) {
+            uiController.updateProcessing();
+        }
+    }
+
+    // Pipeline parameters for the 'components' stage
+    getParams() {
+        return {
+            componentMask: document.getElementById('componentMask')?.value || 'none',
+            componentConnectivity: parseInt(document.getElementById('componentConnectivity')?.value || 8),
+            componentMinArea: parseInt(document.getElementById('componentMinArea')?.value || 0)
+        };
+    }
+
+    // Called with the 'components' stage result
+    showBlobs(components) {
+        const table = document.getElementById('blobTable');
+        const summary = document.getElementById('blobSummary');
+        if (!table) return;
+
+        if (!components || !components.labels) {
+            table.innerHTML = '';
+            if (summary) summary.textContent = 'Choose a mask to label its blobs.';
+            return;
+        }
+
+        const { blobs, count } = components;
+        if (summary) {
+            summary.textContent = `${blobs.length} of ${count} blobs kept` +
+                                  (blobs.length > this.maxRows ? `, largest ${this.maxRows} shown` : '');
+        }
+
+        let html = '<tr><th>#</th><th>Area</th><th>Centroid</th><th>Bounding box</th>' +
+                   '<th>Perimeter</th><th>Circularity</th><th>Mean color</th></tr>';
+        blobs.slice(0, this.maxRows).forEach(blob => {
+            const [r, g, b] = blob.meanColor || [0, 0, 0];
+            const { x, y, width, height } = blob.bbox;
+            html += `<tr><td>${blob.label}</td><td>${blob.area}</td>` +
+                    `<td>${blob.centroid.x.toFixed(1)}, ${blob.centroid.y.toFixed(1)}</td>` +
+                    `<td>${x}, ${y} ${width}x${height}</td>` +
+                    `<td>${blob.perimeter.toFixed(1)}</td><td>${blob.circularity.toFixed(2)}</td>` +
+                    `<td><span class="blob-swatch" style="background: rgb(${r}, ${g}, ${b})"></span>${r}, ${g}, ${b}</td></tr>`;
+        });
+        table.innerHTML = html;
+    }
+}
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ComponentPanel;
+}
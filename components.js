@@ -0,0 +1,208 @@
+// Connected Components for Image Processing Application
+// Labels the white regions of a binary mask (4- or 8-connectivity) and measures each
+// blob: area, centroid, bounding box, contour perimeter, circularity and mean source
+// color. Pure functions, shared with the worker and the skin-tone face search.
+
+// PixelCore is a script global in the browser and worker; require it under Node
+if (typeof module !== 'undefined' && module.exports) {
+    globalThis.PixelCore = require('./pixelCore.js');
+}
+
+const ConnectedComponents = {
+    // Two-pass labeling with union-find. Foreground is any pixel whose first channel is
+    // non-zero. Returns labels 1..count per pixel (0 = background).
+    label(mask, connectivity = 8) {
+        const { width, height } = mask;
+        const data = mask.data;
+        const labels = new Int32Array(width * height);
+        const parent = [0];
+
+        const find = (a) => {
+            while (parent[a] !== a) {
+                parent[a] = parent[parent[a]];
+                a = parent[a];
+            }
+            return a;
+        };
+        const union = (a, b) => {
+            const ra = find(a);
+            const rb = find(b);
+            if (ra < rb) parent[rb] = ra;
+            else if (rb < ra) parent[ra] = rb;
+        };
+
+        // First pass: provisional labels from the already visited neighbours
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = y * width + x;
+                if (data[i * 4] === 0) continue;
+
+                const neighbours = [];
+                if (x > 0 && labels[i - 1]) neighbours.push(labels[i - 1]);
+                if (y > 0 && labels[i - width]) neighbours.push(labels[i - width]);
+                if (connectivity === 8 && y > 0) {
+                    if (x > 0 && labels[i - width - 1]) neighbours.push(labels[i - width - 1]);
+                    if (x < width - 1 && labels[i - width + 1]) neighbours.push(labels[i - width + 1]);
+                }
+
+                if (neighbours.length === 0) {
+                    const next = parent.length;
+                    parent.push(next);
+                    labels[i] = next;
+                } else {
+                    const smallest = Math.min(...neighbours);
+                    labels[i] = smallest;
+                    neighbours.forEach(n => union(smallest, n));
+                }
+            }
+        }
+
+        // Second pass: replace provisional labels with consecutive final ones
+        const finalLabel = new Int32Array(parent.length);
+        let count = 0;
+        for (let l = 1; l < parent.length; l++) {
+            const root = find(l);
+            if (finalLabel[root] === 0) finalLabel[root] = ++count;
+            finalLabel[l] = finalLabel[root];
+        }
+        for (let i = 0; i < labels.length; i++) {
+            if (labels[i]) labels[i] = finalLabel[labels[i]];
+        }
+
+        return { labels, count };
+    },
+
+    // Length of the outer contour of a blob, traced with Moore-neighbour tracing from its
+    // first pixel in raster order; straight steps count 1 and diagonal steps √2
+    contourLength(labels, width, height, label, start) {
+        const dx = [1, 1, 0, -1, -1, -1, 0, 1];
+        const dy = [0, 1, 1, 1, 0, -1, -1, -1];
+        const inside = (x, y) => x >= 0 && x < width && y >= 0 && y < height && labels[y * width + x] === label;
+
+        const startX = start % width;
+        const startY = (start - startX) / width;
+        let x = startX;
+        let y = startY;
+        let back = 4; // The pixel to the west of the first pixel is background
+        let firstMove = -1;
+        let length = 0;
+        const maxSteps = 4 * width * height;
+
+        for (let step = 0; step < maxSteps; step++) {
+            let move = -1;
+            for (let k = 1; k <= 8; k++) {
+                const d = (back + k) % 8;
+                if (inside(x + dx[d], y + dy[d])) {
+                    move = d;
+                    break;
+                }
+            }
+            if (move === -1) return 0; // Isolated pixel
+
+            // Back at the start about to repeat the first move: the contour is closed
+            if (x === startX && y === startY && move === firstMove) break;
+            if (firstMove === -1) firstMove = move;
+
+            // The last background neighbour checked becomes the backtrack of the next pixel
+            const prevX = x + dx[(move + 7) % 8];
+            const prevY = y + dy[(move + 7) % 8];
+            x += dx[move];
+            y += dy[move];
+            for (let d = 0; d < 8; d++) {
+                if (x + dx[d] === prevX && y + dy[d] === prevY) {
+                    back = d;
+                    break;
+                }
+            }
+            length += move % 2 === 0 ? 1 : Math.SQRT2;
+        }
+        return length;
+    },
+
+    // Measure every labelled blob; source supplies the mean color
+    measure(labels, count, width, height, source) {
+        const blobs = [];
+        for (let l = 1; l <= count; l++) {
+            blobs.push({
+                label: l, area: 0, sumX: 0, sumY: 0, sumR: 0, sumG: 0, sumB: 0,
+                minX: width, minY: height, maxX: -1, maxY: -1, start: -1
+            });
+        }
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = y * width + x;
+                const l = labels[i];
+                if (!l) continue;
+                const blob = blobs[l - 1];
+                if (blob.start === -1) blob.start = i;
+                blob.area++;
+                blob.sumX += x;
+                blob.sumY += y;
+                if (x < blob.minX) blob.minX = x;
+                if (x > blob.maxX) blob.maxX = x;
+                if (y < blob.minY) blob.minY = y;
+                if (y > blob.maxY) blob.maxY = y;
+                if (source) {
+                    blob.sumR += source.data[i * 4];
+                    blob.sumG += source.data[i * 4 + 1];
+                    blob.sumB += source.data[i * 4 + 2];
+                }
+            }
+        }
+
+        return blobs.map(blob => {
+            const perimeter = ConnectedComponents.contourLength(labels, width, height, blob.label, blob.start);
+            return {
+                label: blob.label,
+                area: blob.area,
+                centroid: { x: blob.sumX / blob.area, y: blob.sumY / blob.area },
+                bbox: { x: blob.minX, y: blob.minY, width: blob.maxX - blob.minX + 1, height: blob.maxY - blob.minY + 1 },
+                perimeter: perimeter,
+                // 4πA/P², 1 for a disk; single pixels and lines have no enclosed contour
+                circularity: perimeter > 0 ? Math.min(1, 4 * Math.PI * blob.area / (perimeter * perimeter)) : 0,
+                meanColor: source ?
+                    [blob.sumR / blob.area, blob.sumG / blob.area, blob.sumB / blob.area].map(Math.round) : null
+            };
+        });
+    },
+
+    // Label and measure a mask, dropping blobs smaller than minArea.
+    // options: { connectivity: 4|8, minArea: pixels }
+    analyze(mask, source, options = {}) {
+        const { connectivity = 8, minArea = 0 } = options;
+        const { width, height } = mask;
+        const { labels, count } = ConnectedComponents.label(mask, connectivity);
+        const blobs = ConnectedComponents.measure(labels, count, width, height, source)
+            .filter(blob => blob.area >= minArea)
+            .sort((a, b) => b.area - a.area);
+        return { width, height, labels, count, blobs };
+    },
+
+    // Color every kept blob by its label (golden-angle hues); background and filtered blobs are black
+    render(components, output) {
+        const { width, height } = components;
+        const out = output && output.width === width && output.height === height ?
+            output : PixelCore.createBuffer(width, height);
+        const d = out.data;
+        const colors = new Map();
+        components.blobs.forEach(blob => {
+            colors.set(blob.label, PixelCore.hsvToRgb(blob.label * 137.508, 200, 255));
+        });
+
+        const labels = components.labels;
+        for (let i = 0; i < width * height; i++) {
+            const color = labels ? colors.get(labels[i]) : null;
+            d[i * 4] = color ? color[0] : 0;
+            d[i * 4 + 1] = color ? color[1] : 0;
+            d[i * 4 + 2] = color ? color[2] : 0;
+            d[i * 4 + 3] = 255;
+        }
+        return out;
+    }
+};
+
+// Export for Node scripts and unit tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConnectedComponents;
+}
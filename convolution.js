@@ -0,0 +1,297 @@
+// Convolution Engine for Image Processing Application
+// Spatial filtering of PixelCore buffers with arbitrary square kernels. Kernels are
+// {size, values} with values in row-major order; rank-1 kernels (box, Gaussian, ...)
+// are detected and run as two 1D passes. Pure functions, shared with the worker.
+
+// PixelCore is a script global in the browser and worker; require it under Node
+if (typeof module !== 'undefined' && module.exports) {
+    globalThis.PixelCore = require('./pixelCore.js');
+}
+
+const Convolution = {
+    BORDER_MODES: ['clamp', 'reflect', 'wrap', 'zero'],
+
+    // Map an out-of-range coordinate back into 0..n-1, or -1 for zero padding
+    borderIndex(i, n, border) {
+        if (i >= 0 && i < n) return i;
+
+        switch (border) {
+            case 'reflect': {
+                // Mirror including the edge pixel: ... c b a | a b c ... c b a | a b c ...
+                const period = 2 * n;
+                const m = ((i % period) + period) % period;
+                return m < n ? m : period - 1 - m;
+            }
+            case 'wrap':
+                return ((i % n) + n) % n;
+            case 'zero':
+                return -1;
+            default: // 'clamp'
+                return i < 0 ? 0 : n - 1;
+        }
+    },
+
+    // Precompute the source index of every offset along one axis
+    borderLookup(n, radius, border) {
+        const lookup = new Int32Array(n + 2 * radius);
+        for (let i = -radius; i < n + radius; i++) {
+            lookup[i + radius] = Convolution.borderIndex(i, n, border);
+        }
+        return lookup;
+    },
+
+    kernelSum(kernel) {
+        return kernel.values.reduce((sum, v) => sum + v, 0);
+    },
+
+    // Divide by the sum so flat areas keep their brightness (zero-sum kernels are left alone)
+    normalizeKernel(kernel) {
+        const sum = Convolution.kernelSum(kernel);
+        if (Math.abs(sum) < 1e-9) return kernel;
+        return { size: kernel.size, values: kernel.values.map(v => v / sum) };
+    },
+
+    // Split a rank-1 kernel into column and row vectors so that k[y][x] = col[y] * row[x];
+    // returns null when the kernel is not separable
+    separate(kernel) {
+        const { size, values } = kernel;
+
+        // Pivot on the largest element for numerical stability
+        let pivot = 0;
+        for (let i = 1; i < values.length; i++) {
+            if (Math.abs(values[i]) > Math.abs(values[pivot])) pivot = i;
+        }
+        const pivotValue = values[pivot];
+        if (pivotValue === 0) return null;
+
+        const py = Math.floor(pivot / size);
+        const px = pivot % size;
+        const row = [];
+        const col = [];
+        for (let i = 0; i < size; i++) {
+            row.push(values[py * size + i]);
+            col.push(values[i * size + px] / pivotValue);
+        }
+
+        const tolerance = 1e-6 * Math.abs(pivotValue);
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (Math.abs(values[y * size + x] - col[y] * row[x]) > tolerance) {
+                    return null;
+                }
+            }
+        }
+        return { row, col };
+    },
+
+    // Convolve the RGB channels of a buffer; alpha is set to 255.
+    // options: { border: 'clamp'|'reflect'|'wrap'|'zero', normalize: boolean, bias: number }
+    convolve(src, kernel, options = {}, output) {
+        const { border = 'clamp', normalize = false, bias = 0 } = options;
+        const k = normalize ? Convolution.normalizeKernel(kernel) : kernel;
+
+        const separable = Convolution.separate(k);
+        if (separable) {
+            return Convolution.convolveSeparable(src, separable.row, separable.col, { border, bias }, output);
+        }
+
+        const out = PixelCore.prepareOutput(src, output);
+        const { width, height } = src;
+        const s = src.data;
+        const d = out.data;
+        const size = k.size;
+        const radius = Math.floor(size / 2);
+        const xLookup = Convolution.borderLookup(width, radius, border);
+        const yLookup = Convolution.borderLookup(height, radius, border);
+
+        // Writing in place would read already filtered pixels
+        const input = s === d ? s.slice() : s;
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let r = 0, g = 0, b = 0;
+                for (let ky = 0; ky < size; ky++) {
+                    const sy = yLookup[y + ky];
+                    if (sy < 0) continue;
+                    for (let kx = 0; kx < size; kx++) {
+                        const sx = xLookup[x + kx];
+                        if (sx < 0) continue;
+                        const weight = k.values[ky * size + kx];
+                        const i = (sy * width + sx) * 4;
+                        r += input[i] * weight;
+                        g += input[i + 1] * weight;
+                        b += input[i + 2] * weight;
+                    }
+                }
+                const o = (y * width + x) * 4;
+                d[o] = r + bias;
+                d[o + 1] = g + bias;
+                d[o + 2] = b + bias;
+                d[o + 3] = 255;
+            }
+        }
+        return out;
+    },
+
+    // Two 1D passes: O(2n) per pixel instead of O(n²). The intermediate result is kept
+    // in floats so negative and out-of-range values survive until the second pass.
+    convolveSeparable(src, row, col, options = {}, output) {
+        const { border = 'clamp', bias = 0 } = options;
+        const out = PixelCore.prepareOutput(src, output);
+        const { width, height } = src;
+        const s = src.data;
+        const d = out.data;
+        const radius = Math.floor(row.length / 2);
+        const xLookup = Convolution.borderLookup(width, radius, border);
+        const yLookup = Convolution.borderLookup(height, radius, border);
+        const temp = new Float32Array(width * height * 3);
+
+        // Horizontal pass
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let r = 0, g = 0, b = 0;
+                for (let k = 0; k < row.length; k++) {
+                    const sx = xLookup[x + k];
+                    if (sx < 0) continue;
+                    const i = (y * width + sx) * 4;
+                    r += s[i] * row[k];
+                    g += s[i + 1] * row[k];
+                    b += s[i + 2] * row[k];
+                }
+                const t = (y * width + x) * 3;
+                temp[t] = r;
+                temp[t + 1] = g;
+                temp[t + 2] = b;
+            }
+        }
+
+        // Vertical pass
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let r = 0, g = 0, b = 0;
+                for (let k = 0; k < col.length; k++) {
+                    const sy = yLookup[y + k];
+                    if (sy < 0) continue;
+                    const t = (sy * width + x) * 3;
+                    r += temp[t] * col[k];
+                    g += temp[t + 1] * col[k];
+                    b += temp[t + 2] * col[k];
+                }
+                const o = (y * width + x) * 4;
+                d[o] = r + bias;
+                d[o + 1] = g + bias;
+                d[o + 2] = b + bias;
+                d[o + 3] = 255;
+            }
+        }
+        return out;
+    },
+
+    // Convolve a single-channel float image (e.g. gray values) without clamping, so
+    // signed responses such as gradients are kept. Returns a new Float32Array.
+    convolveValues(values, width, height, kernel, border = 'clamp') {
+        const size = kernel.size;
+        const radius = Math.floor(size / 2);
+        const xLookup = Convolution.borderLookup(width, radius, border);
+        const yLookup = Convolution.borderLookup(height, radius, border);
+        const result = new Float32Array(width * height);
+
+        const separable = Convolution.separate(kernel);
+        if (separable) {
+            const { row, col } = separable;
+            const temp = new Float32Array(width * height);
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    let sum = 0;
+                    for (let k = 0; k < size; k++) {
+                        const sx = xLookup[x + k];
+                        if (sx >= 0) sum += values[y * width + sx] * row[k];
+                    }
+                    temp[y * width + x] = sum;
+                }
+            }
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    let sum = 0;
+                    for (let k = 0; k < size; k++) {
+                        const sy = yLookup[y + k];
+                        if (sy >= 0) sum += temp[sy * width + x] * col[k];
+                    }
+                    result[y * width + x] = sum;
+                }
+            }
+            return result;
+        }
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let sum = 0;
+                for (let ky = 0; ky < size; ky++) {
+                    const sy = yLookup[y + ky];
+                    if (sy < 0) continue;
+                    for (let kx = 0; kx < size; kx++) {
+                        const sx = xLookup[x + kx];
+                        if (sx >= 0) sum += values[sy * width + sx] * kernel.values[ky * size + kx];
+                    }
+                }
+                result[y * width + x] = sum;
+            }
+        }
+        return result;
+    },
+
+    // Gaussian kernel with OpenCV's default sigma for the size
+    gaussianKernel(size, sigma) {
+        const s = sigma || 0.3 * ((size - 1) * 0.5 - 1) + 0.8;
+        const radius = Math.floor(size / 2);
+        const weights = [];
+        for (let i = -radius; i <= radius; i++) {
+            weights.push(Math.exp(-(i * i) / (2 * s * s)));
+        }
+        const values = [];
+        weights.forEach(wy => weights.forEach(wx => values.push(wy * wx)));
+        return Convolution.normalizeKernel({ size, values });
+    },
+
+    // Named presets for 3x3, 5x5 and 7x7 kernels. bias is a suggested offset that
+    // keeps zero-sum results (edges) visible around mid gray.
+    preset(name, size) {
+        const count = size * size;
+        const center = Math.floor(count / 2);
+        const c = Math.floor(size / 2);
+        const fill = (fn) => {
+            const values = [];
+            for (let y = 0; y < size; y++) {
+                for (let x = 0; x < size; x++) {
+                    values.push(fn(x, y));
+                }
+            }
+            return values;
+        };
+
+        switch (name) {
+            case 'box':
+                return { kernel: { size, values: new Array(count).fill(1 / count) }, bias: 0 };
+            case 'gaussian':
+                return { kernel: Convolution.gaussianKernel(size), bias: 0 };
+            case 'sharpen':
+                // Identity minus the Laplacian: center count, neighbours -1
+                return { kernel: { size, values: fill((x, y) => x === c && y === c ? count : -1) }, bias: 0 };
+            case 'emboss':
+                // Diagonal gradient, keeping the center so flat areas stay unchanged
+                return { kernel: { size, values: fill((x, y) => x === c && y === c ? 1 : (x - c) + (y - c)) }, bias: 0 };
+            case 'laplacian':
+                return { kernel: { size, values: fill((x, y) => x === c && y === c ? 1 - count : 1) }, bias: 128 };
+            default: { // 'identity'
+                const values = new Array(count).fill(0);
+                values[center] = 1;
+                return { kernel: { size, values }, bias: 0 };
+            }
+        }
+    }
+};
+
+// Export for Node scripts and unit tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Convolution;
+}
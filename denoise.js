@@ -0,0 +1,230 @@
+// Edge-Preserving Smoothing for Image Processing Application
+// Median, bilateral and a lightweight non-local means denoiser for RGBA buffers, used as
+// pre-processing before thresholding. Pixels outside the image are clamped to the edge.
+// Pure functions, shared with the worker.
+
+// PixelCore is a script global in the browser and worker; require it under Node
+if (typeof module !== 'undefined' && module.exports) {
+    globalThis.PixelCore = require('./pixelCore.js');
+}
+
+const Denoise = {
+    METHODS: ['none', 'median', 'bilateral', 'nlm'],
+
+    clampIndex(i, n) {
+        return i < 0 ? 0 : (i >= n ? n - 1 : i);
+    },
+
+    // Per-channel median over a (2r+1)² window using Huang's sliding histogram, so the
+    // cost per pixel grows with the radius rather than the window area
+    median(src, radius = 1, output) {
+        const out = PixelCore.prepareOutput(src, output);
+        const { width, height } = src;
+        const s = output === src ? src.data.slice() : src.data;
+        const d = out.data;
+        const size = 2 * radius + 1;
+        const half = Math.floor(size * size / 2);
+        const hist = new Int32Array(256);
+        const clamp = Denoise.clampIndex;
+
+        for (let c = 0; c < 3; c++) {
+            for (let y = 0; y < height; y++) {
+                hist.fill(0);
+                // Window for the first pixel of the row
+                for (let ky = -radius; ky <= radius; ky++) {
+                    const row = clamp(y + ky, height) * width;
+                    for (let kx = -radius; kx <= radius; kx++) {
+                        hist[s[(row + clamp(kx, width)) * 4 + c]]++;
+                    }
+                }
+
+                // Find the median and the number of values below it
+                let median = 0;
+                let below = 0;
+                while (below + hist[median] <= half) {
+                    below += hist[median];
+                    median++;
+                }
+
+                for (let x = 0; x < width; x++) {
+                    if (x > 0) {
+                        // Slide right: drop the old left column, add the new right column
+                        const oldX = clamp(x - radius - 1, width);
+                        const newX = clamp(x + radius, width);
+                        for (let ky = -radius; ky <= radius; ky++) {
+                            const row = clamp(y + ky, height) * width;
+                            const oldValue = s[(row + oldX) * 4 + c];
+                            const newValue = s[(row + newX) * 4 + c];
+                            hist[oldValue]--;
+                            hist[newValue]++;
+                            if (oldValue < median) below--;
+                            if (newValue < median) below++;
+                        }
+
+                        // Move the median until exactly 'half' values lie below it
+                        while (below > half) {
+                            median--;
+                            below -= hist[median];
+                        }
+                        while (below + hist[median] <= half) {
+                            below += hist[median];
+                            median++;
+                        }
+                    }
+                    d[(y * width + x) * 4 + c] = median;
+                }
+            }
+        }
+
+        for (let i = 3; i < d.length; i += 4) {
+            d[i] = 255;
+        }
+        return out;
+    },
+
+    // Average of the neighbours weighted by distance (sigmaSpace, pixels) and by color
+    // difference (sigmaColor, 0-255), so pixels across an edge barely contribute
+    bilateral(src, { radius = 2, sigmaColor = 30, sigmaSpace = 3 } = {}, output) {
+        const out = PixelCore.prepareOutput(src, output);
+        const { width, height } = src;
+        const s = output === src ? src.data.slice() : src.data;
+        const d = out.data;
+        const clamp = Denoise.clampIndex;
+
+        const size = 2 * radius + 1;
+        const spatial = new Float32Array(size * size);
+        for (let ky = -radius; ky <= radius; ky++) {
+            for (let kx = -radius; kx <= radius; kx++) {
+                spatial[(ky + radius) * size + kx + radius] = Math.exp(-(kx * kx + ky * ky) / (2 * sigmaSpace * sigmaSpace));
+            }
+        }
+
+        // Range weight for every squared RGB distance, averaged over the three channels
+        const range = new Float32Array(255 * 255 + 1);
+        for (let i = 0; i < range.length; i++) {
+            range[i] = Math.exp(-i / (2 * sigmaColor * sigmaColor));
+        }
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const o = (y * width + x) * 4;
+                const r0 = s[o], g0 = s[o + 1], b0 = s[o + 2];
+                let sumR = 0, sumG = 0, sumB = 0, sumW = 0;
+
+                for (let ky = -radius; ky <= radius; ky++) {
+                    const row = clamp(y + ky, height) * width;
+                    for (let kx = -radius; kx <= radius; kx++) {
+                        const i = (row + clamp(x + kx, width)) * 4;
+                        const dr = s[i] - r0, dg = s[i + 1] - g0, db = s[i + 2] - b0;
+                        const distance = Math.round((dr * dr + dg * dg + db * db) / 3);
+                        const w = spatial[(ky + radius) * size + kx + radius] * range[distance];
+                        sumR += s[i] * w;
+                        sumG += s[i + 1] * w;
+                        sumB += s[i + 2] * w;
+                        sumW += w;
+                    }
+                }
+
+                d[o] = sumR / sumW;
+                d[o + 1] = sumG / sumW;
+                d[o + 2] = sumB / sumW;
+                d[o + 3] = 255;
+            }
+        }
+        return out;
+    },
+
+    // Non-local means: each pixel becomes an average of pixels in the search window whose
+    // surrounding patches look alike. Patch distances are computed one offset at a time
+    // with an integral image, so the patch size does not add to the cost.
+    nonLocalMeans(src, { strength = 10, searchRadius = 5, patchRadius = 1 } = {}, output) {
+        const { width, height } = src;
+        const s = src.data.slice(); // Kept intact in case output is the source
+        const count = width * height;
+        const clamp = Denoise.clampIndex;
+        const h2 = strength * strength;
+
+        const diff = new Float32Array(count);
+        const integral = new Float64Array((width + 1) * (height + 1));
+        const sumW = new Float32Array(count);
+        const sumR = new Float32Array(count);
+        const sumG = new Float32Array(count);
+        const sumB = new Float32Array(count);
+
+        for (let oy = -searchRadius; oy <= searchRadius; oy++) {
+            for (let ox = -searchRadius; ox <= searchRadius; ox++) {
+                // Squared difference between every pixel and its shifted partner
+                for (let y = 0; y < height; y++) {
+                    const qy = clamp(y + oy, height);
+                    for (let x = 0; x < width; x++) {
+                        const p = (y * width + x) * 4;
+                        const q = (qy * width + clamp(x + ox, width)) * 4;
+                        const dr = s[p] - s[q], dg = s[p + 1] - s[q + 1], db = s[p + 2] - s[q + 2];
+                        diff[y * width + x] = (dr * dr + dg * dg + db * db) / 3;
+                    }
+                }
+
+                // Integral image of the differences
+                for (let y = 0; y < height; y++) {
+                    let rowSum = 0;
+                    for (let x = 0; x < width; x++) {
+                        rowSum += diff[y * width + x];
+                        integral[(y + 1) * (width + 1) + x + 1] = integral[y * (width + 1) + x + 1] + rowSum;
+                    }
+                }
+
+                // Mean patch distance -> weight for the shifted pixel
+                for (let y = 0; y < height; y++) {
+                    const y0 = Math.max(0, y - patchRadius);
+                    const y1 = Math.min(height - 1, y + patchRadius) + 1;
+                    const qy = clamp(y + oy, height);
+                    for (let x = 0; x < width; x++) {
+                        const x0 = Math.max(0, x - patchRadius);
+                        const x1 = Math.min(width - 1, x + patchRadius) + 1;
+                        const patchSum = integral[y1 * (width + 1) + x1] - integral[y0 * (width + 1) + x1] -
+                                         integral[y1 * (width + 1) + x0] + integral[y0 * (width + 1) + x0];
+                        const distance = patchSum / ((x1 - x0) * (y1 - y0));
+                        const w = Math.exp(-distance / h2);
+
+                        const i = y * width + x;
+                        const q = (qy * width + clamp(x + ox, width)) * 4;
+                        sumW[i] += w;
+                        sumR[i] += s[q] * w;
+                        sumG[i] += s[q + 1] * w;
+                        sumB[i] += s[q + 2] * w;
+                    }
+                }
+            }
+        }
+
+        const out = PixelCore.prepareOutput(src, output);
+        const d = out.data;
+        for (let i = 0; i < count; i++) {
+            d[i * 4] = sumR[i] / sumW[i];
+            d[i * 4 + 1] = sumG[i] / sumW[i];
+            d[i * 4 + 2] = sumB[i] / sumW[i];
+            d[i * 4 + 3] = 255;
+        }
+        return out;
+    },
+
+    // Run the selected method; 'none' returns the source unchanged.
+    // options: { method, radius, sigmaColor, sigmaSpace, strength, searchRadius, patchRadius }
+    apply(src, options = {}, output) {
+        switch (options.method) {
+            case 'median':
+                return Denoise.median(src, options.radius, output);
+            case 'bilateral':
+                return Denoise.bilateral(src, options, output);
+            case 'nlm':
+                return Denoise.nonLocalMeans(src, options, output);
+            default:
+                return src;
+        }
+    }
+};
+
+// Export for Node scripts and unit tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Denoise;
+}
@@ -0,0 +1,88 @@
+// Denoise Controls for Image Processing Application
+// Method and parameters of the edge-preserving smoothing that runs before thresholding;
+// only the parameters of the selected method are shown.
+class DenoisePanel {
+    constructor() {
+        this.methodNames = {
+            median: 'Median',
+            bilateral: 'Bilateral',
+            nlm: 'Non-local means'
+        };
+
+        this.setupEventListeners();
+        this.updateControls();
+    }
+
+    setupEventListeners() {
+        const methodSelect = document.getElementById('denoiseMethod');
+        if (methodSelect) {
+            methodSelect.addEventListener('change', () => {
+                this.updateControls();
+                this.paramsChanged();
+            });
+        }
+
+        [
+            { id: 'denoiseRadius', format: value => `${value * 2 + 1}x${value * 2 + 1}` },
+            { id: 'denoiseSigmaColor', format: value => value },
+            { id: 'denoiseSigmaSpace', format: value => `${value} px` },
+            { id: 'denoiseStrength', format: value => value },
+            { id: 'denoiseSearchRadius', format: value => `${value * 2 + 1}x${value * 2 + 1}` },
+            { id: 'denoisePatchRadius', format: value => `${value * 2 + 1}x${value * 2 + 1}` }
+        ].forEach(({ id, format }) => {
+            const slider = document.getElementById(id);
+            const valueSpan = document.getElementById(`${id}Value`);
+            if (slider) {
+                slider.addEventListener('input', (e) => {
+                    if (valueSpan) {
+                        valueSpan.textContent = format(parseInt(e.target.value));
+                    }
+                    this.paramsChanged();
+                });
+            }
+        });
+    }
+
+    // Show the parameter rows used by the selected method
+    updateControls() {
+        const method = this.getMethod();
+        document.querySelectorAll('[data-denoise-methods]').forEach(row => {
+            row.style.display = row.dataset.denoiseMethods.split(' ').includes(method) ? '' : 'none';
+        });
+    }
+
+    getMethod() {
+        return document.getElementById('denoiseMethod')?.value || 'none';
+    }
+
+    // Name of the active method, or null when thresholds see the raw image
+    describe() {
+        const method = this.getMethod();
+        return method === 'none' ? null : this.methodNames[method];
+    }
+
+    paramsChanged() {
+        if (capturedImage) {
+            uiController.updateProcessing();
+        }
+    }
+
+    // Pipeline parameters for the 'denoised' stage
+    getParams() {
+        const read = (id, fallback) => parseInt(document.getElementById(id)?.value || fallback);
+        return {
+            denoiseMethod: this.getMethod(),
+            denoiseRadius: read('denoiseRadius', 1),
+            denoiseSigmaColor: read('denoiseSigmaColor', 30),
+            denoiseSigmaSpace: read('denoiseSigmaSpace', 3),
+            denoiseStrength: read('denoiseStrength', 10),
+            denoiseSearchRadius: read('denoiseSearchRadius', 3),
+            denoisePatchRadius: read('denoisePatchRadius', 1)
+        };
+    }
+}
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DenoisePanel;
+}
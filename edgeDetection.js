@@ -0,0 +1,163 @@
+// Edge Detection for Image Processing Application
+// Sobel, Prewitt and Scharr gradients on a grayscale buffer, shown as magnitude or as
+// orientation (hue = direction, brightness = magnitude), plus a full Canny detector with
+// non-maximum suppression and hysteresis. Pure functions, shared with the worker.
+
+// PixelCore and Convolution are script globals in the browser and worker; require them under Node
+if (typeof module !== 'undefined' && module.exports) {
+    globalThis.PixelCore = require('./pixelCore.js');
+    globalThis.Convolution = require('./convolution.js');
+}
+
+const EdgeDetection = {
+    // Horizontal derivative kernels; the vertical kernel is the transpose. scale is the
+    // sum of the positive weights, so dividing by it keeps gradients within ±255.
+    OPERATORS: {
+        sobel: { name: 'Sobel', x: [-1, 0, 1, -2, 0, 2, -1, 0, 1], scale: 4 },
+        prewitt: { name: 'Prewitt', x: [-1, 0, 1, -1, 0, 1, -1, 0, 1], scale: 3 },
+        scharr: { name: 'Scharr', x: [-3, 0, 3, -10, 0, 10, -3, 0, 3], scale: 16 }
+    },
+
+    MODES: ['magnitude', 'orientation', 'canny'],
+
+    // Gray values of a grayscale buffer (R = G = B, so the red channel is enough)
+    grayValues(src) {
+        const count = src.width * src.height;
+        const values = new Float32Array(count);
+        for (let i = 0; i < count; i++) {
+            values[i] = src.data[i * 4];
+        }
+        return values;
+    },
+
+    // Per-pixel gx, gy and magnitude for the chosen operator
+    gradients(values, width, height, operatorKey = 'sobel') {
+        const operator = EdgeDetection.OPERATORS[operatorKey] || EdgeDetection.OPERATORS.sobel;
+        const kx = { size: 3, values: operator.x.map(v => v / operator.scale) };
+        const ky = { size: 3, values: [0, 1, 2].flatMap(y => [0, 1, 2].map(x => kx.values[x * 3 + y])) };
+
+        // The kernels are applied without flipping, so positive gx means brighter to
+        // the right and positive gy brighter below
+        const gx = Convolution.convolveValues(values, width, height, kx, 'reflect');
+        const gy = Convolution.convolveValues(values, width, height, ky, 'reflect');
+        const magnitude = new Float32Array(width * height);
+        for (let i = 0; i < magnitude.length; i++) {
+            magnitude[i] = Math.hypot(gx[i], gy[i]);
+        }
+        return { gx, gy, magnitude };
+    },
+
+    // Thin edges to one pixel: keep a pixel only if it is a local maximum across the
+    // edge, comparing with its two neighbours along the quantized gradient direction
+    nonMaximumSuppression({ gx, gy, magnitude }, width, height) {
+        const suppressed = new Float32Array(width * height);
+
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                const i = y * width + x;
+                const m = magnitude[i];
+                if (m === 0) continue;
+
+                let angle = Math.atan2(gy[i], gx[i]) * 180 / Math.PI;
+                if (angle < 0) angle += 180;
+
+                let offset;
+                if (angle < 22.5 || angle >= 157.5) offset = 1;             // horizontal gradient
+                else if (angle < 67.5) offset = width + 1;                  // down-right
+                else if (angle < 112.5) offset = width;                     // vertical gradient
+                else offset = width - 1;                                    // down-left
+
+                if (m >= magnitude[i + offset] && m > magnitude[i - offset]) {
+                    suppressed[i] = m;
+                }
+            }
+        }
+        return suppressed;
+    },
+
+    // Strong pixels (>= high) are edges; weak pixels (>= low) are kept only when
+    // connected to a strong pixel through other weak or strong pixels (8-connectivity)
+    hysteresis(suppressed, width, height, low, high) {
+        const edges = new Uint8Array(width * height);
+        const stack = new Int32Array(width * height);
+        let top = 0;
+
+        for (let i = 0; i < suppressed.length; i++) {
+            if (suppressed[i] >= high && !edges[i]) {
+                edges[i] = 1;
+                stack[top++] = i;
+
+                while (top > 0) {
+                    const p = stack[--top];
+                    const px = p % width;
+                    const py = (p - px) / width;
+                    for (let dy = -1; dy <= 1; dy++) {
+                        const ny = py + dy;
+                        if (ny < 0 || ny >= height) continue;
+                        for (let dx = -1; dx <= 1; dx++) {
+                            const nx = px + dx;
+                            if (nx < 0 || nx >= width) continue;
+                            const n = ny * width + nx;
+                            if (!edges[n] && suppressed[n] >= low) {
+                                edges[n] = 1;
+                                stack[top++] = n;
+                            }
+                        }
+                    }
+                }
+            }
+        }
+        return edges;
+    },
+
+    // Canny: 5x5 Gaussian smoothing, gradients, non-maximum suppression, hysteresis.
+    // Returns a Uint8Array with 1 for edge pixels.
+    canny(values, width, height, { operator = 'sobel', low = 30, high = 80 } = {}) {
+        const smoothed = Convolution.convolveValues(values, width, height, Convolution.gaussianKernel(5), 'reflect');
+        const gradients = EdgeDetection.gradients(smoothed, width, height, operator);
+        const suppressed = EdgeDetection.nonMaximumSuppression(gradients, width, height);
+        return EdgeDetection.hysteresis(suppressed, width, height, Math.min(low, high), high);
+    },
+
+    // Render edges of a grayscale buffer.
+    // options: { operator: 'sobel'|'prewitt'|'scharr', mode: 'magnitude'|'orientation'|'canny', low, high }
+    detect(src, options = {}, output) {
+        const { operator = 'sobel', mode = 'magnitude', low = 30, high = 80 } = options;
+        const out = PixelCore.prepareOutput(src, output);
+        const { width, height } = src;
+        const d = out.data;
+        const values = EdgeDetection.grayValues(src);
+
+        if (mode === 'canny') {
+            const edges = EdgeDetection.canny(values, width, height, { operator, low, high });
+            for (let i = 0; i < edges.length; i++) {
+                const value = edges[i] ? 255 : 0;
+                d[i * 4] = value;
+                d[i * 4 + 1] = value;
+                d[i * 4 + 2] = value;
+                d[i * 4 + 3] = 255;
+            }
+            return out;
+        }
+
+        const { gx, gy, magnitude } = EdgeDetection.gradients(values, width, height, operator);
+        for (let i = 0; i < magnitude.length; i++) {
+            const strength = Math.min(255, magnitude[i]);
+            let r = strength, g = strength, b = strength;
+            if (mode === 'orientation') {
+                const angle = Math.atan2(gy[i], gx[i]) * 180 / Math.PI;
+                [r, g, b] = PixelCore.hsvToRgb(angle < 0 ? angle + 360 : angle, 255, strength);
+            }
+            d[i * 4] = r;
+            d[i * 4 + 1] = g;
+            d[i * 4 + 2] = b;
+            d[i * 4 + 3] = 255;
+        }
+        return out;
+    }
+};
+
+// Export for Node scripts and unit tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EdgeDetection;
+}
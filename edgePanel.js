@@ -0,0 +1,90 @@
+// Edge Detection Controls for Image Processing Application
+// Operator, display mode and Canny hysteresis thresholds for the 'Edge Detection'
+// panel; face filter 5 uses the same settings.
+class EdgePanel {
+    constructor() {
+        this.setupEventListeners();
+        this.updateControls();
+    }
+
+    setupEventListeners() {
+        ['edgeOperator', 'edgeMode'].forEach(id => {
+            const select = document.getElementById(id);
+            if (select) {
+                select.addEventListener('change', () => {
+                    this.updateControls();
+                    this.paramsChanged();
+                });
+            }
+        });
+
+        ['edgeLow', 'edgeHigh'].forEach(id => {
+            const slider = document.getElementById(id);
+            if (slider) {
+                slider.addEventListener('input', () => {
+                    this.keepThresholdsOrdered(id);
+                    this.paramsChanged();
+                });
+            }
+        });
+    }
+
+    // The low threshold can never pass the high one; move whichever slider was not dragged
+    keepThresholdsOrdered(changedId) {
+        const lowSlider = document.getElementById('edgeLow');
+        const highSlider = document.getElementById('edgeHigh');
+        if (!lowSlider || !highSlider) return;
+
+        if (parseInt(lowSlider.value) > parseInt(highSlider.value)) {
+            if (changedId === 'edgeLow') {
+                highSlider.value = lowSlider.value;
+            } else {
+                lowSlider.value = highSlider.value;
+            }
+        }
+
+        const lowValue = document.getElementById('edgeLowValue');
+        const highValue = document.getElementById('edgeHighValue');
+        if (lowValue) lowValue.textContent = lowSlider.value;
+        if (highValue) highValue.textContent = highSlider.value;
+    }
+
+    // Hysteresis thresholds only apply to Canny
+    updateControls() {
+        const isCanny = document.getElementById('edgeMode')?.value === 'canny';
+        ['edgeLow', 'edgeHigh'].forEach(id => {
+            const slider = document.getElementById(id);
+            if (slider) slider.disabled = !isCanny;
+        });
+    }
+
+    paramsChanged() {
+        if (capturedImage) {
+            uiController.updateProcessing();
+            if (currentFaceFilter === 5) {
+                processFaceDetection();
+            }
+        }
+    }
+
+    // Pipeline parameters for the 'edges' stage
+    getParams() {
+        return {
+            edgeOperator: document.getElementById('edgeOperator')?.value || 'sobel',
+            edgeMode: document.getElementById('edgeMode')?.value || 'magnitude',
+            edgeLow: parseInt(document.getElementById('edgeLow')?.value || 30),
+            edgeHigh: parseInt(document.getElementById('edgeHigh')?.value || 80)
+        };
+    }
+
+    // The same settings in the form EdgeDetection.detect expects
+    getOptions() {
+        const params = this.getParams();
+        return { operator: params.edgeOperator, mode: params.edgeMode, low: params.edgeLow, high: params.edgeHigh };
+    }
+}
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EdgePanel;
+}
@@ -0,0 +1,217 @@
+// Histogram Panel for Image Processing Application
+// Draws the per-channel histograms computed by the pipeline's 'histograms' stage,
+// lists their statistics and marks where the threshold sliders currently sit.
+class HistogramPanel {
+    constructor() {
+        this.histograms = null;
+
+        // Each chart overlays several series; a series with a threshold gets a slider marker
+        this.groups = [
+            {
+                id: 'rgb',
+                title: 'RGB Channels',
+                series: [
+                    { key: 'red', label: 'R', color: '#e74c3c', threshold: 'redThreshold' },
+                    { key: 'green', label: 'G', color: '#27ae60', threshold: 'greenThreshold' },
+                    { key: 'blue', label: 'B', color: '#2980b9', threshold: 'blueThreshold' }
+                ]
+            },
+            {
+                id: 'luminance',
+                title: 'Grayscale Luminance',
+                series: [
+                    { key: 'luminance', label: 'Y', color: '#555555' }
+                ]
+            },
+            {
+                // Follows the color space selected for the HSV panel
+                id: 'hsv',
+                title: 'HSV Components',
+                series: [
+                    { key: 'hue', label: 'H', color: '#8e44ad', component: 0 },
+                    { key: 'saturation', label: 'S', color: '#e67e22', component: 1 },
+                    { key: 'value', label: 'V', color: '#16a085', component: 2 },
+                    // The HSV threshold compares the mean of the three components
+                    { key: 'hsvMean', label: 'Mean', color: '#999999', threshold: 'hsvThreshold', dashed: true }
+                ]
+            },
+            {
+                id: 'lab',
+                title: 'Lab Components',
+                series: [
+                    { key: 'labL', label: 'L', color: '#34495e', component: 0 },
+                    { key: 'labA', label: 'a', color: '#c0392b', component: 1 },
+                    { key: 'labB', label: 'b', color: '#f1c40f', component: 2 },
+                    { key: 'labMean', label: 'Mean', color: '#999999', threshold: 'labThreshold', dashed: true }
+                ]
+            }
+        ];
+
+        this.buildPanel();
+        this.setupEventListeners();
+    }
+
+    buildPanel() {
+        const container = document.getElementById('histogramCharts');
+        if (!container) {
+            console.error('Histogram container not found');
+            return;
+        }
+
+        this.groups.forEach(group => {
+            const chart = document.createElement('div');
+            chart.className = 'histogram-chart';
+
+            const title = document.createElement('h4');
+            title.textContent = group.title;
+            title.id = `histogramTitle_${group.id}`;
+            chart.appendChild(title);
+
+            const canvas = document.createElement('canvas');
+            canvas.width = 256;
+            canvas.height = 100;
+            canvas.id = `histogram_${group.id}`;
+            chart.appendChild(canvas);
+
+            const table = document.createElement('table');
+            table.className = 'histogram-stats';
+            table.id = `histogramStats_${group.id}`;
+            chart.appendChild(table);
+
+            container.appendChild(chart);
+        });
+    }
+
+    setupEventListeners() {
+        // Markers follow the sliders even when no stage needs recomputing
+        ['red', 'green', 'blue', 'hsv', 'lab'].forEach(color => {
+            const slider = document.getElementById(`${color}Threshold`);
+            if (slider) {
+                slider.addEventListener('input', () => {
+                    this.drawCharts();
+                });
+            }
+        });
+    }
+
+    // Called with the 'histograms' stage result whenever the source changes
+    update(histograms) {
+        this.histograms = histograms;
+        this.drawCharts();
+        this.updateStats();
+    }
+
+    // Relabel a color space chart after its panel switched color space; grayscale
+    // spaces repeat one component, so only the first series is kept
+    setColorSpace(groupId, spaceKey) {
+        const group = this.groups.find(g => g.id === groupId);
+        const space = COLOR_SPACES[spaceKey];
+        if (!group || !space) return;
+
+        group.title = `${space.name} Components`;
+        group.series.forEach(series => {
+            if (series.component === undefined) return;
+            const component = space.components[series.component];
+            series.hidden = !component;
+            if (component) series.label = component.label;
+        });
+
+        const title = document.getElementById(`histogramTitle_${group.id}`);
+        if (title) title.textContent = group.title;
+
+        this.drawCharts();
+        this.updateStats();
+    }
+
+    getThreshold(name) {
+        const slider = document.getElementById(name);
+        return slider ? parseInt(slider.value) : null;
+    }
+
+    drawCharts() {
+        if (!this.histograms) return;
+
+        this.groups.forEach(group => {
+            const canvas = document.getElementById(`histogram_${group.id}`);
+            if (!canvas) return;
+
+            const ctx = canvas.getContext('2d');
+            const { width, height } = canvas;
+            ctx.clearRect(0, 0, width, height);
+
+            // Shared vertical scale so series in one chart are comparable
+            let peak = 1;
+            group.series.forEach(series => {
+                const hist = this.histograms[series.key];
+                if (!hist || series.hidden) return;
+                for (let v = 0; v < 256; v++) {
+                    if (hist[v] > peak) peak = hist[v];
+                }
+            });
+
+            group.series.forEach(series => {
+                const hist = this.histograms[series.key];
+                if (!hist || series.hidden) return;
+
+                ctx.beginPath();
+                ctx.strokeStyle = series.color;
+                ctx.lineWidth = 1;
+                ctx.setLineDash(series.dashed ? [3, 2] : []);
+                for (let v = 0; v < 256; v++) {
+                    const x = v * width / 256;
+                    const y = height - (hist[v] / peak) * (height - 2);
+                    if (v === 0) ctx.moveTo(x, y);
+                    else ctx.lineTo(x, y);
+                }
+                ctx.stroke();
+            });
+            ctx.setLineDash([]);
+
+            // Threshold slider markers
+            group.series.forEach(series => {
+                if (!series.threshold) return;
+                const value = this.getThreshold(series.threshold);
+                if (value === null) return;
+
+                const x = value * width / 256 + 0.5;
+                ctx.strokeStyle = series.dashed ? '#333333' : series.color;
+                ctx.lineWidth = 2;
+                ctx.beginPath();
+                ctx.moveTo(x, 0);
+                ctx.lineTo(x, height);
+                ctx.stroke();
+
+                ctx.fillStyle = ctx.strokeStyle;
+                ctx.font = '10px sans-serif';
+                ctx.textAlign = x > width - 30 ? 'right' : 'left';
+                ctx.fillText(value, x > width - 30 ? x - 3 : x + 3, 10);
+            });
+        });
+    }
+
+    updateStats() {
+        if (!this.histograms) return;
+
+        this.groups.forEach(group => {
+            const table = document.getElementById(`histogramStats_${group.id}`);
+            if (!table) return;
+
+            let html = '<tr><th></th><th>Mean</th><th>Std</th><th>Min</th><th>Max</th><th>Entropy</th></tr>';
+            group.series.forEach(series => {
+                const hist = this.histograms[series.key];
+                if (!hist || series.hidden) return;
+
+                const stats = PixelCore.histogramStats(hist);
+                html += `<tr><td style="color: ${series.color}">${series.label}</td>` +
+                        `<td>${stats.mean.toFixed(1)}</td><td>${stats.std.toFixed(1)}</td>` +
+                        `<td>${stats.min}</td><td>${stats.max}</td><td>${stats.entropy.toFixed(2)}</td></tr>`;
+            });
+            table.innerHTML = html;
+        });
+    }
+}
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HistogramPanel;
+}
@@ -0,0 +1,156 @@
+// Image File Input for Image Processing Application
+// Loads PNG/JPEG/WebP files from a file picker or by dropping them on the image grid,
+// fits them to the processing resolution and runs them through the pipeline.
+class ImageInputController {
+    constructor() {
+        this.supportedTypes = ['image/png', 'image/jpeg', 'image/webp'];
+        this.isActive = false;    // A loaded file is shown instead of the camera
+        this.sourceImage = null;  // Full-size decoded image, kept so resolution changes refit from it
+        this.fileName = '';
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        const openBtn = document.getElementById('openImageBtn');
+        const fileInput = document.getElementById('imageFileInput');
+
+        if (openBtn && fileInput) {
+            openBtn.addEventListener('click', () => {
+                fileInput.click();
+            });
+        }
+
+        if (fileInput) {
+            fileInput.addEventListener('change', (e) => {
+                if (e.target.files.length > 0) {
+                    this.loadFile(e.target.files[0]);
+                }
+                // Allow picking the same file again
+                e.target.value = '';
+            });
+        }
+
+        // Drag and drop onto the image grid
+        const grid = document.getElementById('imageGrid');
+        if (grid) {
+            grid.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'copy';
+                grid.classList.add('drag-over');
+            });
+
+            grid.addEventListener('dragleave', (e) => {
+                // Ignore leave events fired when moving between child elements
+                if (!grid.contains(e.relatedTarget)) {
+                    grid.classList.remove('drag-over');
+                }
+            });
+
+            grid.addEventListener('drop', (e) => {
+                e.preventDefault();
+                grid.classList.remove('drag-over');
+                const files = e.dataTransfer.files;
+                if (files && files.length > 0) {
+                    this.loadFile(files[0]);
+                }
+            });
+        }
+    }
+
+    isSupported(file) {
+        return file && this.supportedTypes.includes(file.type);
+    }
+
+    // Decode a file into an HTMLImageElement
+    decodeFile(file) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(file);
+            const img = new Image();
+            img.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve(img);
+            };
+            img.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error(`Could not decode ${file.name}`));
+            };
+            img.src = url;
+        });
+    }
+
+    async loadFile(file) {
+        if (!this.isSupported(file)) {
+            uiController.updateStatusText(`Unsupported file type: ${file ? file.type || file.name : 'none'} (use PNG, JPEG or WebP)`);
+            return;
+        }
+
+        console.log(`=== LOADING IMAGE FILE: ${file.name} ===`);
+        uiController.updateStatusText(`Loading ${file.name}...`);
+
+        try {
+            const img = await this.decodeFile(file);
+
+            // Live mode would immediately overwrite the loaded image with camera frames
+            if (liveModeController && liveModeController.isLive) {
+                liveModeController.stop();
+            }
+
+            this.setSource(img, file.name);
+            await this.showImage();
+            uiController.updateStatusText(`Processed ${file.name} (${img.naturalWidth}x${img.naturalHeight})`);
+        } catch (error) {
+            console.error("Error loading image file:", error);
+            uiController.updateStatusText('Error loading image: ' + error.message);
+        }
+    }
+
+    // Make a decoded image the current input in place of the camera
+    setSource(img, fileName) {
+        this.sourceImage = img;
+        this.fileName = fileName;
+        this.isActive = true;
+        inputSource.select('file');
+    }
+
+    // Fit an image (or video element) into the processing resolution, keeping its aspect ratio
+    fitToResolution(img, sourceWidth = img.naturalWidth, sourceHeight = img.naturalHeight) {
+        const width = imageProcessor.width;
+        const height = imageProcessor.height;
+        const frame = bufferPool.acquireGraphics('capture', width, height);
+        this.drawFitted(frame.drawingContext, img, sourceWidth, sourceHeight, width, height);
+        return frame;
+    }
+
+    // Draw a source centred in width x height, letterboxed with black bars
+    drawFitted(ctx, img, sourceWidth, sourceHeight, width, height) {
+        const scale = Math.min(width / sourceWidth, height / sourceHeight);
+        const drawWidth = Math.round(sourceWidth * scale);
+        const drawHeight = Math.round(sourceHeight * scale);
+
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, width, height);
+        ctx.drawImage(img,
+            Math.round((width - drawWidth) / 2), Math.round((height - drawHeight) / 2),
+            drawWidth, drawHeight);
+    }
+
+    // Set the loaded image as the capture and process every panel
+    showImage() {
+        if (!this.sourceImage) return Promise.resolve();
+
+        capturedImage = this.fitToResolution(this.sourceImage);
+        displayImageOnCanvas(capturedImage, 'original');
+        return processImages();
+    }
+
+    // Called by the source switcher when another source takes over
+    release() {
+        this.isActive = false;
+    }
+}
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ImageInputController;
+}
@@ -0,0 +1,190 @@
+// Input Source Switcher for Image Processing Application
+// Webcam, shared screen, image file and video file are interchangeable sources for
+// processImages(); this tracks which one is active and hides their differences.
+class InputSourceManager {
+    constructor() {
+        this.current = 'webcam';
+        this.labels = {
+            webcam: 'Webcam',
+            screen: 'Screen / window',
+            file: 'Image file',
+            video: 'Video file'
+        };
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        const select = document.getElementById('inputSourceSelect');
+        if (select) {
+            select.addEventListener('change', (e) => {
+                this.request(e.target.value);
+            });
+        }
+    }
+
+    // Handle a choice from the switcher; file and screen sources only become
+    // active once the user has actually picked something
+    request(name) {
+        // Show the active source until the new one has loaded
+        this.updateSelect();
+
+        switch (name) {
+            case 'webcam':
+                this.select('webcam');
+                uiController.updateStatusText('Source: webcam');
+                break;
+
+            case 'screen':
+                screenCaptureController.start();
+                break;
+
+            case 'file':
+                document.getElementById('imageFileInput')?.click();
+                break;
+
+            case 'video':
+                document.getElementById('videoFileInput')?.click();
+                break;
+
+            default:
+                console.error(`Unknown input source: ${name}`);
+        }
+    }
+
+    // Make a source current and release the previous one
+    select(name) {
+        if (name === this.current) return;
+
+        const previous = this.current;
+        this.current = name;
+
+        switch (previous) {
+            case 'screen':
+                screenCaptureController.stop();
+                break;
+            case 'file':
+                imageInputController.release();
+                break;
+            case 'video':
+                videoFileController.close();
+                break;
+        }
+
+        this.updateSelect();
+        console.log(`Input source: ${previous} -> ${name}`);
+    }
+
+    updateSelect() {
+        const select = document.getElementById('inputSourceSelect');
+        if (select) {
+            select.value = this.current;
+        }
+    }
+
+    isCamera() {
+        return this.current === 'webcam';
+    }
+
+    // Whether the source delivers new frames that live mode can process
+    isStreaming() {
+        switch (this.current) {
+            case 'webcam':
+                return cameraActive && video && video.elt && video.elt.readyState >= 2;
+            case 'screen':
+                return screenCaptureController.isReady();
+            case 'video':
+                return videoFileController.isPlaying();
+            default:
+                return false;
+        }
+    }
+
+    // Draw the current frame of the active source into the pooled capture buffer
+    grabFrame() {
+        switch (this.current) {
+            case 'screen':
+                return screenCaptureController.grabFrame();
+            case 'video':
+                return videoFileController.grabFrame();
+            case 'file':
+                return imageInputController.fitToResolution(imageInputController.sourceImage);
+            default:
+                return uiController.grabVideoFrame();
+        }
+    }
+
+    // Keep the original panel showing the active source (called from draw())
+    drawPreview() {
+        switch (this.current) {
+            case 'screen':
+                screenCaptureController.drawPreview();
+                break;
+            case 'video':
+                videoFileController.drawPreview();
+                break;
+            case 'webcam':
+                if (video && video.elt && video.elt.readyState >= 2 && cameraActive && canvases.original) {
+                    displayLiveVideo();
+                }
+                break;
+            // Image files are drawn once when loaded
+        }
+    }
+
+    // Capture the active source and run every panel
+    capture() {
+        switch (this.current) {
+            case 'file':
+                return imageInputController.showImage();
+            case 'video':
+                return videoFileController.processCurrentFrame();
+            case 'screen':
+                if (!screenCaptureController.isReady()) {
+                    uiController.updateStatusText('Screen capture not ready, please wait...');
+                    return Promise.resolve();
+                }
+                capturedImage = screenCaptureController.grabFrame();
+                displayImageOnCanvas(capturedImage, 'original');
+                return processImages();
+            default:
+                uiController.captureImage();
+                return Promise.resolve();
+        }
+    }
+
+    // Redo the current frame after the processing resolution changed
+    reprocess() {
+        switch (this.current) {
+            case 'file':
+                return imageInputController.showImage();
+            case 'video':
+                return videoFileController.processCurrentFrame();
+            case 'screen':
+                // The shared screen has moved on since the last capture, so take its current frame
+                if (capturedImage && screenCaptureController.isReady()) {
+                    return this.capture();
+                }
+                // Sharing has stopped: keep the last capture, resampled
+                return this.resampleCapture();
+            default:
+                return this.resampleCapture();
+        }
+    }
+
+    // Resample the existing capture so the grid stays consistent
+    resampleCapture() {
+        if (capturedImage) {
+            const resampled = bufferPool.acquireGraphics('capture', imageProcessor.width, imageProcessor.height);
+            resampled.image(capturedImage, 0, 0, imageProcessor.width, imageProcessor.height);
+            capturedImage = resampled;
+            return processImages();
+        }
+        return Promise.resolve();
+    }
+}
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = InputSourceManager;
+}
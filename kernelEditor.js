@@ -0,0 +1,133 @@
+// Kernel Editor for Image Processing Application
+// Lets the user pick a 3x3, 5x5 or 7x7 preset or type kernel weights by hand; the
+// pipeline's 'convolution' stage previews the result in the 'Convolution' panel.
+class KernelEditor {
+    constructor() {
+        this.size = 3;
+        this.kernel = null;
+
+        this.setupEventListeners();
+        this.applyPreset('sharpen');
+    }
+
+    setupEventListeners() {
+        const presetSelect = document.getElementById('kernelPreset');
+        if (presetSelect) {
+            presetSelect.addEventListener('change', (e) => {
+                if (e.target.value !== 'custom') {
+                    this.applyPreset(e.target.value);
+                    this.paramsChanged();
+                }
+            });
+        }
+
+        const sizeSelect = document.getElementById('kernelSize');
+        if (sizeSelect) {
+            sizeSelect.addEventListener('change', (e) => {
+                this.size = parseInt(e.target.value);
+                // A custom kernel can't be resized meaningfully; restart from identity
+                const preset = presetSelect && presetSelect.value !== 'custom' ? presetSelect.value : 'identity';
+                this.applyPreset(preset);
+                this.paramsChanged();
+            });
+        }
+
+        ['kernelBorder', 'kernelNormalize'].forEach(id => {
+            const control = document.getElementById(id);
+            if (control) {
+                control.addEventListener('change', () => {
+                    this.updateInfo();
+                    this.paramsChanged();
+                });
+            }
+        });
+
+        const biasSlider = document.getElementById('kernelBias');
+        if (biasSlider) {
+            biasSlider.addEventListener('input', (e) => {
+                this.setBiasLabel(e.target.value);
+                this.paramsChanged();
+            });
+        }
+    }
+
+    applyPreset(name) {
+        const { kernel, bias } = Convolution.preset(name, this.size);
+        this.kernel = kernel;
+
+        const presetSelect = document.getElementById('kernelPreset');
+        if (presetSelect) presetSelect.value = name;
+
+        const biasSlider = document.getElementById('kernelBias');
+        if (biasSlider) biasSlider.value = bias;
+        this.setBiasLabel(bias);
+
+        this.buildGrid();
+        this.updateInfo();
+    }
+
+    setBiasLabel(value) {
+        const biasValue = document.getElementById('kernelBiasValue');
+        if (biasValue) biasValue.textContent = value;
+    }
+
+    // One number input per weight
+    buildGrid() {
+        const grid = document.getElementById('kernelGrid');
+        if (!grid) return;
+
+        grid.innerHTML = '';
+        grid.style.gridTemplateColumns = `repeat(${this.size}, 1fr)`;
+
+        this.kernel.values.forEach((value, index) => {
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.step = 'any';
+            input.className = 'kernel-cell';
+            input.value = Number.isInteger(value) ? value : value.toFixed(4);
+            input.addEventListener('input', (e) => {
+                const weight = parseFloat(e.target.value);
+                this.kernel.values[index] = isNaN(weight) ? 0 : weight;
+
+                const presetSelect = document.getElementById('kernelPreset');
+                if (presetSelect) presetSelect.value = 'custom';
+                this.updateInfo();
+                this.paramsChanged();
+            });
+            grid.appendChild(input);
+        });
+    }
+
+    // Show the sum and whether the fast separable path applies
+    updateInfo() {
+        const info = document.getElementById('kernelInfo');
+        if (!info) return;
+
+        const normalize = document.getElementById('kernelNormalize')?.checked || false;
+        const kernel = normalize ? Convolution.normalizeKernel(this.kernel) : this.kernel;
+        const separable = Convolution.separate(kernel) !== null;
+        info.textContent = `Sum: ${Convolution.kernelSum(this.kernel).toFixed(3)} · ` +
+                           (separable ? 'separable (two 1D passes)' : 'not separable (full 2D)');
+    }
+
+    paramsChanged() {
+        if (capturedImage) {
+            uiController.updateProcessing();
+        }
+    }
+
+    // Pipeline parameters for the 'convolution' stage
+    getParams() {
+        return {
+            convolutionKernel: { size: this.kernel.size, values: this.kernel.values.slice() },
+            convolutionBorder: document.getElementById('kernelBorder')?.value || 'clamp',
+            convolutionNormalize: document.getElementById('kernelNormalize')?.checked || false,
+            convolutionBias: parseInt(document.getElementById('kernelBias')?.value || 0)
+        };
+    }
+}
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = KernelEditor;
+}
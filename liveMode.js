@@ -0,0 +1,163 @@
+// Live Mode for Image Processing Application
+// Runs the full processing pipeline on the video stream at a target frame rate,
+// skipping frames adaptively when processing cannot keep up.
+class LiveModeController {
+    constructor() {
+        this.isLive = false;
+        this.targetFps = 10;
+        this.lastRunTime = 0;
+        this.averageProcessingTime = 0; // Smoothed milliseconds per pipeline run
+        this.framePending = false;      // Waiting on the pipeline (possibly in the worker)
+        this.faceDetectionPending = false;
+
+        // Throughput statistics for the FPS counter
+        this.framesProcessed = 0;
+        this.framesSkipped = 0;
+        this.statsWindowStart = 0;
+        this.pipelineFps = 0;
+        this.skippedPerSecond = 0;
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        const liveBtn = document.getElementById('liveToggle');
+        if (liveBtn) {
+            liveBtn.addEventListener('click', () => {
+                this.toggle();
+            });
+        }
+
+        const fpsSlider = document.getElementById('liveTargetFps');
+        const fpsValue = document.getElementById('liveTargetFpsValue');
+        if (fpsSlider) {
+            this.targetFps = parseInt(fpsSlider.value) || this.targetFps;
+            fpsSlider.addEventListener('input', (e) => {
+                this.targetFps = parseInt(e.target.value);
+                if (fpsValue) {
+                    fpsValue.textContent = this.targetFps;
+                }
+            });
+        }
+    }
+
+    toggle() {
+        if (this.isLive) {
+            this.stop();
+        } else {
+            this.start();
+        }
+    }
+
+    start() {
+        if (!inputSource.isStreaming()) {
+            uiController.updateStatusText('Start the camera or screen share, or play a video, before enabling live mode');
+            return;
+        }
+
+        this.isLive = true;
+        this.lastRunTime = 0;
+        this.averageProcessingTime = 0;
+        this.resetStats(millis());
+        this.updateButton();
+        uiController.updateStatusText(`Live processing started at ${this.targetFps} FPS target`);
+    }
+
+    stop() {
+        this.isLive = false;
+        this.updateButton();
+        uiController.updateStatusText('Live processing stopped');
+    }
+
+    updateButton() {
+        const liveBtn = document.getElementById('liveToggle');
+        if (liveBtn) {
+            liveBtn.classList.toggle('active', this.isLive);
+            liveBtn.textContent = this.isLive ? '⏹ Stop Live' : '🔴 Live Mode';
+        }
+    }
+
+    // Called from draw() every frame; processes a frame when one is due
+    update(now) {
+        if (!this.isLive) return;
+
+        // Stops when the source does (camera off, screen share ended, video paused)
+        if (!inputSource.isStreaming()) {
+            this.stop();
+            return;
+        }
+
+        const targetInterval = 1000 / this.targetFps;
+        const elapsed = now - this.lastRunTime;
+
+        // Never schedule faster than processing actually takes
+        const interval = Math.max(targetInterval, this.averageProcessingTime);
+
+        if (elapsed >= interval && !this.framePending) {
+            this.processFrame(now);
+        } else if (elapsed >= targetInterval) {
+            // A frame was due at the target rate but processing is behind
+            this.framesSkipped++;
+        }
+
+        this.updateStats(now);
+    }
+
+    processFrame(now) {
+        const startTime = performance.now();
+        this.framePending = true;
+        this.lastRunTime = now;
+
+        try {
+            capturedImage = inputSource.grabFrame();
+
+            // Face detection is slower than the pipeline; only start one once the last has finished.
+            // The next frame overwrites the capture buffer, so detection runs on its own copy,
+            // which is not acquired again until this detection has settled.
+            if (!this.faceDetectionPending) {
+                const snapshot = bufferPool.acquireGraphics('liveFaceSnapshot', imageProcessor.width, imageProcessor.height);
+                if (snapshot) {
+                    snapshot.image(capturedImage, 0, 0);
+                    this.faceDetectionPending = true;
+                    processFaceDetection(snapshot).finally(() => {
+                        this.faceDetectionPending = false;
+                    });
+                }
+            }
+
+            processImages({ detectFaces: false }).then(() => {
+                const duration = performance.now() - startTime;
+                this.averageProcessingTime = this.averageProcessingTime === 0 ?
+                    duration : this.averageProcessingTime * 0.8 + duration * 0.2;
+                this.framesProcessed++;
+            }).finally(() => {
+                this.framePending = false;
+            });
+        } catch (error) {
+            console.error("Error processing live frame:", error);
+            this.framePending = false;
+            this.stop();
+        }
+    }
+
+    resetStats(now) {
+        this.framesProcessed = 0;
+        this.framesSkipped = 0;
+        this.statsWindowStart = now;
+    }
+
+    updateStats(now) {
+        const windowLength = now - this.statsWindowStart;
+        if (windowLength < 1000) return;
+
+        this.pipelineFps = this.framesProcessed * 1000 / windowLength;
+        this.skippedPerSecond = this.framesSkipped * 1000 / windowLength;
+        this.resetStats(now);
+    }
+
+    // Text for the FPS counter: real pipeline throughput while live
+    getFpsText() {
+        return `${this.pipelineFps.toFixed(1)} (${Math.round(this.averageProcessingTime)}ms, ` +
+               `${Math.round(this.skippedPerSecond)} skipped/s)`;
+    }
+}
@@ -0,0 +1,129 @@
+// Morphology for Image Processing Application
+// Erode, dilate, open, close, gradient and top-hat on grayscale or binary buffers
+// (R = G = B, e.g. threshold masks) with square, cross or disk structuring elements.
+// Pure functions, shared with the worker.
+
+// PixelCore is a script global in the browser and worker; require it under Node
+if (typeof module !== 'undefined' && module.exports) {
+    globalThis.PixelCore = require('./pixelCore.js');
+}
+
+const Morphology = {
+    SHAPES: ['square', 'cross', 'disk'],
+    OPERATIONS: ['erode', 'dilate', 'open', 'close', 'gradient', 'tophat'],
+
+    // Offsets covered by a size x size structuring element centred on the pixel
+    structuringElement(shape = 'square', size = 3) {
+        const radius = Math.floor(size / 2);
+        const offsets = [];
+        for (let dy = -radius; dy <= radius; dy++) {
+            for (let dx = -radius; dx <= radius; dx++) {
+                if (shape === 'cross' && dx !== 0 && dy !== 0) continue;
+                if (shape === 'disk' && dx * dx + dy * dy > radius * (radius + 1)) continue;
+                offsets.push([dx, dy]);
+            }
+        }
+        return offsets;
+    },
+
+    // Minimum (erode) or maximum (dilate) over the element. Pixels outside the image
+    // are ignored, so the border neither erodes nor grows the mask.
+    extreme(values, width, height, offsets, useMax) {
+        const result = new Uint8Array(width * height);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let best = useMax ? 0 : 255;
+                for (let k = 0; k < offsets.length; k++) {
+                    const sx = x + offsets[k][0];
+                    const sy = y + offsets[k][1];
+                    if (sx < 0 || sx >= width || sy < 0 || sy >= height) continue;
+                    const v = values[sy * width + sx];
+                    if (useMax ? v > best : v < best) best = v;
+                }
+                result[y * width + x] = best;
+            }
+        }
+        return result;
+    },
+
+    erodeValues(values, width, height, offsets, iterations = 1) {
+        let result = values;
+        for (let i = 0; i < iterations; i++) {
+            result = Morphology.extreme(result, width, height, offsets, false);
+        }
+        return result;
+    },
+
+    dilateValues(values, width, height, offsets, iterations = 1) {
+        let result = values;
+        for (let i = 0; i < iterations; i++) {
+            result = Morphology.extreme(result, width, height, offsets, true);
+        }
+        return result;
+    },
+
+    // Apply one operation to a buffer; output may be the source buffer itself.
+    // options: { operation, shape: 'square'|'cross'|'disk', size: odd number, iterations }
+    apply(src, options = {}, output) {
+        const { operation = 'open', shape = 'square', size = 3, iterations = 1 } = options;
+        const { width, height } = src;
+        const offsets = Morphology.structuringElement(shape, size);
+
+        // Work on the first channel; masks and gray images have R = G = B
+        const values = new Uint8Array(width * height);
+        for (let i = 0; i < values.length; i++) {
+            values[i] = src.data[i * 4];
+        }
+
+        const erode = (v) => Morphology.erodeValues(v, width, height, offsets, iterations);
+        const dilate = (v) => Morphology.dilateValues(v, width, height, offsets, iterations);
+
+        let result;
+        switch (operation) {
+            case 'erode':
+                result = erode(values);
+                break;
+            case 'dilate':
+                result = dilate(values);
+                break;
+            case 'open':
+                // Removes specks smaller than the element
+                result = dilate(erode(values));
+                break;
+            case 'close':
+                // Fills holes and gaps smaller than the element
+                result = erode(dilate(values));
+                break;
+            case 'gradient': {
+                // Outline of the shapes
+                const dilated = dilate(values);
+                const eroded = erode(values);
+                result = dilated.map((v, i) => v - eroded[i]);
+                break;
+            }
+            case 'tophat': {
+                // Bright details smaller than the element
+                const opened = dilate(erode(values));
+                result = values.map((v, i) => v - opened[i]);
+                break;
+            }
+            default:
+                result = values;
+        }
+
+        const out = PixelCore.prepareOutput(src, output);
+        const d = out.data;
+        for (let i = 0; i < result.length; i++) {
+            d[i * 4] = result[i];
+            d[i * 4 + 1] = result[i];
+            d[i * 4 + 2] = result[i];
+            d[i * 4 + 3] = 255;
+        }
+        return out;
+    }
+};
+
+// Export for Node scripts and unit tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Morphology;
+}
@@ -0,0 +1,78 @@
+// Mask Cleanup Controls for Image Processing Application
+// Morphological operation, structuring element and iterations applied after the
+// threshold panels, with a checkbox per panel choosing which masks are cleaned.
+class MorphologyPanel {
+    constructor() {
+        this.panels = ['red', 'green', 'blue', 'hsv', 'lab'];
+        this.operationNames = {
+            erode: 'Erode',
+            dilate: 'Dilate',
+            open: 'Open',
+            close: 'Close',
+            gradient: 'Gradient',
+            tophat: 'Top-hat'
+        };
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        const controls = ['morphOperation', 'morphShape', 'morphSize',
+                          ...this.panels.map(panel => `${panel}Cleanup`)];
+        controls.forEach(id => {
+            const control = document.getElementById(id);
+            if (control) {
+                control.addEventListener('change', () => {
+                    this.paramsChanged();
+                });
+            }
+        });
+
+        const iterationsSlider = document.getElementById('morphIterations');
+        const iterationsValue = document.getElementById('morphIterationsValue');
+        if (iterationsSlider) {
+            iterationsSlider.addEventListener('input', (e) => {
+                if (iterationsValue) {
+                    iterationsValue.textContent = `${e.target.value}x`;
+                }
+                this.paramsChanged();
+            });
+        }
+    }
+
+    paramsChanged() {
+        if (capturedImage) {
+            uiController.updateProcessing();
+        }
+    }
+
+    // Name of the operation cleaning a threshold panel, or null when it is left alone
+    describe(panel) {
+        const cleanup = this.getParams()[`${panel}Cleanup`];
+        return cleanup ? `${this.operationNames[cleanup.operation]} ${cleanup.iterations}x` : null;
+    }
+
+    // Pipeline parameters for the threshold stages: the cleanup options of each panel, or
+    // null when its box is unchecked, so the shared controls only invalidate cleaned panels
+    getParams() {
+        const operation = document.getElementById('morphOperation')?.value || 'none';
+        const options = {
+            operation: operation,
+            shape: document.getElementById('morphShape')?.value || 'square',
+            size: parseInt(document.getElementById('morphSize')?.value || 3),
+            iterations: parseInt(document.getElementById('morphIterations')?.value || 1)
+        };
+
+        const params = {};
+        this.panels.forEach(panel => {
+            const enabled = document.getElementById(`${panel}Cleanup`)?.checked || false;
+            params[`${panel}Cleanup`] = enabled && operation !== 'none' ? options : null;
+        });
+        return params;
+    }
+}
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MorphologyPanel;
+}
@@ -0,0 +1,94 @@
+// Camera Orientation for Image Processing Application
+// One orientation setting shared by the live preview, captured frames and face boxes.
+// Each mode is an affine map from camera pixels to processing pixels; rotated modes
+// are fitted into the processing size with their aspect ratio kept.
+const Orientation = {
+    MODES: {
+        mirror:       { label: 'Mirror (selfie)', rotated: false },
+        none:         { label: 'No mirror', rotated: false },
+        rotate90:     { label: 'Rotate 90°', rotated: true },
+        rotate180:    { label: 'Rotate 180°', rotated: false },
+        rotate270:    { label: 'Rotate 270°', rotated: true },
+        flipVertical: { label: 'Vertical flip', rotated: false }
+    },
+
+    current: 'mirror',
+
+    setMode(mode) {
+        if (!Orientation.MODES[mode]) {
+            throw new Error(`Unknown orientation "${mode}"`);
+        }
+        Orientation.current = mode;
+    },
+
+    // Canvas transform {a, b, c, d, e, f} mapping a sourceWidth x sourceHeight frame
+    // into targetWidth x targetHeight for the given mode
+    getTransform(sourceWidth, sourceHeight, targetWidth, targetHeight, mode = Orientation.current) {
+        const rotated = Orientation.MODES[mode].rotated;
+        const orientedWidth = rotated ? sourceHeight : sourceWidth;
+        const orientedHeight = rotated ? sourceWidth : sourceHeight;
+
+        let sx = targetWidth / orientedWidth;
+        let sy = targetHeight / orientedHeight;
+        if (rotated) {
+            // Stretching a rotated frame would distort it badly, so letterbox instead
+            sx = sy = Math.min(sx, sy);
+        }
+        const ox = (targetWidth - orientedWidth * sx) / 2;
+        const oy = (targetHeight - orientedHeight * sy) / 2;
+
+        switch (mode) {
+            case 'none':
+                return { a: sx, b: 0, c: 0, d: sy, e: ox, f: oy };
+            case 'rotate90':
+                return { a: 0, b: sy, c: -sx, d: 0, e: ox + sx * sourceHeight, f: oy };
+            case 'rotate180':
+                return { a: -sx, b: 0, c: 0, d: -sy, e: ox + sx * sourceWidth, f: oy + sy * sourceHeight };
+            case 'rotate270':
+                return { a: 0, b: -sy, c: sx, d: 0, e: ox, f: oy + sy * sourceWidth };
+            case 'flipVertical':
+                return { a: sx, b: 0, c: 0, d: -sy, e: ox, f: oy + sy * sourceHeight };
+            default: // mirror
+                return { a: -sx, b: 0, c: 0, d: sy, e: ox + sx * sourceWidth, f: oy };
+        }
+    },
+
+    mapPoint(m, x, y) {
+        return {
+            x: m.a * x + m.c * y + m.e,
+            y: m.b * x + m.d * y + m.f
+        };
+    },
+
+    // Draw a camera frame into a 2D context with the current orientation
+    drawFrame(ctx, source, sourceWidth, sourceHeight, targetWidth, targetHeight) {
+        const m = Orientation.getTransform(sourceWidth, sourceHeight, targetWidth, targetHeight);
+
+        ctx.save();
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, targetWidth, targetHeight);
+        // transform() rather than setTransform() keeps any pixel density scale already applied
+        ctx.transform(m.a, m.b, m.c, m.d, m.e, m.f);
+        ctx.drawImage(source, 0, 0, sourceWidth, sourceHeight);
+        ctx.restore();
+    },
+
+    // Map a box {x, y, width, height} detected on the raw camera frame into oriented coordinates
+    transformBox(box, sourceWidth, sourceHeight, targetWidth, targetHeight) {
+        const m = Orientation.getTransform(sourceWidth, sourceHeight, targetWidth, targetHeight);
+        const p1 = Orientation.mapPoint(m, box.x, box.y);
+        const p2 = Orientation.mapPoint(m, box.x + box.width, box.y + box.height);
+
+        return {
+            x: Math.min(p1.x, p2.x),
+            y: Math.min(p1.y, p2.y),
+            width: Math.abs(p2.x - p1.x),
+            height: Math.abs(p2.y - p1.y)
+        };
+    }
+};
+
+// Export for Node scripts and unit tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Orientation;
+}
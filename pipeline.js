@@ -0,0 +1,402 @@
+// Incremental Processing Pipeline for Image Processing Application
+// Stages form a dependency graph; each stage caches its result and only recomputes
+// when one of its inputs or parameters changes. Depends on PixelCore, the color space
+// registry, denoising, convolution, edge detection, morphology, connected components and
+// the skin scanner, and is shared by the main thread and the processing worker.
+
+// Browsers and the worker load the dependencies as scripts first; under Node require them
+// into the same global names the stages use
+if (typeof module !== 'undefined' && module.exports) {
+    globalThis.PixelCore = require('./pixelCore.js');
+    Object.assign(globalThis, require('./colorSpaces.js'));
+    globalThis.Denoise = require('./denoise.js');
+    globalThis.Convolution = require('./convolution.js');
+    globalThis.EdgeDetection = require('./edgeDetection.js');
+    globalThis.Morphology = require('./morphology.js');
+    globalThis.ConnectedComponents = require('./components.js');
+    globalThis.SkinScanner = require('./skinScanner.js');
+}
+
+class ProcessingPipeline {
+    constructor() {
+        this.stages = new Map();   // name -> { inputs, params, compute, activeInputs }
+        this.order = [];           // stage names in dependency order
+        this.inputs = new Set();   // externally supplied values such as 'source'
+        this.params = {};
+        this.cache = new Map();
+        this.dirty = new Set();
+    }
+
+    // Declare an externally supplied value that stages can depend on
+    addInput(name) {
+        this.inputs.add(name);
+        return this;
+    }
+
+    // Register a stage; its inputs must already be declared so the order stays topological.
+    // A stage that reads only some of its inputs depending on its parameters can give
+    // activeInputs(params), returning that subset; the other inputs then neither
+    // invalidate the stage nor hold it back while they are unavailable.
+    addStage(name, { inputs = [], params = [], compute, activeInputs = null }) {
+        if (this.stages.has(name) || this.inputs.has(name)) {
+            throw new Error(`Pipeline stage "${name}" is already defined`);
+        }
+        inputs.forEach(input => {
+            if (!this.stages.has(input) && !this.inputs.has(input)) {
+                throw new Error(`Pipeline stage "${name}" depends on unknown stage "${input}"`);
+            }
+        });
+
+        this.stages.set(name, { inputs, params, compute, activeInputs });
+        this.order.push(name);
+        this.dirty.add(name);
+        return this;
+    }
+
+    // Supply a new external value and invalidate everything downstream of it
+    setInput(name, value) {
+        if (!this.inputs.has(name)) {
+            throw new Error(`Unknown pipeline input "${name}"`);
+        }
+        this.cache.set(name, value);
+        this.invalidateDependents(name);
+    }
+
+    // Update a parameter; only stages that read it (and their dependents) are invalidated.
+    // Object values (e.g. color ranges) count as unchanged when their contents match.
+    setParam(name, value) {
+        const current = this.params[name];
+        if (current === value) return false;
+        if (typeof value === 'object' && value !== null && typeof current === 'object' && current !== null &&
+            JSON.stringify(current) === JSON.stringify(value)) {
+            return false;
+        }
+
+        this.params[name] = value;
+        this.stages.forEach((stage, stageName) => {
+            if (stage.params.includes(name)) {
+                this.invalidate(stageName);
+            }
+        });
+        return true;
+    }
+
+    setParams(values) {
+        Object.keys(values).forEach(name => this.setParam(name, values[name]));
+    }
+
+    // Mark a stage and everything that depends on it for recomputation
+    invalidate(name) {
+        if (this.stages.has(name)) {
+            this.dirty.add(name);
+        }
+        this.invalidateDependents(name);
+    }
+
+    invalidateDependents(name) {
+        this.stages.forEach((stage, stageName) => {
+            if (this.stageInputs(stage).includes(name) && !this.dirty.has(stageName)) {
+                this.invalidate(stageName);
+            }
+        });
+    }
+
+    // The inputs a stage reads with the current parameters
+    stageInputs(stage) {
+        return stage.activeInputs ? stage.activeInputs(this.params) : stage.inputs;
+    }
+
+    invalidateAll() {
+        this.order.forEach(name => this.dirty.add(name));
+    }
+
+    isDirty(name) {
+        return this.dirty.has(name);
+    }
+
+    // Recompute dirty stages in dependency order and return the names that changed
+    run() {
+        const changed = [];
+
+        for (const name of this.order) {
+            if (!this.dirty.has(name)) continue;
+
+            const stage = this.stages.get(name);
+            const inputValues = {};
+            let ready = true;
+            this.stageInputs(stage).forEach(input => {
+                inputValues[input] = this.cache.get(input);
+                if (inputValues[input] === undefined || inputValues[input] === null) {
+                    ready = false;
+                }
+            });
+
+            // Leave the stage dirty until all of its inputs are available
+            if (!ready) continue;
+
+            const paramValues = {};
+            stage.params.forEach(param => {
+                paramValues[param] = this.params[param];
+            });
+
+            // The previous result is passed along so stages can reuse its memory
+            const result = stage.compute(inputValues, paramValues, this.cache.get(name));
+            this.cache.set(name, result);
+            this.dirty.delete(name);
+            changed.push(name);
+        }
+
+        return changed;
+    }
+
+    get(name) {
+        return this.cache.get(name);
+    }
+}
+
+// Build the dependency graph of processing stages; stage names match grid canvas types
+function buildProcessingPipeline() {
+    const pipeline = new ProcessingPipeline();
+    pipeline.addInput('source');
+    
+    // Step 1: Grayscale with 20% brightness increase
+    pipeline.addStage('grayscale', {
+        inputs: ['source'],
+        compute: ({ source }, params, previous) => PixelCore.grayscaleWithBrightness(source, previous)
+    });
+    
+    // Step 2: RGB channel extraction
+    ['red', 'green', 'blue'].forEach((color, channelIndex) => {
+        pipeline.addStage(`${color}Channel`, {
+            inputs: ['source'],
+            compute: ({ source }, params, previous) => PixelCore.extractChannel(source, channelIndex, previous)
+        });
+    });
+    
+    // Edge-preserving smoothing in front of every threshold; the source itself when off.
+    // A passed-through result is some source frame, possibly an older one, so it is never
+    // reused as the output buffer.
+    let passedThrough = null;
+    pipeline.addStage('denoised', {
+        inputs: ['source'],
+        params: ['denoiseMethod', 'denoiseRadius', 'denoiseSigmaColor', 'denoiseSigmaSpace',
+                 'denoiseStrength', 'denoiseSearchRadius', 'denoisePatchRadius'],
+        compute: ({ source }, params, previous) => {
+            const result = Denoise.apply(source, {
+                method: params.denoiseMethod,
+                radius: params.denoiseRadius,
+                sigmaColor: params.denoiseSigmaColor,
+                sigmaSpace: params.denoiseSigmaSpace,
+                strength: params.denoiseStrength,
+                searchRadius: params.denoiseSearchRadius,
+                patchRadius: params.denoisePatchRadius
+            }, previous === passedThrough ? undefined : previous);
+            passedThrough = result === source ? result : null;
+            return result;
+        }
+    });
+    
+    // Step 4: Color space conversions of the (denoised) image. The two panels keep their
+    // HSV/Lab names but can show any registered color space through the hsvSpace/labSpace
+    // parameters.
+    ['hsv', 'lab'].forEach(panel => {
+        pipeline.addStage(`${panel}Conversion`, {
+            inputs: ['denoised'],
+            params: [`${panel}Space`],
+            compute: ({ denoised }, params, previous) =>
+                convertToColorSpace(denoised, params[`${panel}Space`] || panel, previous)
+        });
+    });
+    
+    // Histograms of every channel the thresholds see, for the histogram view and the auto
+    // thresholds; the view is labelled as showing the denoised image
+    pipeline.addStage('histograms', {
+        inputs: ['denoised', 'grayscale', 'hsvConversion', 'labConversion'],
+        compute: ({ denoised, grayscale, hsvConversion, labConversion }, params, previous = {}) => ({
+            red: PixelCore.channelHistogram(denoised, 0, previous.red),
+            green: PixelCore.channelHistogram(denoised, 1, previous.green),
+            blue: PixelCore.channelHistogram(denoised, 2, previous.blue),
+            luminance: PixelCore.channelHistogram(grayscale, 0, previous.luminance),
+            hue: PixelCore.channelHistogram(hsvConversion, 0, previous.hue),
+            saturation: PixelCore.channelHistogram(hsvConversion, 1, previous.saturation),
+            value: PixelCore.channelHistogram(hsvConversion, 2, previous.value),
+            hsvMean: PixelCore.meanHistogram(hsvConversion, previous.hsvMean),
+            labL: PixelCore.channelHistogram(labConversion, 0, previous.labL),
+            labA: PixelCore.channelHistogram(labConversion, 1, previous.labA),
+            labB: PixelCore.channelHistogram(labConversion, 2, previous.labB),
+            labMean: PixelCore.meanHistogram(labConversion, previous.labMean)
+        })
+    });
+    
+    // Automatic threshold per slider; value is null in manual mode so the slider value is used
+    const autoHistograms = { red: 'red', green: 'green', blue: 'blue', hsv: 'hsvMean', lab: 'labMean' };
+    Object.keys(autoHistograms).forEach(color => {
+        pipeline.addStage(`${color}AutoThreshold`, {
+            inputs: ['histograms'],
+            params: [`${color}ThresholdMode`, 'autoPercentile'],
+            compute: ({ histograms }, params) => {
+                const mode = params[`${color}ThresholdMode`] || 'manual';
+                return {
+                    mode: mode,
+                    value: mode === 'manual' ? null :
+                        PixelCore.autoThreshold(histograms[autoHistograms[color]], mode, params.autoPercentile)
+                };
+            }
+        });
+    });
+    
+    const thresholdValue = (auto, params, name) => auto.value !== null ? auto.value : params[name];
+    
+    // Each threshold panel is either global (slider or auto value) or adaptive
+    const adaptiveParams = ['adaptiveWindow', 'adaptiveOffset', 'adaptiveK'];
+    const adaptiveOptions = (params, method) => ({
+        method: method,
+        windowSize: params.adaptiveWindow,
+        offset: params.adaptiveOffset,
+        k: params.adaptiveK
+    });
+    
+    // Optional morphological cleanup of each threshold mask, done in place. The
+    // ${panel}Cleanup parameter holds the Morphology options, or null when the panel is
+    // not cleaned, so the shared cleanup controls only invalidate the panels they affect.
+    const cleanMask = (mask, params, panel) => {
+        const cleanup = params[`${panel}Cleanup`];
+        return cleanup ? Morphology.apply(mask, cleanup, mask) : mask;
+    };
+    
+    // Step 3: Per-channel thresholds
+    ['red', 'green', 'blue'].forEach((color, channelIndex) => {
+        pipeline.addStage(`${color}Threshold`, {
+            inputs: ['denoised', `${color}AutoThreshold`],
+            params: [`${color}Threshold`, `${color}ThresholdType`, ...adaptiveParams, `${color}Cleanup`],
+            compute: (inputs, params, previous) => {
+                const type = params[`${color}ThresholdType`] || 'global';
+                const mask = type !== 'global' ?
+                    PixelCore.adaptiveThreshold(inputs.denoised, channelIndex, adaptiveOptions(params, type), previous) :
+                    PixelCore.channelThreshold(inputs.denoised,
+                        thresholdValue(inputs[`${color}AutoThreshold`], params, `${color}Threshold`), channelIndex, previous);
+                return cleanMask(mask, params, color);
+            }
+        });
+    });
+    
+    // Step 5: Thresholds on the cached color space images
+    ['hsv', 'lab'].forEach(panel => {
+        const conversion = `${panel}Conversion`;
+        pipeline.addStage(`${panel}Threshold`, {
+            inputs: [conversion, `${panel}AutoThreshold`],
+            params: [`${panel}Threshold`, `${panel}ThresholdType`, `${panel}Space`, `${panel}Ranges`, ...adaptiveParams, `${panel}Cleanup`],
+            compute: (inputs, params, previous) => {
+                const type = params[`${panel}ThresholdType`] || 'global';
+                let mask;
+                if (type === 'range') {
+                    // Independent min/max per component of the panel's current color space
+                    mask = PixelCore.componentRangeMask(inputs[conversion],
+                        colorRangesToBytes(params[`${panel}Space`] || panel, params[`${panel}Ranges`]), previous);
+                } else if (type !== 'global') {
+                    mask = PixelCore.adaptiveThreshold(inputs[conversion], 'mean', adaptiveOptions(params, type), previous);
+                } else {
+                    mask = PixelCore.colorSpaceThreshold(inputs[conversion],
+                        thresholdValue(inputs[`${panel}AutoThreshold`], params, `${panel}Threshold`), previous);
+                }
+                return cleanMask(mask, params, panel);
+            }
+        });
+    });
+    
+    // Mask of the colors picked by clicking a panel; empty until something is picked
+    pipeline.addStage('colorPickMask', {
+        inputs: ['source'],
+        params: ['colorPickSpace', 'colorPickRanges'],
+        compute: ({ source }, params, previous) => {
+            if (!params.colorPickRanges) {
+                return PixelCore.emptyMask(source, previous);
+            }
+            // Convert into the previous mask's memory, then threshold it in place
+            const space = params.colorPickSpace || 'hsv';
+            const converted = convertToColorSpace(source, space, previous);
+            return PixelCore.componentRangeMask(converted, colorRangesToBytes(space, params.colorPickRanges), converted);
+        }
+    });
+    
+    // Blobs of one binary mask, measured against the source colors; empty when no mask is chosen.
+    // Only the chosen mask is read, so the other masks changing leaves the blobs alone.
+    const componentMasks = ['redThreshold', 'greenThreshold', 'blueThreshold', 'hsvThreshold', 'labThreshold', 'colorPickMask'];
+    pipeline.addStage('components', {
+        inputs: ['source', ...componentMasks],
+        params: ['componentMask', 'componentConnectivity', 'componentMinArea'],
+        activeInputs: params => componentMasks.includes(params.componentMask) ? ['source', params.componentMask] : ['source'],
+        compute: (inputs, params) => {
+            const maskName = params.componentMask || 'none';
+            const source = inputs.source;
+            if (maskName === 'none') {
+                return { width: source.width, height: source.height, labels: null, count: 0, blobs: [] };
+            }
+            const mask = maskName === 'skin' ? SkinScanner.skinMask(source) : inputs[maskName];
+            return ConnectedComponents.analyze(mask, source, {
+                connectivity: params.componentConnectivity,
+                minArea: params.componentMinArea
+            });
+        }
+    });
+    
+    pipeline.addStage('componentLabels', {
+        inputs: ['components'],
+        compute: ({ components }, params, previous) => ConnectedComponents.render(components, previous)
+    });
+    
+    // Edits made in a color space and converted back to real RGB
+    pipeline.addStage('colorEdit', {
+        inputs: ['source'],
+        params: ['editSpace', 'editHueShift', 'editChromaScale', 'editLightnessScale'],
+        compute: ({ source }, params, previous) => editInColorSpace(source, params.editSpace || 'hsv', {
+            hueShift: params.editHueShift,
+            chromaScale: params.editChromaScale,
+            lightnessScale: params.editLightnessScale
+        }, previous)
+    });
+    
+    // ΔE after encoding into each color space and back; only computed on request
+    pipeline.addStage('roundTrip', {
+        inputs: ['source'],
+        params: ['roundTripReport'],
+        compute: ({ source }, params) => params.roundTripReport ? colorRoundTripReport(source) : null
+    });
+    
+    // User-defined kernel from the kernel editor
+    pipeline.addStage('convolution', {
+        inputs: ['source'],
+        params: ['convolutionKernel', 'convolutionBorder', 'convolutionNormalize', 'convolutionBias'],
+        compute: ({ source }, params, previous) => Convolution.convolve(source,
+            params.convolutionKernel || Convolution.preset('identity', 3).kernel, {
+                border: params.convolutionBorder,
+                normalize: params.convolutionNormalize,
+                bias: params.convolutionBias
+            }, previous)
+    });
+    
+    // Edge detection on the brightened grayscale image
+    pipeline.addStage('edges', {
+        inputs: ['grayscale'],
+        params: ['edgeOperator', 'edgeMode', 'edgeLow', 'edgeHigh'],
+        compute: ({ grayscale }, params, previous) => EdgeDetection.detect(grayscale, {
+            operator: params.edgeOperator,
+            mode: params.edgeMode,
+            low: params.edgeLow,
+            high: params.edgeHigh
+        }, previous)
+    });
+    
+    // Step 6: Original image in repeat position
+    pipeline.addStage('originalRepeat', {
+        inputs: ['source'],
+        compute: ({ source }) => source
+    });
+    
+    return pipeline;
+}
+
+// Export for Node scripts and unit tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ProcessingPipeline, buildProcessingPipeline };
+}
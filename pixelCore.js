@@ -0,0 +1,710 @@
+// Pixel Core for Image Processing Application
+// Pure pixel operations on plain {width, height, data: Uint8ClampedArray} RGBA buffers.
+// Nothing in here touches p5.js or the DOM, so it runs in Node scripts, workers and tests.
+const PixelCore = {
+    // Create an empty RGBA buffer
+    createBuffer(width, height) {
+        return {
+            width: width,
+            height: height,
+            data: new Uint8ClampedArray(width * height * 4)
+        };
+    },
+
+    // Reuse the given output buffer when its size matches, otherwise allocate a new one
+    prepareOutput(src, output) {
+        if (output && output.width === src.width && output.height === src.height &&
+            output.data && output.data.length === src.data.length) {
+            return output;
+        }
+        return PixelCore.createBuffer(src.width, src.height);
+    },
+
+    // Convert RGB to HSV color space (h: 0-360, s/v: 0-255)
+    rgbToHsv(r, g, b) {
+        r /= 255;
+        g /= 255;
+        b /= 255;
+
+        const max = Math.max(r, g, b);
+        const min = Math.min(r, g, b);
+        const diff = max - min;
+
+        let h = 0;
+        if (diff !== 0) {
+            if (max === r) h = ((g - b) / diff) % 6;
+            else if (max === g) h = (b - r) / diff + 2;
+            else h = (r - g) / diff + 4;
+        }
+        h = Math.round(h * 60);
+        if (h < 0) h += 360;
+
+        const s = max === 0 ? 0 : diff / max;
+        const v = max;
+
+        return [h, Math.round(s * 255), Math.round(v * 255)];
+    },
+
+    // sRGB to CIE XYZ under D65 (X: 0-95.047, Y: 0-100, Z: 0-108.883)
+    rgbToXyz(r, g, b) {
+        // Normalize RGB values to 0-1
+        r = r / 255.0;
+        g = g / 255.0;
+        b = b / 255.0;
+
+        // Apply gamma correction
+        r = r > 0.04045 ? Math.pow((r + 0.055) / 1.055, 2.4) : r / 12.92;
+        g = g > 0.04045 ? Math.pow((g + 0.055) / 1.055, 2.4) : g / 12.92;
+        b = b > 0.04045 ? Math.pow((b + 0.055) / 1.055, 2.4) : b / 12.92;
+
+        return [
+            (r * 0.4124564 + g * 0.3575761 + b * 0.1804375) * 100,
+            (r * 0.2126729 + g * 0.7151522 + b * 0.0721750) * 100,
+            (r * 0.0193339 + g * 0.1191920 + b * 0.9503041) * 100
+        ];
+    },
+
+    // CIE Lab in natural units (L: 0-100, a/b: roughly -128 to 127)
+    rgbToLabValues(r, g, b) {
+        const [x, y, z] = PixelCore.rgbToXyz(r, g, b);
+
+        // Normalize by reference white point
+        const xn = x / 95.047;
+        const yn = y / 100.0;
+        const zn = z / 108.883;
+
+        // Apply Lab transformation
+        const fx = xn > 0.008856 ? Math.pow(xn, 1/3) : (7.787 * xn + 16/116);
+        const fy = yn > 0.008856 ? Math.pow(yn, 1/3) : (7.787 * yn + 16/116);
+        const fz = zn > 0.008856 ? Math.pow(zn, 1/3) : (7.787 * zn + 16/116);
+
+        return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+    },
+
+    // Convert RGB to Lab color space, with each component scaled into 0-255
+    rgbToLab(r, g, b) {
+        const [L, a, bLab] = PixelCore.rgbToLabValues(r, g, b);
+
+        return [
+            Math.max(0, Math.min(255, (L / 100) * 255)),
+            Math.max(0, Math.min(255, (a + 128) * 255 / 256)),
+            Math.max(0, Math.min(255, (bLab + 128) * 255 / 256))
+        ];
+    },
+
+    // Cylindrical Lab (L: 0-100, C: 0-~134, h: 0-360)
+    rgbToLch(r, g, b) {
+        const [L, a, bLab] = PixelCore.rgbToLabValues(r, g, b);
+        let h = Math.atan2(bLab, a) * 180 / Math.PI;
+        if (h < 0) h += 360;
+        return [L, Math.sqrt(a * a + bLab * bLab), h];
+    },
+
+    // Full-range BT.601 YCbCr as used by JPEG (all components 0-255)
+    rgbToYCbCr(r, g, b) {
+        return [
+            0.299 * r + 0.587 * g + 0.114 * b,
+            128 - 0.168736 * r - 0.331264 * g + 0.5 * b,
+            128 + 0.5 * r - 0.418688 * g - 0.081312 * b
+        ];
+    },
+
+    // Convert RGB to HSL (h: 0-360, s/l: 0-100)
+    rgbToHsl(r, g, b) {
+        const max = Math.max(r, g, b) / 255;
+        const min = Math.min(r, g, b) / 255;
+        const l = (max + min) / 2;
+        const diff = max - min;
+        const s = diff === 0 ? 0 : diff / (1 - Math.abs(2 * l - 1));
+
+        // Hue is the same as in HSV
+        const [h] = PixelCore.rgbToHsv(r, g, b);
+        return [h, Math.min(100, s * 100), l * 100];
+    },
+
+    // Inverse conversions. Each takes the units its forward conversion returns and
+    // gives RGB clamped to 0-255 (not rounded).
+    clampRgb(r, g, b) {
+        return [
+            Math.max(0, Math.min(255, r)),
+            Math.max(0, Math.min(255, g)),
+            Math.max(0, Math.min(255, b))
+        ];
+    },
+
+    // HSV (h: 0-360, s/v: 0-255) back to RGB
+    hsvToRgb(h, s, v) {
+        s /= 255;
+        v /= 255;
+        const c = v * s;
+        const hp = (((h % 360) + 360) % 360) / 60;
+        const x = c * (1 - Math.abs(hp % 2 - 1));
+        const m = v - c;
+
+        let rgb;
+        if (hp < 1) rgb = [c, x, 0];
+        else if (hp < 2) rgb = [x, c, 0];
+        else if (hp < 3) rgb = [0, c, x];
+        else if (hp < 4) rgb = [0, x, c];
+        else if (hp < 5) rgb = [x, 0, c];
+        else rgb = [c, 0, x];
+
+        return PixelCore.clampRgb((rgb[0] + m) * 255, (rgb[1] + m) * 255, (rgb[2] + m) * 255);
+    },
+
+    // HSL (h: 0-360, s/l: 0-100) back to RGB
+    hslToRgb(h, s, l) {
+        s /= 100;
+        l /= 100;
+        // Same hue sextants as HSV, with chroma taken from lightness
+        const v = l + s * Math.min(l, 1 - l);
+        const sv = v === 0 ? 0 : 2 * (1 - l / v);
+        return PixelCore.hsvToRgb(h, sv * 255, v * 255);
+    },
+
+    // CIE XYZ (0-100 scale, D65) back to sRGB
+    xyzToRgb(x, y, z) {
+        x /= 100;
+        y /= 100;
+        z /= 100;
+
+        const linear = [
+            x * 3.2404542 - y * 1.5371385 - z * 0.4985314,
+            -x * 0.9692660 + y * 1.8760108 + z * 0.0415560,
+            x * 0.0556434 - y * 0.2040259 + z * 1.0572252
+        ];
+        const [r, g, b] = linear.map(c => {
+            c = Math.max(0, c);
+            return 255 * (c > 0.0031308 ? 1.055 * Math.pow(c, 1 / 2.4) - 0.055 : 12.92 * c);
+        });
+        return PixelCore.clampRgb(r, g, b);
+    },
+
+    // Lab in natural units back to RGB
+    labValuesToRgb(L, a, b) {
+        const fy = (L + 16) / 116;
+        const fx = fy + a / 500;
+        const fz = fy - b / 200;
+        const finv = f => f > 0.206893 ? f * f * f : (f - 16 / 116) / 7.787;
+
+        return PixelCore.xyzToRgb(finv(fx) * 95.047, finv(fy) * 100.0, finv(fz) * 108.883);
+    },
+
+    // Lab scaled into 0-255 (as returned by rgbToLab) back to RGB
+    labToRgb(L, a, b) {
+        return PixelCore.labValuesToRgb(L * 100 / 255, a * 256 / 255 - 128, b * 256 / 255 - 128);
+    },
+
+    // LCh (L: 0-100, C, h: 0-360) back to RGB
+    lchToRgb(L, c, h) {
+        const angle = h * Math.PI / 180;
+        return PixelCore.labValuesToRgb(L, c * Math.cos(angle), c * Math.sin(angle));
+    },
+
+    // Full-range BT.601 YCbCr back to RGB
+    yCbCrToRgb(y, cb, cr) {
+        return PixelCore.clampRgb(
+            y + 1.402 * (cr - 128),
+            y - 0.344136 * (cb - 128) - 0.714136 * (cr - 128),
+            y + 1.772 * (cb - 128)
+        );
+    },
+
+    // Single gray value (0-255) by one of several common methods
+    grayValue(r, g, b, method) {
+        switch (method) {
+            case 'luma709':
+                return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+            case 'average':
+                return (r + g + b) / 3;
+            case 'lightness':
+                return (Math.max(r, g, b) + Math.min(r, g, b)) / 2;
+            case 'desaturate': {
+                // Relative luminance in linear light, encoded back to sRGB
+                const y = PixelCore.rgbToXyz(r, g, b)[1] / 100;
+                return 255 * (y > 0.0031308 ? 1.055 * Math.pow(y, 1 / 2.4) - 0.055 : 12.92 * y);
+            }
+            default: // 'luma601'
+                return 0.299 * r + 0.587 * g + 0.114 * b;
+        }
+    },
+
+    // Grayscale conversion with 20% brightness increase in a single loop, clamped at 255
+    grayscaleWithBrightness(src, output) {
+        const out = PixelCore.prepareOutput(src, output);
+        const s = src.data;
+        const d = out.data;
+
+        for (let i = 0; i < s.length; i += 4) {
+            const gray = 0.299 * s[i] + 0.587 * s[i + 1] + 0.114 * s[i + 2];
+            const clampedGray = Math.min(255, gray * 1.2);
+
+            d[i] = clampedGray;
+            d[i + 1] = clampedGray;
+            d[i + 2] = clampedGray;
+            d[i + 3] = 255;
+        }
+        return out;
+    },
+
+    // Keep a single RGB channel (0 = red, 1 = green, 2 = blue) and zero the others
+    extractChannel(src, channelIndex, output) {
+        const out = PixelCore.prepareOutput(src, output);
+        const s = src.data;
+        const d = out.data;
+
+        for (let i = 0; i < s.length; i += 4) {
+            d[i] = channelIndex === 0 ? s[i] : 0;
+            d[i + 1] = channelIndex === 1 ? s[i + 1] : 0;
+            d[i + 2] = channelIndex === 2 ? s[i + 2] : 0;
+            d[i + 3] = 255;
+        }
+        return out;
+    },
+
+    // Split an image into its red, green and blue channel images
+    extractColorChannels(src, outputs = {}) {
+        return {
+            red: PixelCore.extractChannel(src, 0, outputs.red),
+            green: PixelCore.extractChannel(src, 1, outputs.green),
+            blue: PixelCore.extractChannel(src, 2, outputs.blue)
+        };
+    },
+
+    // Binary threshold on one RGB channel
+    channelThreshold(src, threshold, channelIndex, output) {
+        const out = PixelCore.prepareOutput(src, output);
+        const s = src.data;
+        const d = out.data;
+
+        for (let i = 0; i < s.length; i += 4) {
+            const value = s[i + channelIndex] > threshold ? 255 : 0;
+            d[i] = value;
+            d[i + 1] = value;
+            d[i + 2] = value;
+            d[i + 3] = 255;
+        }
+        return out;
+    },
+
+    // Convert an image to HSV, with hue scaled into 0-255 for display
+    convertToHSV(src, output) {
+        const out = PixelCore.prepareOutput(src, output);
+        const s = src.data;
+        const d = out.data;
+
+        for (let i = 0; i < s.length; i += 4) {
+            const [h, sat, v] = PixelCore.rgbToHsv(s[i], s[i + 1], s[i + 2]);
+            d[i] = (h / 360) * 255;
+            d[i + 1] = sat;
+            d[i + 2] = v;
+            d[i + 3] = 255;
+        }
+        return out;
+    },
+
+    // Convert an image to Lab
+    convertToLab(src, output) {
+        const out = PixelCore.prepareOutput(src, output);
+        const s = src.data;
+        const d = out.data;
+
+        for (let i = 0; i < s.length; i += 4) {
+            const [L, a, b] = PixelCore.rgbToLab(s[i], s[i + 1], s[i + 2]);
+            d[i] = L;
+            d[i + 1] = a;
+            d[i + 2] = b;
+            d[i + 3] = 255;
+        }
+        return out;
+    },
+
+    // Binary threshold on the mean of the three converted channels
+    colorSpaceThreshold(src, threshold, output) {
+        const out = PixelCore.prepareOutput(src, output);
+        const s = src.data;
+        const d = out.data;
+
+        for (let i = 0; i < s.length; i += 4) {
+            const intensity = (s[i] + s[i + 1] + s[i + 2]) / 3;
+            const value = intensity > threshold ? 255 : 0;
+            d[i] = value;
+            d[i + 1] = value;
+            d[i + 2] = value;
+            d[i + 3] = 255;
+        }
+        return out;
+    },
+
+    // Binary mask of pixels whose three components each fall inside their byte range.
+    // ranges: [{min, max, wraps}] per component; a wrapping range keeps values >= min or <= max
+    componentRangeMask(src, ranges, output) {
+        const out = PixelCore.prepareOutput(src, output);
+        const s = src.data;
+        const d = out.data;
+
+        for (let i = 0; i < s.length; i += 4) {
+            let inside = true;
+            for (let c = 0; c < 3 && inside; c++) {
+                const value = s[i + c];
+                const range = ranges[c];
+                inside = range.wraps ?
+                    (value >= range.min || value <= range.max) :
+                    (value >= range.min && value <= range.max);
+            }
+
+            const value = inside ? 255 : 0;
+            d[i] = value;
+            d[i + 1] = value;
+            d[i + 2] = value;
+            d[i + 3] = 255;
+        }
+        return out;
+    },
+
+    // Mask with every pixel off, e.g. before anything has been selected
+    emptyMask(src, output) {
+        const out = PixelCore.prepareOutput(src, output);
+        const d = out.data;
+
+        for (let i = 0; i < d.length; i += 4) {
+            d[i] = 0;
+            d[i + 1] = 0;
+            d[i + 2] = 0;
+            d[i + 3] = 255;
+        }
+        return out;
+    },
+
+    // Pixelate by painting each block with its average (red channel) intensity
+    pixelate(src, blockSize, output) {
+        const out = PixelCore.prepareOutput(src, output);
+        const { width, height } = src;
+        const s = src.data;
+        const d = out.data;
+
+        for (let y = 0; y < height; y += blockSize) {
+            for (let x = 0; x < width; x += blockSize) {
+                let totalIntensity = 0;
+                let pixelCount = 0;
+
+                // Average intensity of the block
+                for (let by = 0; by < blockSize && y + by < height; by++) {
+                    for (let bx = 0; bx < blockSize && x + bx < width; bx++) {
+                        totalIntensity += s[((y + by) * width + (x + bx)) * 4];
+                        pixelCount++;
+                    }
+                }
+
+                const averageIntensity = Math.round(totalIntensity / pixelCount);
+
+                // Paint the whole block with the average
+                for (let by = 0; by < blockSize && y + by < height; by++) {
+                    for (let bx = 0; bx < blockSize && x + bx < width; bx++) {
+                        const idx = ((y + by) * width + (x + bx)) * 4;
+                        d[idx] = averageIntensity;
+                        d[idx + 1] = averageIntensity;
+                        d[idx + 2] = averageIntensity;
+                        d[idx + 3] = 255;
+                    }
+                }
+            }
+        }
+        return out;
+    },
+
+    // 256-bin histogram of one byte channel (0 = red/first component ... 2 = blue/third)
+    channelHistogram(src, channelIndex, bins) {
+        const hist = bins && bins.length === 256 ? bins.fill(0) : new Uint32Array(256);
+        const s = src.data;
+
+        for (let i = channelIndex; i < s.length; i += 4) {
+            hist[s[i]]++;
+        }
+        return hist;
+    },
+
+    // Histogram of the mean of the three components, the value colorSpaceThreshold compares
+    meanHistogram(src, bins) {
+        const hist = bins && bins.length === 256 ? bins.fill(0) : new Uint32Array(256);
+        const s = src.data;
+
+        for (let i = 0; i < s.length; i += 4) {
+            hist[Math.floor((s[i] + s[i + 1] + s[i + 2]) / 3)]++;
+        }
+        return hist;
+    },
+
+    // Mean, standard deviation, min/max and Shannon entropy (bits) of a 256-bin histogram
+    histogramStats(hist) {
+        let count = 0;
+        let sum = 0;
+        let min = -1;
+        let max = -1;
+
+        for (let v = 0; v < hist.length; v++) {
+            if (hist[v] === 0) continue;
+            if (min < 0) min = v;
+            max = v;
+            count += hist[v];
+            sum += v * hist[v];
+        }
+
+        if (count === 0) {
+            return { count: 0, mean: 0, std: 0, min: 0, max: 0, entropy: 0 };
+        }
+
+        const mean = sum / count;
+        let variance = 0;
+        let entropy = 0;
+        for (let v = min; v <= max; v++) {
+            if (hist[v] === 0) continue;
+            const p = hist[v] / count;
+            variance += p * (v - mean) * (v - mean);
+            entropy -= p * Math.log2(p);
+        }
+
+        return { count, mean, std: Math.sqrt(variance), min, max, entropy };
+    },
+
+    // Per-pixel values a threshold compares: one component (0-2) or 'mean' of all three
+    thresholdValues(src, component) {
+        const s = src.data;
+        const values = new Uint8Array(src.width * src.height);
+
+        for (let i = 0, p = 0; i < s.length; i += 4, p++) {
+            values[p] = component === 'mean' ?
+                (s[i] + s[i + 1] + s[i + 2]) / 3 : s[i + component];
+        }
+        return values;
+    },
+
+    // Summed-area tables of values and squared values, (width + 1) x (height + 1)
+    integralImages(values, width, height) {
+        const stride = width + 1;
+        const sum = new Float64Array(stride * (height + 1));
+        const sqSum = new Float64Array(stride * (height + 1));
+
+        for (let y = 0; y < height; y++) {
+            let rowSum = 0;
+            let rowSqSum = 0;
+            for (let x = 0; x < width; x++) {
+                const v = values[y * width + x];
+                rowSum += v;
+                rowSqSum += v * v;
+                const idx = (y + 1) * stride + (x + 1);
+                sum[idx] = sum[idx - stride] + rowSum;
+                sqSum[idx] = sqSum[idx - stride] + rowSqSum;
+            }
+        }
+        return { sum, sqSum };
+    },
+
+    // Mean over a (2 * radius + 1) square window, clipped at the image border
+    boxMean(values, width, height, radius) {
+        const { sum } = PixelCore.integralImages(values, width, height);
+        const stride = width + 1;
+        const out = new Float32Array(width * height);
+
+        for (let y = 0; y < height; y++) {
+            const y0 = Math.max(0, y - radius);
+            const y1 = Math.min(height, y + radius + 1);
+            for (let x = 0; x < width; x++) {
+                const x0 = Math.max(0, x - radius);
+                const x1 = Math.min(width, x + radius + 1);
+                const total = sum[y1 * stride + x1] - sum[y0 * stride + x1] -
+                              sum[y1 * stride + x0] + sum[y0 * stride + x0];
+                out[y * width + x] = total / ((x1 - x0) * (y1 - y0));
+            }
+        }
+        return out;
+    },
+
+    // Local thresholding against a window around each pixel:
+    //   mean      T = mean - offset
+    //   gaussian  T = gaussian-weighted mean - offset (three box passes approximate the Gaussian)
+    //   niblack   T = mean - k * std - offset
+    //   sauvola   T = mean * (1 + k * (std / 128 - 1)) - offset
+    // Pixels above T become white, as with the global thresholds.
+    adaptiveThreshold(src, component, options, output) {
+        const { method = 'mean', windowSize = 15, offset = 0, k = 0.2 } = options;
+        const out = PixelCore.prepareOutput(src, output);
+        const { width, height } = src;
+        const d = out.data;
+        const values = PixelCore.thresholdValues(src, component);
+        const thresholds = new Float32Array(width * height);
+
+        if (method === 'gaussian') {
+            // sigma = window / 6 so the window spans +-3 sigma; three boxes of width w have variance (w^2 - 1) / 4
+            const sigma = windowSize / 6;
+            const boxRadius = Math.max(1, Math.round((Math.sqrt(4 * sigma * sigma + 1) - 1) / 2));
+            let smoothed = values;
+            for (let pass = 0; pass < 3; pass++) {
+                smoothed = PixelCore.boxMean(smoothed, width, height, boxRadius);
+            }
+            for (let p = 0; p < thresholds.length; p++) {
+                thresholds[p] = smoothed[p] - offset;
+            }
+        } else {
+            const { sum, sqSum } = PixelCore.integralImages(values, width, height);
+            const stride = width + 1;
+            const radius = Math.max(1, Math.floor(windowSize / 2));
+
+            for (let y = 0; y < height; y++) {
+                const y0 = Math.max(0, y - radius);
+                const y1 = Math.min(height, y + radius + 1);
+                for (let x = 0; x < width; x++) {
+                    const x0 = Math.max(0, x - radius);
+                    const x1 = Math.min(width, x + radius + 1);
+                    const count = (x1 - x0) * (y1 - y0);
+                    const a = y1 * stride + x1;
+                    const b = y0 * stride + x1;
+                    const c = y1 * stride + x0;
+                    const e = y0 * stride + x0;
+                    const mean = (sum[a] - sum[b] - sum[c] + sum[e]) / count;
+
+                    let threshold = mean;
+                    if (method === 'niblack' || method === 'sauvola') {
+                        const variance = (sqSum[a] - sqSum[b] - sqSum[c] + sqSum[e]) / count - mean * mean;
+                        const std = Math.sqrt(Math.max(0, variance));
+                        threshold = method === 'niblack' ?
+                            mean - k * std : mean * (1 + k * (std / 128 - 1));
+                    } else if (method !== 'mean') {
+                        throw new Error(`Unknown adaptive threshold method "${method}"`);
+                    }
+                    thresholds[y * width + x] = threshold - offset;
+                }
+            }
+        }
+
+        for (let p = 0, i = 0; p < values.length; p++, i += 4) {
+            const value = values[p] > thresholds[p] ? 255 : 0;
+            d[i] = value;
+            d[i + 1] = value;
+            d[i + 2] = value;
+            d[i + 3] = 255;
+        }
+        return out;
+    },
+
+    // Otsu's method: the value that maximises the between-class variance
+    otsuThreshold(hist) {
+        let total = 0;
+        let sumAll = 0;
+        for (let v = 0; v < 256; v++) {
+            total += hist[v];
+            sumAll += v * hist[v];
+        }
+        if (total === 0) return 128;
+
+        let weightBelow = 0;
+        let sumBelow = 0;
+        let bestThreshold = 0;
+        let bestVariance = -1;
+
+        for (let t = 0; t < 256; t++) {
+            weightBelow += hist[t];
+            if (weightBelow === 0) continue;
+            const weightAbove = total - weightBelow;
+            if (weightAbove === 0) break;
+
+            sumBelow += t * hist[t];
+            const meanBelow = sumBelow / weightBelow;
+            const meanAbove = (sumAll - sumBelow) / weightAbove;
+            const variance = weightBelow * weightAbove * (meanBelow - meanAbove) * (meanBelow - meanAbove);
+
+            if (variance > bestVariance) {
+                bestVariance = variance;
+                bestThreshold = t;
+            }
+        }
+        return bestThreshold;
+    },
+
+    // Triangle method: the bin furthest from the line joining the peak to the end
+    // of the longer tail; suits histograms with one dominant peak
+    triangleThreshold(hist) {
+        let min = -1;
+        let max = -1;
+        let peak = 0;
+        for (let v = 0; v < 256; v++) {
+            if (hist[v] === 0) continue;
+            if (min < 0) min = v;
+            max = v;
+            if (hist[v] > hist[peak]) peak = v;
+        }
+        if (min < 0) return 128;
+
+        const end = (max - peak) > (peak - min) ? max : min;
+        if (end === peak) return peak;
+
+        const step = end > peak ? 1 : -1;
+        const peakHeight = hist[peak];
+        let bestThreshold = peak;
+        let bestDistance = -1;
+
+        for (let v = peak; v !== end; v += step) {
+            // Unnormalised distance from (v, hist[v]) to the line (peak, peakHeight)-(end, 0)
+            const distance = Math.abs(peakHeight * (end - v) - (end - peak) * hist[v]);
+            if (distance > bestDistance) {
+                bestDistance = distance;
+                bestThreshold = v;
+            }
+        }
+        return bestThreshold;
+    },
+
+    // The value at or below which the given percentage of pixels fall
+    percentileThreshold(hist, percentile) {
+        let total = 0;
+        for (let v = 0; v < 256; v++) total += hist[v];
+        if (total === 0) return 128;
+
+        const target = total * Math.max(0, Math.min(100, percentile)) / 100;
+        let cumulative = 0;
+        for (let v = 0; v < 256; v++) {
+            cumulative += hist[v];
+            if (cumulative >= target) return v;
+        }
+        return 255;
+    },
+
+    // Pick a threshold from a histogram with 'otsu', 'triangle' or 'percentile'
+    autoThreshold(hist, method, percentile = 50) {
+        switch (method) {
+            case 'otsu':
+                return PixelCore.otsuThreshold(hist);
+            case 'triangle':
+                return PixelCore.triangleThreshold(hist);
+            case 'percentile':
+                return PixelCore.percentileThreshold(hist, percentile);
+            default:
+                throw new Error(`Unknown auto threshold method "${method}"`);
+        }
+    },
+
+    // Mirror an image left to right
+    flipHorizontal(src, output) {
+        const out = PixelCore.prepareOutput(src, output);
+        const { width, height } = src;
+        const s = src.data;
+        const d = out.data;
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const srcIdx = (y * width + x) * 4;
+                const destIdx = (y * width + (width - 1 - x)) * 4;
+                d[destIdx] = s[srcIdx];
+                d[destIdx + 1] = s[srcIdx + 1];
+                d[destIdx + 2] = s[srcIdx + 2];
+                d[destIdx + 3] = s[srcIdx + 3];
+            }
+        }
+        return out;
+    }
+};
+
+// Export for Node scripts and unit tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PixelCore;
+}
@@ -0,0 +1,220 @@
+// Pixel Inspector for Image Processing Application
+// A magnifying loupe that follows the mouse over the grid and explains the pixel under
+// it: source RGB, the hovered panel's value, HSV/Lab and the result of every threshold.
+class PixelInspector {
+    constructor() {
+        this.loupeSize = 11;      // source pixels shown across the loupe
+        this.zoom = 9;
+        this.pending = null;      // latest hover waiting for the next animation frame
+
+        this.buildLoupe();
+        this.setupEventListeners();
+    }
+
+    buildLoupe() {
+        this.element = document.createElement('div');
+        this.element.id = 'pixelInspector';
+        this.element.className = 'pixel-inspector';
+
+        this.zoomCanvas = document.createElement('canvas');
+        this.zoomCanvas.width = this.loupeSize * this.zoom;
+        this.zoomCanvas.height = this.loupeSize * this.zoom;
+        this.element.appendChild(this.zoomCanvas);
+
+        this.info = document.createElement('div');
+        this.info.className = 'pixel-inspector-info';
+        this.element.appendChild(this.info);
+
+        document.body.appendChild(this.element);
+    }
+
+    setupEventListeners() {
+        const grid = document.getElementById('imageGrid');
+        if (!grid) {
+            console.error('Image grid not found for pixel inspector');
+            return;
+        }
+
+        grid.addEventListener('mousemove', (e) => {
+            if (e.target.tagName !== 'CANVAS') {
+                this.hide();
+                return;
+            }
+
+            // Coalesce mouse moves to one update per frame
+            const schedule = this.pending === null;
+            this.pending = { canvas: e.target, offsetX: e.offsetX, offsetY: e.offsetY, clientX: e.clientX, clientY: e.clientY };
+            if (schedule) {
+                requestAnimationFrame(() => {
+                    const hover = this.pending;
+                    this.pending = null;
+                    if (hover) this.inspect(hover);
+                });
+            }
+        });
+
+        grid.addEventListener('mouseleave', () => {
+            this.hide();
+        });
+    }
+
+    hide() {
+        this.pending = null;
+        this.element.classList.remove('show');
+    }
+
+    inspect({ canvas, offsetX, offsetY, clientX, clientY }) {
+        const source = processingPipeline.get('source');
+        if (!source || canvas.clientWidth === 0 || canvas.clientHeight === 0) {
+            this.hide();
+            return;
+        }
+
+        const x = Math.min(canvas.width - 1, Math.max(0, Math.floor(offsetX * canvas.width / canvas.clientWidth)));
+        const y = Math.min(canvas.height - 1, Math.max(0, Math.floor(offsetY * canvas.height / canvas.clientHeight)));
+        const type = canvas.id.replace('canvas_', '');
+
+        try {
+            this.drawZoom(canvas, x, y);
+            this.info.innerHTML = this.describePixel(source, type, x, y);
+            this.position(clientX, clientY);
+            this.element.classList.add('show');
+        } catch (error) {
+            console.error("Error inspecting pixel:", error);
+            this.hide();
+        }
+    }
+
+    // Magnify the neighbourhood of the pixel with nearest-neighbour scaling
+    drawZoom(canvas, x, y) {
+        const ctx = this.zoomCanvas.getContext('2d');
+        const half = Math.floor(this.loupeSize / 2);
+        const size = this.zoomCanvas.width;
+
+        ctx.imageSmoothingEnabled = false;
+        ctx.fillStyle = '#000000';
+        ctx.fillRect(0, 0, size, size);
+        ctx.drawImage(canvas, x - half, y - half, this.loupeSize, this.loupeSize, 0, 0, size, size);
+
+        ctx.strokeStyle = '#ff00ff';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(half * this.zoom, half * this.zoom, this.zoom, this.zoom);
+    }
+
+    readPanelPixel(type, x, y) {
+        const ctx = canvases[type];
+        return ctx ? ctx.getImageData(x, y, 1, 1).data : null;
+    }
+
+    describePixel(source, type, x, y) {
+        const i = (y * source.width + x) * 4;
+        const r = source.data[i];
+        const g = source.data[i + 1];
+        const b = source.data[i + 2];
+
+        const [h, s, v] = imageProcessor.rgbToHsv(r, g, b);
+        const [labL, labA, labB] = imageProcessor.rgbToLab(r, g, b);
+        const panel = this.readPanelPixel(type, x, y);
+
+        const rows = [
+            `<div class="pixel-inspector-title">(${x}, ${y})</div>`,
+            `<div>Source RGB: ${r}, ${g}, ${b}</div>`,
+            panel ? `<div>${this.getPanelName(type)}: ${panel[0]}, ${panel[1]}, ${panel[2]}</div>` : '',
+            `<div>HSV: ${h}°, ${Math.round(s * 100 / 255)}%, ${Math.round(v * 100 / 255)}%</div>`,
+            `<div>Lab: ${Math.round(labL * 100 / 255)}, ${Math.round(labA * 256 / 255 - 128)}, ${Math.round(labB * 256 / 255 - 128)}</div>`
+        ];
+
+        rows.push('<table class="pixel-inspector-thresholds">');
+        this.describeThresholds(source, x, y).forEach(row => {
+            rows.push(`<tr class="${row.pass ? 'pass' : 'fail'}"><td>${row.label}</td>` +
+                      `<td>${row.detail}</td><td>${row.pass ? '✓' : '✗'}</td></tr>`);
+        });
+        rows.push('</table>');
+
+        return rows.join('');
+    }
+
+    // Why the pixel is on or off in each threshold panel. Global thresholds are
+    // recomputed from the compared value; adaptive, range, denoised and cleaned-up
+    // results are read back from the threshold panel itself.
+    describeThresholds(source, x, y) {
+        const i = (y * source.width + x) * 4;
+        const rows = [];
+
+        const compared = {
+            red: { label: 'Red', value: () => source.data[i] },
+            green: { label: 'Green', value: () => source.data[i + 1] },
+            blue: { label: 'Blue', value: () => source.data[i + 2] },
+            hsv: { label: `${this.panelSpaceName('hsv')} mean`, value: () => this.meanOfPanel('hsvConversion', x, y) },
+            lab: { label: `${this.panelSpaceName('lab')} mean`, value: () => this.meanOfPanel('labConversion', x, y) }
+        };
+
+        Object.keys(compared).forEach(color => {
+            const type = document.getElementById(`${color}ThresholdType`)?.value || 'global';
+            const { label } = compared[color];
+            const cleanup = morphologyPanel ? morphologyPanel.describe(color) : null;
+            // Color space panels already show the denoised image, RGB values come from the source
+            const denoised = ['red', 'green', 'blue'].includes(color) && denoisePanel ? denoisePanel.describe() : null;
+
+            if (type === 'global' && !cleanup && !denoised) {
+                const value = compared[color].value();
+                const threshold = parseInt(document.getElementById(`${color}Threshold`)?.value || 128);
+                if (value === null) return;
+                const pass = value > threshold;
+                rows.push({ label, pass, detail: `${Math.round(value)} ${pass ? '>' : '≤'} ${threshold}` });
+                return;
+            }
+
+            const result = this.readPanelPixel(`${color}Threshold`, x, y);
+            if (!result) return;
+            const typeSelect = document.getElementById(`${color}ThresholdType`);
+            const typeName = typeSelect ? typeSelect.options[typeSelect.selectedIndex].text : type;
+            rows.push({ label, pass: result[0] > 0, detail: cleanup ? `${typeName} + ${cleanup}` : typeName });
+        });
+
+        if (colorPickController && colorPickController.samples.length > 0) {
+            const result = this.readPanelPixel('colorPickMask', x, y);
+            if (result) {
+                rows.push({ label: 'Picked color', pass: result[0] > 0, detail: COLOR_SPACES[colorPickController.space].name });
+            }
+        }
+
+        return rows;
+    }
+
+    // Name of the color space a color space panel currently shows
+    panelSpaceName(panel) {
+        const spaceKey = document.getElementById(`${panel}Space`)?.value || panel;
+        return COLOR_SPACES[spaceKey] ? COLOR_SPACES[spaceKey].name : spaceKey;
+    }
+
+    // Mean of the converted channels, exactly as the color space thresholds compare it
+    meanOfPanel(type, x, y) {
+        const pixel = this.readPanelPixel(type, x, y);
+        return pixel ? (pixel[0] + pixel[1] + pixel[2]) / 3 : null;
+    }
+
+    getPanelName(type) {
+        return imageSaveController ? imageSaveController.getImageTypeName(type) : type;
+    }
+
+    // Keep the loupe next to the cursor but inside the window
+    position(clientX, clientY) {
+        const offset = 16;
+        const width = this.element.offsetWidth;
+        const height = this.element.offsetHeight;
+
+        let left = clientX + offset;
+        let top = clientY + offset;
+        if (left + width > window.innerWidth) left = clientX - offset - width;
+        if (top + height > window.innerHeight) top = clientY - offset - height;
+
+        this.element.style.left = `${Math.max(0, left)}px`;
+        this.element.style.top = `${Math.max(0, top)}px`;
+    }
+}
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PixelInspector;
+}
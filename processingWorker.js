@@ -0,0 +1,81 @@
+// Processing Worker for Image Processing Application
+// Runs the per-pixel pipeline and the skin-tone face scan off the main thread.
+//
+// Message protocol (main -> worker):
+//   { type: 'process', id, frame?, params }   frame is {width, height, data} with a transferred buffer;
+//                                            omitted when only parameters changed
+//   { type: 'scanFaces', id, frame, options } run SkinScanner.findCandidates on the frame
+// Replies (worker -> main):
+//   { type: 'result', id, stages }            stage name -> {width, height, bitmap} or {width, height, data}
+//   { type: 'faces', id, candidates }
+//   { type: 'error', id, message }
+importScripts('pixelCore.js', 'colorSpaces.js', 'denoise.js', 'convolution.js', 'edgeDetection.js', 'morphology.js', 'components.js',
+              'pipeline.js', 'skinScanner.js');
+
+const pipeline = buildProcessingPipeline();
+let outputCanvas = null;
+
+// Package a stage result for transfer without detaching the cached buffer
+function packStageResult(result, transfer) {
+    if (!result || !result.data) {
+        return result; // Non-image results are structured-cloned as-is
+    }
+
+    if (typeof OffscreenCanvas !== 'undefined') {
+        if (!outputCanvas || outputCanvas.width !== result.width || outputCanvas.height !== result.height) {
+            outputCanvas = new OffscreenCanvas(result.width, result.height);
+        }
+        const ctx = outputCanvas.getContext('2d');
+        ctx.putImageData(new ImageData(result.data, result.width, result.height), 0, 0);
+        const bitmap = outputCanvas.transferToImageBitmap();
+        transfer.push(bitmap);
+        return { width: result.width, height: result.height, bitmap: bitmap };
+    }
+
+    // Without OffscreenCanvas send a copy so the cache stays intact
+    const data = result.data.slice();
+    transfer.push(data.buffer);
+    return { width: result.width, height: result.height, data: data };
+}
+
+function handleProcess(message) {
+    if (message.frame) {
+        pipeline.setInput('source', message.frame);
+    }
+    pipeline.setParams(message.params || {});
+
+    const changed = pipeline.run();
+    const stages = {};
+    const transfer = [];
+    changed.forEach(name => {
+        stages[name] = packStageResult(pipeline.get(name), transfer);
+    });
+
+    self.postMessage({ type: 'result', id: message.id, stages: stages }, transfer);
+}
+
+function handleScanFaces(message) {
+    const candidates = SkinScanner.findCandidates(message.frame, message.options);
+    self.postMessage({ type: 'faces', id: message.id, candidates: candidates });
+}
+
+self.onmessage = (event) => {
+    const message = event.data;
+
+    try {
+        switch (message.type) {
+            case 'process':
+                handleProcess(message);
+                break;
+
+            case 'scanFaces':
+                handleScanFaces(message);
+                break;
+
+            default:
+                throw new Error(`Unknown worker message type: ${message.type}`);
+        }
+    } catch (error) {
+        self.postMessage({ type: 'error', id: message.id, message: error.message });
+    }
+};
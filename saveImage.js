@@ -168,7 +168,14 @@ class ImageSaveController {
             'labConversion': 'Lab Color Space',
             'hsvThreshold': 'HSV Threshold',
             'labThreshold': 'Lab Threshold',
-            'faceDetection': 'Face Detection'
+            'faceDetection': 'Face Detection',
+            'colorPickMask': 'Picked Color Mask',
+            'colorEdit': 'Color Edit',
+            'convolution': 'Convolution',
+            'edges': 'Edge Detection',
+            'componentLabels': 'Connected Components',
+            'denoised': 'Denoised',
+            'colorPickCutout': 'Picked Color Cutout'
         };
         return names[type] || type;
     }
@@ -185,7 +192,8 @@ class ImageSaveController {
         const imageTypes = [
             'original', 'grayscale', 'redChannel', 'greenChannel', 'blueChannel',
             'redThreshold', 'greenThreshold', 'blueThreshold', 'originalRepeat',
-            'hsvConversion', 'labConversion', 'hsvThreshold', 'labThreshold', 'faceDetection'
+            'hsvConversion', 'labConversion', 'hsvThreshold', 'labThreshold', 'faceDetection',
+            'colorPickMask', 'colorEdit', 'convolution', 'edges', 'componentLabels', 'denoised'
         ];
 
         // Use requestAnimationFrame for smoother updates
@@ -0,0 +1,96 @@
+// Screen Capture for Image Processing Application
+// Uses getDisplayMedia so the pipeline and face filters can run on a shared
+// screen or application window, e.g. to blur faces in a video call recording.
+class ScreenCaptureController {
+    constructor() {
+        this.stream = null;
+        this.videoElement = null;
+    }
+
+    async start() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.getDisplayMedia) {
+            uiController.updateStatusText('Screen capture is not supported in this browser');
+            return false;
+        }
+
+        let stream;
+        try {
+            stream = await navigator.mediaDevices.getDisplayMedia({
+                video: { frameRate: { ideal: 30 } },
+                audio: false
+            });
+        } catch (error) {
+            console.error("Screen capture error:", error);
+            uiController.updateStatusText(error.name === 'NotAllowedError' ?
+                'Screen capture cancelled' : 'Screen capture error: ' + error.message);
+            return false;
+        }
+
+        this.stop();
+
+        const videoElement = document.createElement('video');
+        videoElement.muted = true;
+        videoElement.playsInline = true;
+        videoElement.srcObject = stream;
+        this.stream = stream;
+        this.videoElement = videoElement;
+
+        const track = stream.getVideoTracks()[0];
+        // Fired when the user presses the browser's "Stop sharing" button
+        track.addEventListener('ended', () => {
+            if (this.stream === stream) {
+                console.log("Screen sharing ended by the user");
+                inputSource.select('webcam');
+                uiController.updateStatusText('Screen sharing ended - back to camera');
+            }
+        });
+
+        try {
+            await videoElement.play();
+        } catch (error) {
+            console.error("Error playing screen capture:", error);
+            uiController.updateStatusText('Screen capture error: ' + error.message);
+            this.stop();
+            return false;
+        }
+
+        inputSource.select('screen');
+        uiController.updateStatusText(`Sharing screen: ${track.label || 'screen'}`);
+        return true;
+    }
+
+    isReady() {
+        return this.videoElement !== null && this.videoElement.readyState >= 2;
+    }
+
+    // Draw the current screen frame into the pooled capture buffer
+    grabFrame() {
+        return imageInputController.fitToResolution(this.videoElement,
+            this.videoElement.videoWidth, this.videoElement.videoHeight);
+    }
+
+    // Called from draw() so the original panel shows the shared screen
+    drawPreview() {
+        if (!this.isReady() || !canvases.original) return;
+        imageInputController.drawFitted(canvases.original, this.videoElement,
+            this.videoElement.videoWidth, this.videoElement.videoHeight,
+            imageProcessor.width, imageProcessor.height);
+    }
+
+    // Stop sharing; called by the source switcher when another source takes over
+    stop() {
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+        if (this.videoElement) {
+            this.videoElement.srcObject = null;
+            this.videoElement = null;
+        }
+    }
+}
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScreenCaptureController;
+}
@@ -89,6 +89,7 @@ let video, faceMesh;
 let capturedImage = null;
 let isCapturing = false;
 let currentFaceFilter = 0;
+let faceFilterColorSpace = 'hsv'; // Color space used by face filter 3
 let detectedFaces = [];
 let cameraActive = false;
 
@@ -98,10 +99,43 @@ let processingFrameCount = 0;
 let lastFPS = 0;
 let fpsUpdateTimer = 0;
 
+// Processing resolution presets (native is resolved from the camera at runtime)
+const RESOLUTION_PRESETS = {
+    '160x120': { width: 160, height: 120 },
+    '320x240': { width: 320, height: 240 },
+    '640x480': { width: 640, height: 480 },
+    'native': null
+};
+const BASE_WIDTH = 160;
+const BASE_HEIGHT = 120;
+
 // Processing instances
 let imageProcessor;
 let faceProcessor;
 let uiController;
+let processingPipeline;
+let bufferPool;
+let liveModeController;
+let processingWorker;
+let imageInputController;
+let batchProcessor;
+let videoFileController;
+let cameraController;
+let screenCaptureController;
+let inputSource;
+let histogramPanel;
+let colorRangePanel;
+let colorPickController;
+let pixelInspector;
+let colorEditPanel;
+let kernelEditor;
+let edgePanel;
+let morphologyPanel;
+let componentPanel;
+let denoisePanel;
+
+// Pipeline stages that are shown somewhere other than a grid canvas
+const stageHandlers = {};
 
 // Safe graphics creation function to handle WebGL issues
 function safeCreateGraphics(w, h) {
@@ -116,275 +150,130 @@ function safeCreateGraphics(w, h) {
 
 // Image processing class for encapsulating functionality
 class ImageProcessor {
-    constructor() {
-        this.width = 160;  
-        this.height = 120;
+    constructor(width = BASE_WIDTH, height = BASE_HEIGHT) {
+        this.setResolution(width, height);
     }
 
-    // Convert RGB to HSV color space
-    rgbToHsv(r, g, b) {
-        r /= 255;
-        g /= 255;
-        b /= 255;
-        
-        const max = Math.max(r, g, b);
-        const min = Math.min(r, g, b);
-        const diff = max - min;
-        
-        let h = 0;
-        if (diff !== 0) {
-            if (max === r) h = ((g - b) / diff) % 6;
-            else if (max === g) h = (b - r) / diff + 2;
-            else h = (r - g) / diff + 4;
+    // Change the processing resolution; size-dependent parameters scale from 160x120
+    setResolution(width, height) {
+        this.width = Math.max(1, Math.round(width));
+        this.height = Math.max(1, Math.round(height));
+        this.scale = Math.min(this.width / BASE_WIDTH, this.height / BASE_HEIGHT);
+    }
+
+    // Scale a value tuned for 160x120 to the current resolution
+    scaled(value) {
+        return Math.max(1, Math.round(value * this.scale));
+    }
+
+    // Wrap a p5 image/graphics as a PixelCore buffer sharing its pixel array
+    toBuffer(img) {
+        img.loadPixels();
+        const density = typeof img.pixelDensity === 'function' ? img.pixelDensity() : 1;
+        return {
+            width: img.width * density,
+            height: img.height * density,
+            data: img.pixels
+        };
+    }
+
+    // Read an image into a PixelCore buffer at exactly the processing resolution
+    toSourceBuffer(img) {
+        if (!this.scratchCanvas) {
+            this.scratchCanvas = document.createElement('canvas');
+        }
+        const canvas = this.scratchCanvas;
+        if (canvas.width !== this.width || canvas.height !== this.height) {
+            canvas.width = this.width;
+            canvas.height = this.height;
         }
-        h = Math.round(h * 60);
-        if (h < 0) h += 360;
         
-        const s = max === 0 ? 0 : diff / max;
-        const v = max;
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(img.canvas || img.elt || img, 0, 0, this.width, this.height);
+        return ctx.getImageData(0, 0, this.width, this.height);
+    }
+
+    // Run a PixelCore operation writing straight into a pooled p5 graphics buffer
+    runCore(img, operation, purpose) {
+        const output = bufferPool.acquireGraphics(purpose, img.width, img.height);
+        if (!output) return null; // Handle graphics creation failure
         
-        return [h, Math.round(s * 255), Math.round(v * 255)];
+        const src = this.toBuffer(img);
+        const dest = this.toBuffer(output);
+        operation(src, dest);
+        output.updatePixels();
+        return output;
+    }
+
+    // Convert RGB to HSV color space
+    rgbToHsv(r, g, b) {
+        return PixelCore.rgbToHsv(r, g, b);
     }
 
     // Convert RGB to Lab color space
     rgbToLab(r, g, b) {
-        // Normalize RGB values to 0-1
-        r = r / 255.0;
-        g = g / 255.0;
-        b = b / 255.0;
-
-        // Apply gamma correction
-        r = r > 0.04045 ? Math.pow((r + 0.055) / 1.055, 2.4) : r / 12.92;
-        g = g > 0.04045 ? Math.pow((g + 0.055) / 1.055, 2.4) : g / 12.92;
-        b = b > 0.04045 ? Math.pow((b + 0.055) / 1.055, 2.4) : b / 12.92;
-
-        // Convert to XYZ color space
-        let x = r * 0.4124564 + g * 0.3575761 + b * 0.1804375;
-        let y = r * 0.2126729 + g * 0.7151522 + b * 0.0721750;
-        let z = r * 0.0193339 + g * 0.1191920 + b * 0.9503041;
-
-        // Normalize by reference white point
-        x = x / 0.95047;
-        y = y / 1.00000;
-        z = z / 1.08883;
-
-        // Apply Lab transformation
-        const fx = x > 0.008856 ? Math.pow(x, 1/3) : (7.787 * x + 16/116);
-        const fy = y > 0.008856 ? Math.pow(y, 1/3) : (7.787 * y + 16/116);
-        const fz = z > 0.008856 ? Math.pow(z, 1/3) : (7.787 * z + 16/116);
-
-        const L = 116 * fy - 16;
-        const a = 500 * (fx - fy);
-        const bLab = 200 * (fy - fz);
-
-        return [
-            Math.max(0, Math.min(255, (L / 100) * 255)),
-            Math.max(0, Math.min(255, (a + 128) * 255 / 256)),
-            Math.max(0, Math.min(255, (bLab + 128) * 255 / 256))
-        ];
+        return PixelCore.rgbToLab(r, g, b);
     }
 
     // REQUIREMENT #4 & #5: Create grayscale image with 20% brightness increase in single loop
     createGrayscaleWithBrightness(img) {
-        const output = safeCreateGraphics(img.width, img.height);
-        if (!output) return null; // Handle graphics creation failure
-        
-        output.loadPixels();
-        img.loadPixels();
-        
-        // Single nested for loop that performs both grayscale conversion AND brightness increase
-        for (let i = 0; i < img.pixels.length; i += 4) {
-            // Convert to grayscale using standard luminance formula
-            const gray = 0.299 * img.pixels[i] + 0.587 * img.pixels[i + 1] + 0.114 * img.pixels[i + 2];
-            
-            // Increase brightness by 20% in the SAME loop (requirement #4)
-            const brightenedGray = gray * 1.2; // 20% increase
-            
-            // REQUIREMENT #5: Prevent pixel intensity from exceeding 255
-            const clampedGray = Math.min(255, brightenedGray);
-            
-            output.pixels[i] = clampedGray;
-            output.pixels[i + 1] = clampedGray;
-            output.pixels[i + 2] = clampedGray;
-            output.pixels[i + 3] = 255;
-        }
-        
-        output.updatePixels();
-        return output;
+        return this.runCore(img, (src, dest) => PixelCore.grayscaleWithBrightness(src, dest), 'grayscale');
     }
 
     // Extract individual color channels - RGB separation
     extractColorChannels(img) {
-        img.loadPixels();
-        
-        // Red channel extraction
-        const redChannel = createGraphics(img.width, img.height);
-        redChannel.loadPixels();
-        for (let i = 0; i < img.pixels.length; i += 4) {
-            redChannel.pixels[i] = img.pixels[i];     // Red value from original
-            redChannel.pixels[i + 1] = 0;             // Green = 0
-            redChannel.pixels[i + 2] = 0;             // Blue = 0
-            redChannel.pixels[i + 3] = 255;           // Alpha
-        }
-        redChannel.updatePixels();
-        
-        // Green channel extraction
-        const greenChannel = createGraphics(img.width, img.height);
-        greenChannel.loadPixels();
-        for (let i = 0; i < img.pixels.length; i += 4) {
-            greenChannel.pixels[i] = 0;               // Red = 0
-            greenChannel.pixels[i + 1] = img.pixels[i + 1]; // Green value from original
-            greenChannel.pixels[i + 2] = 0;           // Blue = 0
-            greenChannel.pixels[i + 3] = 255;         // Alpha
-        }
-        greenChannel.updatePixels();
-        
-        // Blue channel extraction
-        const blueChannel = createGraphics(img.width, img.height);
-        blueChannel.loadPixels();
-        for (let i = 0; i < img.pixels.length; i += 4) {
-            blueChannel.pixels[i] = 0;               // Red = 0
-            blueChannel.pixels[i + 1] = 0;           // Green = 0
-            blueChannel.pixels[i + 2] = img.pixels[i + 2]; // Blue value from original
-            blueChannel.pixels[i + 3] = 255;         // Alpha
-        }
-        blueChannel.updatePixels();
-        
         return {
-            red: redChannel,
-            green: greenChannel,
-            blue: blueChannel
+            red: this.runCore(img, (src, dest) => PixelCore.extractChannel(src, 0, dest), 'redChannel'),
+            green: this.runCore(img, (src, dest) => PixelCore.extractChannel(src, 1, dest), 'greenChannel'),
+            blue: this.runCore(img, (src, dest) => PixelCore.extractChannel(src, 2, dest), 'blueChannel')
         };
     }
 
     // Apply threshold to a specific RGB channel
     applyChannelThreshold(img, threshold, channelIndex) {
-        const output = createGraphics(img.width, img.height);
-        output.loadPixels();
-        img.loadPixels();
-        
-        for (let i = 0; i < img.pixels.length; i += 4) {
-            const value = img.pixels[i + channelIndex] > threshold ? 255 : 0;
-            output.pixels[i] = value;
-            output.pixels[i + 1] = value;
-            output.pixels[i + 2] = value;
-            output.pixels[i + 3] = 255;
-        }
-        
-        output.updatePixels();
-        return output;
+        return this.runCore(img, (src, dest) => PixelCore.channelThreshold(src, threshold, channelIndex, dest), `channelThreshold${channelIndex}`);
     }
 
     // Convert image to HSV color space
     convertToHSV(img) {
-        const output = createGraphics(img.width, img.height);
-        output.loadPixels();
-        img.loadPixels();
-        
-        for (let i = 0; i < img.pixels.length; i += 4) {
-            const [h, s, v] = this.rgbToHsv(img.pixels[i], img.pixels[i + 1], img.pixels[i + 2]);
-            
-            output.pixels[i] = (h / 360) * 255;
-            output.pixels[i + 1] = s;
-            output.pixels[i + 2] = v;
-            output.pixels[i + 3] = 255;
-        }
-        
-        output.updatePixels();
-        return output;
+        return this.runCore(img, (src, dest) => PixelCore.convertToHSV(src, dest), 'hsvConversion');
     }
 
     // Convert image to Lab color space
     convertToLab(img) {
-        const output = createGraphics(img.width, img.height);
-        output.loadPixels();
-        img.loadPixels();
-        
-        for (let i = 0; i < img.pixels.length; i += 4) {
-            const [L, a, b] = this.rgbToLab(img.pixels[i], img.pixels[i + 1], img.pixels[i + 2]);
-            
-            output.pixels[i] = Math.max(0, Math.min(255, L));
-            output.pixels[i + 1] = Math.max(0, Math.min(255, a));
-            output.pixels[i + 2] = Math.max(0, Math.min(255, b));
-            output.pixels[i + 3] = 255;
-        }
-        
-        output.updatePixels();
-        return output;
+        return this.runCore(img, (src, dest) => PixelCore.convertToLab(src, dest), 'labConversion');
+    }
+
+    // Sobel/Prewitt/Scharr magnitude or orientation, or Canny edges of a grayscale image
+    detectEdges(img, options) {
+        return this.runCore(img, (src, dest) => EdgeDetection.detect(src, options, dest), 'edges');
+    }
+
+    // Convert image to any color space in the COLOR_SPACES registry
+    convertColorSpace(img, spaceKey) {
+        return this.runCore(img, (src, dest) => convertToColorSpace(src, spaceKey, dest), 'colorSpaceConversion');
     }
 
     // Apply threshold to color space converted images
     applyColorSpaceThreshold(img, threshold) {
-        const output = createGraphics(img.width, img.height);
-        output.loadPixels();
-        img.loadPixels();
-        
-        for (let i = 0; i < img.pixels.length; i += 4) {
-            const intensity = (img.pixels[i] + img.pixels[i + 1] + img.pixels[i + 2]) / 3;
-            const value = intensity > threshold ? 255 : 0;
-            
-            output.pixels[i] = value;
-            output.pixels[i + 1] = value;
-            output.pixels[i + 2] = value;
-            output.pixels[i + 3] = 255;
-        }
-        
-        output.updatePixels();
-        return output;
+        return this.runCore(img, (src, dest) => PixelCore.colorSpaceThreshold(src, threshold, dest), 'colorSpaceThreshold');
     }
 
     // REQUIREMENT #13d: Pixelate image using 5x5 blocks with proper implementation
     pixelateImage(img) {
-        console.log(`Starting pixelation on image: ${img.width}x${img.height}`);
-        const output = safeCreateGraphics(img.width, img.height);
+        const blockSize = this.scaled(12);
+        console.log(`Pixelating image ${img.width}x${img.height} with ${blockSize}x${blockSize} blocks...`);
+        
+        // REQUIREMENT 13d.iii-v: average each block and paint it with that intensity
+        const output = this.runCore(img, (src, dest) => {
+            const density = src.width / img.width;
+            PixelCore.pixelate(src, Math.max(1, Math.round(blockSize * density)), dest);
+        }, 'pixelate');
         if (!output) {
             console.error("Failed to create graphics for pixelation");
             return img;
         }
         
-        output.loadPixels();
-        img.loadPixels();
-        
-        const blockSize = 12; 
-        
-        console.log(`Pixelating image with ${blockSize}x${blockSize} blocks...`);
-        
-        // REQUIREMENT 13d.v: Loop through all blocks
-        for (let y = 0; y < img.height; y += blockSize) {
-            for (let x = 0; x < img.width; x += blockSize) {
-                let totalIntensity = 0;
-                let pixelCount = 0;
-                
-                // REQUIREMENT 13d.iii: Calculate average pixel intensity using image.get() or pixel array
-                for (let by = 0; by < blockSize && y + by < img.height; by++) {
-                    for (let bx = 0; bx < blockSize && x + bx < img.width; bx++) {
-                        const idx = ((y + by) * img.width + (x + bx)) * 4;
-                        // Use grayscale intensity 
-                        const intensity = img.pixels[idx];
-                        totalIntensity += intensity;
-                        pixelCount++;
-                    }
-                }
-                
-                // Calculate average pixel intensity for this 5x5 block
-                const averageIntensity = Math.round(totalIntensity / pixelCount);
-                
-                // REQUIREMENT 13d.iv: Paint entire block using average intensity with outimage.set() equivalent
-                for (let by = 0; by < blockSize && y + by < img.height; by++) {
-                    for (let bx = 0; bx < blockSize && x + bx < img.width; bx++) {
-                        const idx = ((y + by) * img.width + (x + bx)) * 4;
-                        // Set all pixels in block to average intensity
-                        output.pixels[idx] = averageIntensity;     // Red
-                        output.pixels[idx + 1] = averageIntensity; // Green  
-                        output.pixels[idx + 2] = averageIntensity; // Blue
-                        output.pixels[idx + 3] = 255;             // Alpha
-                    }
-                }
-                // REQUIREMENT 13d.v: Repeating steps iii and iv for all blocks (loop continues)
-            }
-        }
-        
-        output.updatePixels();
         console.log(`Pixelation completed using ${blockSize}x${blockSize} blocks`);
         return output;
     }
@@ -392,7 +281,7 @@ class ImageProcessor {
     // Apply Gaussian blur for privacy filter
     blurImage(img, radius = 8) {
         console.log(`Creating blur with radius ${radius} for image ${img.width}x${img.height}`);
-        const output = safeCreateGraphics(img.width, img.height);
+        const output = bufferPool.acquireGraphics('blur', img.width, img.height);
         if (!output) {
             console.error("Failed to create graphics for blur");
             return img;
@@ -403,17 +292,6 @@ class ImageProcessor {
         console.log("Blur filter applied successfully");
         return output;
     }
-
-    // Flip image horizontally to fix camera mirroring
-    flipImageHorizontally(img) {
-        const output = createGraphics(img.width, img.height);
-        output.push();
-        output.translate(img.width, 0);
-        output.scale(-1, 1);
-        output.image(img, 0, 0);
-        output.pop();
-        return output;
-    }
 }
 
 //  Face detection and processing class
@@ -423,8 +301,21 @@ class FaceProcessor {
         this.lastKnownFacePosition = null;
         this.faceTrackingHistory = [];
         this.maxHistoryLength = 5;
-        this.minFaceSize = 30; // Minimum face size for valid detection
-        this.maxFaceSize = 100; // Maximum face size for valid detection
+        this.setResolution(BASE_WIDTH, BASE_HEIGHT);
+    }
+
+    // Rescale face size limits and scan parameters for a new processing resolution
+    setResolution(width, height) {
+        this.processor.setResolution(width, height);
+        this.minFaceSize = this.processor.scaled(30); // Minimum face size for valid detection
+        this.maxFaceSize = this.processor.scaled(100); // Maximum face size for valid detection
+        this.resetTracking();
+    }
+
+    // Previous positions are in old coordinates and no longer valid
+    resetTracking() {
+        this.lastKnownFacePosition = null;
+        this.faceTrackingHistory = [];
     }
 
     //  Process face with different filters based on keystroke input
@@ -444,7 +335,7 @@ class FaceProcessor {
                     
                 case 2: // Requirement 13b: Blurred image
                     console.log("Applying blur filter to face for privacy");
-                    const blurredFace = this.processor.blurImage(faceImg, 25); 
+                    const blurredFace = this.processor.blurImage(faceImg, this.processor.scaled(25));
                     console.log("Blur filter applied, returning blurred face", blurredFace ? `${blurredFace.width}x${blurredFace.height}` : 'null');
                     if (blurredFace) {
                         // Force the blurred face to be fully processed
@@ -454,8 +345,8 @@ class FaceProcessor {
                     return blurredFace;
                     
                 case 3: // Requirement 13c: Color converted image
-                    console.log("Applying HSV color space conversion to face");
-                    return this.processor.convertToHSV(faceImg);
+                    console.log(`Applying ${COLOR_SPACES[faceFilterColorSpace].name} color space conversion to face`);
+                    return this.processor.convertColorSpace(faceImg, faceFilterColorSpace);
                     
                 case 4: // Requirement 13d: Pixelated image
                     console.log("Applying pixelation filter to face");
@@ -467,6 +358,12 @@ class FaceProcessor {
                     console.log("Pixelation applied to face", pixelatedFace ? `${pixelatedFace.width}x${pixelatedFace.height}` : 'null');
                     return pixelatedFace;
                     
+                case 5: // Edge detection with the edge panel settings
+                    console.log("Applying edge detection filter to face");
+                    const grayFace = this.processor.createGrayscaleWithBrightness(faceImg);
+                    const options = edgePanel ? edgePanel.getOptions() : {};
+                    return this.processor.detectEdges(grayFace, options);
+                    
                 default: // Filter 0: Original face
                     console.log("Showing original face (no filter)");
                     return faceImg;
@@ -498,7 +395,7 @@ class FaceProcessor {
                 return null;
             }
 
-            const faceImg = safeCreateGraphics(width, height);
+            const faceImg = bufferPool.acquireGraphics('faceRegion', width, height);
             if (!faceImg) {
                 console.error("Failed to create graphics for face region");
                 return null;
@@ -513,70 +410,36 @@ class FaceProcessor {
         }
     }
 
+    // Scan parameters for SkinScanner, scaled to the processing resolution
+    getScanOptions() {
+        return {
+            minScanSize: this.processor.scaled(35),  // Minimum viable face size
+            maxScanSize: this.processor.scaled(80),  // Maximum face size
+            minStep: this.processor.scaled(8),
+            idealSize: 50 * this.processor.scale,
+            searchRadius: this.processor.scaled(25), // pixels to search around last position
+            searchStep: this.processor.scaled(8),
+            minFaceSize: this.minFaceSize,           // Limits for skin blob candidates
+            maxFaceSize: this.maxFaceSize,
+            lastKnownFacePosition: this.lastKnownFacePosition
+        };
+    }
+
     //  Detect face using skin tone analysis with  validation
     detectBySkinTone(img) {
-        if (!img || !img.pixels) {
+        if (!img) {
             console.error("Invalid image for skin tone detection");
             return null;
         }
 
         console.log("Attempting skin tone detection...");
-        img.loadPixels();
-        
-        let bestRegion = null;
-        let maxSkinPixels = 0;
-        let maxSkinRatio = 0;
-        
-        // Scan different regions of the image with better positioning
-        const regions = [
-            {x: Math.round(img.width * 0.1), y: Math.round(img.height * 0.1), w: Math.round(img.width * 0.4), h: Math.round(img.height * 0.4)}, // Top-left
-            {x: Math.round(img.width * 0.5), y: Math.round(img.height * 0.1), w: Math.round(img.width * 0.4), h: Math.round(img.height * 0.4)}, // Top-right
-            {x: Math.round(img.width * 0.2), y: Math.round(img.height * 0.15), w: Math.round(img.width * 0.6), h: Math.round(img.height * 0.6)}, // Center-large
-            {x: Math.round(img.width * 0.25), y: Math.round(img.height * 0.2), w: Math.round(img.width * 0.5), h: Math.round(img.height * 0.5)}, // Center-medium
-            {x: Math.round(img.width * 0.3), y: Math.round(img.height * 0.25), w: Math.round(img.width * 0.4), h: Math.round(img.height * 0.4)} // Center-small
-        ];
-        
-        regions.forEach((region, index) => {
-            if (region.x + region.w > img.width || region.y + region.h > img.height) {
-                return; 
-            }
+        return this.validateSkinToneCandidate(SkinScanner.detectBySkinTone(this.processor.toSourceBuffer(img), this.getScanOptions()));
+    }
 
-            let skinPixelCount = 0;
-            let totalPixels = 0;
-            
-            for (let y = region.y; y < region.y + region.h && y < img.height; y++) {
-                for (let x = region.x; x < region.x + region.w && x < img.width; x++) {
-                    const idx = (y * img.width + x) * 4;
-                    const r = img.pixels[idx];
-                    const g = img.pixels[idx + 1];
-                    const b = img.pixels[idx + 2];
-                    
-                    if (this.isSkinTone(r, g, b)) {
-                        skinPixelCount++;
-                    }
-                    totalPixels++;
-                }
-            }
-            
-            const skinRatio = totalPixels > 0 ? skinPixelCount / totalPixels : 0;
-            console.log(`Region ${index} skin ratio: ${skinRatio.toFixed(3)} (${skinPixelCount}/${totalPixels} pixels)`);
-            
-            
-            if (skinPixelCount > maxSkinPixels && skinRatio > 0.12 && skinRatio > maxSkinRatio) {
-                maxSkinPixels = skinPixelCount;
-                maxSkinRatio = skinRatio;
-                bestRegion = {
-                    x: Math.round(region.x),
-                    y: Math.round(region.y),
-                    width: Math.round(region.w),
-                    height: Math.round(region.h)
-                };
-            }
-        });
-        
-        if (bestRegion && this.isValidFaceSize(bestRegion)) {
-            console.log("Skin tone detection successful:", bestRegion, `ratio: ${maxSkinRatio.toFixed(3)}`);
-            return bestRegion;
+    validateSkinToneCandidate(candidate) {
+        if (candidate && this.isValidFaceSize(candidate.region)) {
+            console.log("Skin tone detection successful:", candidate.region, `ratio: ${candidate.ratio.toFixed(3)}`);
+            return candidate.region;
         }
         
         console.log("No significant skin tone regions found");
@@ -594,250 +457,66 @@ class FaceProcessor {
 
     //  skin tone detection with better color ranges
     isSkinTone(r, g, b) {
-        // Improved skin tone detection for various ethnicities
-        // Range 1: Light skin tones
-        if (r > 95 && g > 40 && b > 20 && 
-            Math.max(r, g, b) - Math.min(r, g, b) > 15 && 
-            Math.abs(r - g) > 15 && r > g && r > b) {
-            return true;
-        }
-        
-        // Range 2: Medium skin tones  
-        if (r > 80 && g > 50 && b > 30 && 
-            r > g && g > b && r - g > 10) {
-            return true;
-        }
-             
-        // Range 3: Darker skin tones
-        if (r > 50 && g > 30 && b > 15 && 
-            r > g && g >= b && r - b > 15) {
-            return true;
-        }
-
-        // Range 4: Additional medium-dark skin tones
-        if (r > 60 && g > 40 && b > 20 &&
-            r > b && g > b && (r - b) > 10 && (g - b) > 5) {
-            return true;
-        }
-
-        return false;
+        return SkinScanner.isSkinTone(r, g, b);
     }
 
     // Track face based on previous position and motion with improved validation
     trackByMotion(img) {
-        if (!this.lastKnownFacePosition || !img || !img.pixels) {
+        if (!this.lastKnownFacePosition || !img) {
             console.log("No previous face position or invalid image for motion tracking");
             return null;
         }
         
         console.log("Attempting motion-based face tracking...");
-        
-        const lastPos = this.lastKnownFacePosition;
-        const searchRadius = 25; // pixels to search around last position
-        
-        img.loadPixels();
-        let maxSkinDensity = 0;
-        let bestPosition = null;
-        
-        // Sample multiple positions around the last known location
-        for (let offsetY = -searchRadius; offsetY <= searchRadius; offsetY += 8) {
-            for (let offsetX = -searchRadius; offsetX <= searchRadius; offsetX += 8) {
-                const testX = Math.max(0, lastPos.x + offsetX);
-                const testY = Math.max(0, lastPos.y + offsetY);
-                
-                if (testX + lastPos.width <= img.width && 
-                    testY + lastPos.height <= img.height) {
-                    
-                    const skinDensity = this.calculateSkinDensity(img, testX, testY, lastPos.width, lastPos.height);
-                    
-                    if (skinDensity > maxSkinDensity && skinDensity > 0.1) {
-                        maxSkinDensity = skinDensity;
-                        bestPosition = {
-                            x: testX,
-                            y: testY,
-                            width: lastPos.width,
-                            height: lastPos.height
-                        };
-                    }
-                }
-            }
-        }
-        
-        if (bestPosition && this.isValidFaceSize(bestPosition)) {
-            console.log("Motion tracking successful:", bestPosition, `density: ${maxSkinDensity.toFixed(3)}`);
-            return bestPosition;
-        }
-        
-        console.log("Motion tracking failed");
-        return null;
+        const options = this.getScanOptions();
+        return this.validateMotionCandidate(SkinScanner.trackByMotion(this.processor.toSourceBuffer(img),
+            this.lastKnownFacePosition, options.searchRadius, options.searchStep));
     }
 
-    // Calculate skin tone density in a region with error handling
-    calculateSkinDensity(img, x, y, width, height) {
-        if (!img || !img.pixels) return 0;
-
-        let skinPixels = 0;
-        let totalPixels = 0;
-        
-        try {
-            for (let py = y; py < y + height && py < img.height; py++) {
-                for (let px = x; px < x + width && px < img.width; px++) {
-                    const idx = (py * img.width + px) * 4;
-                    if (idx + 2 < img.pixels.length) {
-                        const r = img.pixels[idx];
-                        const g = img.pixels[idx + 1];
-                        const b = img.pixels[idx + 2];
-                        
-                        if (this.isSkinTone(r, g, b)) {
-                            skinPixels++;
-                        }
-                        totalPixels++;
-                    }
-                }
-            }
-        } catch (error) {
-            console.error("Error calculating skin density:", error);
-            return 0;
+    validateMotionCandidate(candidate) {
+        if (candidate && this.isValidFaceSize(candidate.region)) {
+            console.log("Motion tracking successful:", candidate.region, `density: ${candidate.density.toFixed(3)}`);
+            return candidate.region;
         }
         
-        return totalPixels > 0 ? skinPixels / totalPixels : 0;
+        console.log("Motion tracking failed");
+        return null;
     }
 
     // Scan multiple regions systematically for faces with improved algorithm
     scanForFaceRegions(img) {
-        if (!img || !img.pixels) {
+        if (!img) {
             console.error("Invalid image for region scanning");
             return null;
         }
 
         console.log("Scanning for face regions systematically...");
-        
-        const minScanWidth = 35;  // Minimum viable face width
-        const maxScanWidth = 80;  // Maximum face width
-        const minScanHeight = 35; // Minimum viable face height
-        const maxScanHeight = 80; // Maximum face height
-        
-        let bestPosition = null;
-        let maxScore = 0;
-        
-        // Multi-scale scanning for better face detection
-        for (let scale = 0.3; scale <= 0.7; scale += 0.1) {
-            const scanWidth = Math.round(Math.max(minScanWidth, Math.min(maxScanWidth, img.width * scale)));
-            const scanHeight = Math.round(Math.max(minScanHeight, Math.min(maxScanHeight, img.height * scale)));
-            
-            const stepSize = Math.max(8, Math.round(scanWidth * 0.2));
-            
-            for (let y = 0; y <= img.height - scanHeight; y += stepSize) {
-                for (let x = 0; x <= img.width - scanWidth; x += stepSize) {
-                    const score = this.scoreFaceRegion(img, x, y, scanWidth, scanHeight);
-                    
-                    if (score > maxScore) {
-                        maxScore = score;
-                        bestPosition = {
-                            x: x,
-                            y: y,
-                            width: scanWidth,
-                            height: scanHeight
-                        };
-                    }
-                }
-            }
-        }
-        
-        if (bestPosition && maxScore > 0.15) {
-            console.log("Region scanning successful:", bestPosition, "score:", maxScore.toFixed(3));
-            return bestPosition;
+        return this.validateScanCandidate(SkinScanner.scanForFaceRegions(this.processor.toSourceBuffer(img), this.getScanOptions()));
+    }
+
+    validateScanCandidate(candidate) {
+        if (candidate) {
+            console.log("Region scanning successful:", candidate.region, "score:", candidate.score.toFixed(3));
+            return candidate.region;
         }
         
         console.log("Region scanning failed - no suitable regions found");
         return null;
     }
 
-    // Score a region based on face-like characteristics with enhanced criteria
-    scoreFaceRegion(img, x, y, width, height) {
-        if (!img || !img.pixels) return 0;
-
-        try {
-            img.loadPixels();
-            
-            let skinToneScore = this.calculateSkinDensity(img, x, y, width, height);
-            
-            // Prefer regions in upper-middle portion of image 
-            let positionScore = 1.0 - Math.abs((y + height/2) - img.height * 0.35) / (img.height * 0.35);
-            positionScore = Math.max(0, Math.min(1, positionScore));
-            
-            // Prefer regions with appropriate color variation 
-            let variationScore = this.calculateColorVariation(img, x, y, width, height);
-            
-            // Size preference - medium sizes are more likely to be faces
-            let sizeScore = 1.0 - Math.abs((width + height) / 2 - 50) / 50;
-            sizeScore = Math.max(0, Math.min(1, sizeScore));
-            
-            // Aspect ratio preference - faces are roughly rectangular
-            let aspectRatio = width / height;
-            let aspectScore = 1.0 - Math.abs(aspectRatio - 0.8) / 0.8;
-            aspectScore = Math.max(0, Math.min(1, aspectScore));
-            
-            const finalScore = (skinToneScore * 0.4) + (positionScore * 0.25) + 
-                              (variationScore * 0.15) + (sizeScore * 0.1) + (aspectScore * 0.1);
-            
-            return finalScore;
-        } catch (error) {
-            console.error("Error scoring face region:", error);
-            return 0;
-        }
-    }
-
-    // Calculate color variation in a region with improved sampling
-    calculateColorVariation(img, x, y, width, height) {
-        if (!img || !img.pixels) return 0;
-
-        let rValues = [];
-        let gValues = [];
-        let bValues = [];
+    // Run all manual strategies, in the processing worker when one is available
+    async findFaceCandidates(img) {
+        const options = this.getScanOptions();
         
-        try {
-            // Sample pixels in the region with adaptive step size
-            const stepSize = Math.max(1, Math.round(width / 10));
-            
-            for (let py = y; py < y + height && py < img.height; py += stepSize) {
-                for (let px = x; px < x + width && px < img.width; px += stepSize) {
-                    const idx = (py * img.width + px) * 4;
-                    if (idx + 2 < img.pixels.length) {
-                        rValues.push(img.pixels[idx]);
-                        gValues.push(img.pixels[idx + 1]);
-                        bValues.push(img.pixels[idx + 2]);
-                    }
-                }
+        if (processingWorker && processingWorker.isAvailable) {
+            try {
+                return await processingWorker.scanFaces(this.processor.toSourceBuffer(img), options);
+            } catch (error) {
+                console.warn("Worker face scan failed, scanning on main thread:", error);
             }
-            
-            // Calculate standard deviation as measure of variation
-            const rVariation = this.standardDeviation(rValues);
-            const gVariation = this.standardDeviation(gValues);
-            const bVariation = this.standardDeviation(bValues);
-            
-            const avgVariation = (rVariation + gVariation + bVariation) / 3;
-            return Math.min(1.0, avgVariation / 40); 
-        } catch (error) {
-            console.error("Error calculating color variation:", error);
-            return 0;
         }
-    }
-
-    // Calculate standard deviation with safety checks
-    standardDeviation(values) {
-        if (!values || values.length === 0) return 0;
         
-        try {
-            const mean = values.reduce((sum, val) => sum + val, 0) / values.length;
-            const squaredDiffs = values.map(val => Math.pow(val - mean, 2));
-            const avgSquaredDiff = squaredDiffs.reduce((sum, val) => sum + val, 0) / values.length;
-            
-            return Math.sqrt(avgSquaredDiff);
-        } catch (error) {
-            console.error("Error calculating standard deviation:", error);
-            return 0;
-        }
+        return SkinScanner.findCandidates(this.processor.toSourceBuffer(img), options);
     }
 
     // Get default center face position as fallback with proper bounds
@@ -868,7 +547,8 @@ class FaceProcessor {
     }
 
     //  Enhanced manual face detection using multiple strategies with better error handling
-    detectFaceManually(faceImage, capturedImage) {
+    // Resolves with the chosen face box once the filter has been applied
+    async detectFaceManually(faceImage, capturedImage) {
         if (!faceImage || !capturedImage) {
             console.error("Invalid images for manual face detection");
             return this.getDefaultCenterFace();
@@ -879,14 +559,16 @@ class FaceProcessor {
         let bestFace = null;
         
         try {
+            const candidates = await this.findFaceCandidates(capturedImage);
+            
             // Strategy 1: Skin tone detection
-            const skinToneFace = this.detectBySkinTone(capturedImage);
+            const skinToneFace = this.validateSkinToneCandidate(candidates.skinTone);
             
             // Strategy 2: Motion-based tracking (if we have previous position)
-            const motionFace = this.trackByMotion(capturedImage);
+            const motionFace = this.lastKnownFacePosition ? this.validateMotionCandidate(candidates.motion) : null;
             
             // Strategy 3: Multi-region scanning
-            const scanFace = this.scanForFaceRegions(capturedImage);
+            const scanFace = this.validateScanCandidate(candidates.scan);
             
             // Choose best detection result with preference order
             bestFace = skinToneFace || motionFace || scanFace;
@@ -938,13 +620,13 @@ class FaceProcessor {
                         console.log("Applying blur directly to face detection canvas");
                         
                         // Create a temporary image with just the face area
-                        const tempFace = safeCreateGraphics(faceBbox.width, faceBbox.height);
+                        const tempFace = bufferPool.acquireGraphics('faceBlur', faceBbox.width, faceBbox.height);
                         if (tempFace) {
                             tempFace.copy(faceImage, faceBbox.x, faceBbox.y, faceBbox.width, faceBbox.height, 
                                          0, 0, faceBbox.width, faceBbox.height);
                             
                             // Apply heavy blur
-                            tempFace.filter(BLUR, 30);
+                            tempFace.filter(BLUR, this.processor.scaled(30));
                             
                             // Copy blurred face back
                             faceImage.copy(tempFace, 0, 0, faceBbox.width, faceBbox.height,
@@ -1000,6 +682,11 @@ class FaceProcessor {
             } else {
                 console.error("Failed to extract face region");
             }
+            
+            // Optionally restrict the filter to the colors picked on a panel
+            if (colorPickController) {
+                colorPickController.maskFaceFilter(faceImage, faceBbox, capturedImage);
+            }
         } catch (error) {
             console.error("Error applying face filter:", error);
         }
@@ -1011,7 +698,7 @@ class FaceProcessor {
             const boxColor = isEnhancedDetection ? [0, 255, 0] : [255, 165, 0]; // Green for enhanced, Orange for fallback
             
             faceImage.stroke(boxColor[0], boxColor[1], boxColor[2]);
-            faceImage.strokeWeight(2);
+            faceImage.strokeWeight(this.processor.scaled(2));
             faceImage.noFill();
             
             // Ensure bounding box is within image bounds
@@ -1027,10 +714,10 @@ class FaceProcessor {
             // Add detection method label
             faceImage.fill(boxColor[0], boxColor[1], boxColor[2]);
             faceImage.noStroke();
-            faceImage.textSize(8);
+            faceImage.textSize(this.processor.scaled(8));
             faceImage.textAlign(LEFT, TOP);
             
-            const labelY = Math.max(10, drawY - 5);
+            const labelY = Math.max(this.processor.scaled(10), drawY - this.processor.scaled(5));
             const labelText = isEnhancedDetection ? "Smart Detection" : "Center Fallback";
             faceImage.text(labelText, drawX, labelY);
         } catch (error) {
@@ -1075,6 +762,7 @@ class FaceProcessor {
 // UI Controller class for handling user interactions
 class UIController {
     constructor() {
+        this.populateColorSpaceSelects();
         this.setupEventListeners();
         this.updateSliderValues();
     }
@@ -1103,6 +791,22 @@ class UIController {
             });
         }
 
+        // Bind camera orientation selector
+        const orientationSelect = document.getElementById('orientationSelect');
+        if (orientationSelect) {
+            orientationSelect.addEventListener('change', (e) => {
+                this.changeOrientation(e.target.value);
+            });
+        }
+
+        // Bind processing resolution preset selector
+        const resolutionSelect = document.getElementById('resolutionSelect');
+        if (resolutionSelect) {
+            resolutionSelect.addEventListener('change', (e) => {
+                this.changeResolution(e.target.value);
+            });
+        }
+
         // Bind threshold sliders
         ['red', 'green', 'blue', 'hsv', 'lab'].forEach(color => {
             const slider = document.getElementById(`${color}Threshold`);
@@ -1119,6 +823,76 @@ class UIController {
             }
         });
 
+        // Bind automatic threshold mode and global/adaptive type selectors
+        ['red', 'green', 'blue', 'hsv', 'lab'].forEach(color => {
+            ['Mode', 'Type'].forEach(kind => {
+                const select = document.getElementById(`${color}Threshold${kind}`);
+                if (select) {
+                    select.addEventListener('change', (e) => {
+                        this.updateThresholdControls(color);
+                        console.log(`${color} threshold ${kind.toLowerCase()} changed to: ${e.target.value}`);
+                        if (capturedImage) {
+                            this.updateProcessing();
+                        }
+                    });
+                }
+            });
+        });
+        
+        // Bind the color space shown by each color space panel
+        ['hsv', 'lab'].forEach(panel => {
+            const select = document.getElementById(`${panel}Space`);
+            if (select) {
+                select.addEventListener('change', (e) => {
+                    this.changeColorSpace(panel, e.target.value);
+                });
+            }
+        });
+        
+        const faceFilterSpaceSelect = document.getElementById('faceFilterSpace');
+        if (faceFilterSpaceSelect) {
+            faceFilterSpaceSelect.addEventListener('change', (e) => {
+                faceFilterColorSpace = e.target.value;
+                this.updateStatusText(`Face filter 3: ${COLOR_SPACES[faceFilterColorSpace].name}`);
+                if (capturedImage && currentFaceFilter === 3) {
+                    processFaceDetection();
+                }
+            });
+        }
+        
+        // Bind adaptive threshold settings shared by every adaptive panel
+        [
+            { id: 'adaptiveWindow', format: value => `${value} px` },
+            { id: 'adaptiveOffset', format: value => value },
+            { id: 'adaptiveK', format: value => parseFloat(value).toFixed(2) }
+        ].forEach(({ id, format }) => {
+            const slider = document.getElementById(id);
+            const valueSpan = document.getElementById(`${id}Value`);
+            if (slider) {
+                slider.addEventListener('input', (e) => {
+                    if (valueSpan) {
+                        valueSpan.textContent = format(e.target.value);
+                    }
+                    if (capturedImage) {
+                        this.updateProcessing();
+                    }
+                });
+            }
+        });
+        
+        const percentileSlider = document.getElementById('autoPercentile');
+        const percentileValue = document.getElementById('autoPercentileValue');
+        if (percentileSlider) {
+            percentileSlider.addEventListener('input', (e) => {
+                if (percentileValue) {
+                    percentileValue.textContent = `${e.target.value}%`;
+                }
+                if (capturedImage) {
+                    this.updateProcessing();
+                }
+            });
+        }
+
         // Bind filter buttons
         document.querySelectorAll('.filter-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
@@ -1134,13 +908,79 @@ class UIController {
         });
     }
 
+    // The slider only applies to global manual thresholds; auto needs a global threshold
+    updateThresholdControls(color) {
+        const slider = document.getElementById(`${color}Threshold`);
+        const valueSpan = document.getElementById(`${color}Value`);
+        const modeSelect = document.getElementById(`${color}ThresholdMode`);
+        const typeSelect = document.getElementById(`${color}ThresholdType`);
+        
+        const isGlobal = !typeSelect || typeSelect.value === 'global';
+        const isManual = !modeSelect || modeSelect.value === 'manual';
+        
+        if (modeSelect) modeSelect.disabled = !isGlobal;
+        if (slider) slider.disabled = !isGlobal || !isManual;
+        if (valueSpan && slider) {
+            if (!isGlobal) {
+                valueSpan.textContent = typeSelect.value === 'range' ? 'ranges' : 'local';
+            } else if (isManual) {
+                valueSpan.textContent = slider.value;
+            }
+        }
+    }
+
+    // Fill every color space selector from the COLOR_SPACES registry
+    populateColorSpaceSelects() {
+        document.querySelectorAll('select[data-color-spaces]').forEach(select => {
+            Object.keys(COLOR_SPACES).forEach(spaceKey => {
+                const option = document.createElement('option');
+                option.value = spaceKey;
+                option.textContent = COLOR_SPACES[spaceKey].name;
+                select.appendChild(option);
+            });
+            select.value = select.dataset.default || 'hsv';
+        });
+    }
+
+    // Show another color space in one of the two color space panels ('hsv' or 'lab')
+    changeColorSpace(panel, spaceKey) {
+        const space = COLOR_SPACES[spaceKey];
+        if (!space) {
+            console.error(`Unknown color space: ${spaceKey}`);
+            return;
+        }
+
+        const select = document.getElementById(`${panel}Space`);
+        if (select) select.value = spaceKey;
+
+        const setTitle = (type, text) => {
+            const title = document.getElementById(`canvas_${type}`)?.parentElement.querySelector('h3');
+            if (title) title.textContent = text;
+        };
+        setTitle(`${panel}Conversion`, `${space.name} Color Space`);
+        setTitle(`${panel}Threshold`, `${space.name} Threshold`);
+
+        const label = document.getElementById(`${panel}ThresholdLabel`);
+        if (label) label.textContent = `${space.name} Threshold:`;
+
+        if (colorRangePanel) colorRangePanel.setPanelSpace(panel, spaceKey);
+        if (histogramPanel) histogramPanel.setColorSpace(panel, spaceKey);
+
+        console.log(`Color space panel ${panel} now shows ${space.name}`);
+        this.updateStatusText(`Color space panel: ${space.name}`);
+        if (capturedImage) {
+            this.updateProcessing();
+        }
+    }
+
     getFilterName(filter) {
         const names = [
             'Original', 
             'Grayscale', 
             'Blur', 
-            'HSV Color Space', 
-            'Pixelate'
+            `${COLOR_SPACES[faceFilterColorSpace].name} Color Space`, 
+            'Pixelate',
+            'Edges'
         ];
         return names[filter] || 'Unknown';
     }
@@ -1151,21 +991,28 @@ class UIController {
         });
     }
 
+    // Draw the current video frame into the pooled capture buffer
+    grabVideoFrame() {
+        // Create captured image with the selected orientation
+        const frame = bufferPool.acquireGraphics('capture', imageProcessor.width, imageProcessor.height);
+        Orientation.drawFrame(frame.drawingContext, video.elt, video.elt.videoWidth, video.elt.videoHeight,
+                              imageProcessor.width, imageProcessor.height);
+        return frame;
+    }
+
     captureImage() {
+        // Screen, image and video sources capture through the source switcher
+        if (!inputSource.isCamera()) {
+            inputSource.capture();
+            return;
+        }
+        
         if (video && video.elt && video.elt.readyState >= 2) {
             console.log("=== CAPTURING IMAGE ===");
             console.log(`Capturing image at resolution: ${imageProcessor.width}x${imageProcessor.height}`);
             
             try {
-                // Create captured image with proper orientation
-                capturedImage = createGraphics(imageProcessor.width, imageProcessor.height);
-                
-                // Draw flipped video to correct camera mirroring
-                capturedImage.push();
-                capturedImage.scale(-1, 1);
-                capturedImage.translate(-imageProcessor.width, 0);
-                capturedImage.image(video, 0, 0, imageProcessor.width, imageProcessor.height);
-                capturedImage.pop();
+                capturedImage = this.grabVideoFrame();
                 
                 isCapturing = true;
                 this.updateStatusText('Processing captured image...');
@@ -1189,6 +1036,60 @@ class UIController {
         }
     }
 
+    // Switch the processing resolution and rescale everything that depends on it
+    changeResolution(presetKey) {
+        let resolution = RESOLUTION_PRESETS[presetKey];
+        
+        if (presetKey === 'native') {
+            if (video && video.elt && video.elt.videoWidth > 0) {
+                resolution = { width: video.elt.videoWidth, height: video.elt.videoHeight };
+            } else {
+                console.warn("Native camera size not available yet, using 640x480");
+                resolution = RESOLUTION_PRESETS['640x480'];
+            }
+        }
+        
+        if (!resolution) {
+            console.error(`Unknown resolution preset: ${presetKey}`);
+            return;
+        }
+        
+        console.log(`Changing processing resolution to ${resolution.width}x${resolution.height}`);
+        imageProcessor.setResolution(resolution.width, resolution.height);
+        faceProcessor.setResolution(resolution.width, resolution.height);
+        
+        if (video) {
+            video.size(imageProcessor.width, imageProcessor.height);
+        }
+        resizeCanvases();
+        
+        // Files and shared screens are captured again, other captures are resampled
+        inputSource.reprocess();
+        
+        this.updateStatusText(`Processing resolution: ${imageProcessor.width}x${imageProcessor.height}`);
+    }
+
+    // Switch how camera frames are mirrored or rotated everywhere they are drawn
+    changeOrientation(mode) {
+        try {
+            Orientation.setMode(mode);
+        } catch (error) {
+            console.error(error);
+            return;
+        }
+        
+        // Tracked face positions were recorded in the old orientation
+        faceProcessor.resetTracking();
+        console.log(`Camera orientation changed to ${mode}`);
+        
+        // Re-capture so the panels match what the preview now shows
+        if (capturedImage && inputSource.isCamera() && video && video.elt && video.elt.readyState >= 2) {
+            this.captureImage();
+        }
+        
+        this.updateStatusText(`Orientation: ${Orientation.MODES[mode].label}`);
+    }
+
     toggleCamera() {
         cameraActive = !cameraActive;
         const status = cameraActive ? 'Camera started' : 'Camera stopped';
@@ -1209,11 +1110,14 @@ class UIController {
         }
     }
 
+    // Re-run only the pipeline stages affected by the current slider values
     updateProcessing() {
         if (capturedImage) {
-            console.log("Updating processing with new threshold values...");
             try {
-                processImages();
+                runPipeline().catch(error => {
+                    console.error("Error updating processing:", error);
+                    this.updateStatusText('Error updating processing: ' + error.message);
+                });
             } catch (error) {
                 console.error("Error updating processing:", error);
                 this.updateStatusText('Error updating processing: ' + error.message);
@@ -1248,21 +1152,52 @@ function setup() {
         canvas.parent('canvasContainer');
         
         console.log("=== INITIALIZING APPLICATION ===");
-        console.log("Target resolution: 160x120 pixels (assignment requirement)");
         
+        bufferPool = new BufferPool();
         imageProcessor = new ImageProcessor();
+        console.log(`Target resolution: ${imageProcessor.width}x${imageProcessor.height} pixels`);
+        processingPipeline = buildProcessingPipeline();
+        processingWorker = new ProcessingWorkerBridge('processingWorker.js', displayStageResults);
+
         faceProcessor = new FaceProcessor();
         uiController = new UIController();
+        liveModeController = new LiveModeController();
+        histogramPanel = new HistogramPanel();
+        colorRangePanel = new ColorRangePanel();
+        colorPickController = new ColorPickController();
+        pixelInspector = new PixelInspector();
+        colorEditPanel = new ColorEditPanel();
+        kernelEditor = new KernelEditor();
+        edgePanel = new EdgePanel();
+        morphologyPanel = new MorphologyPanel();
+        componentPanel = new ComponentPanel();
+        denoisePanel = new DenoisePanel();
+        stageHandlers.histograms = (histograms) => histogramPanel.update(histograms);
+        stageHandlers.roundTrip = (report) => colorEditPanel.showReport(report);
+        stageHandlers.components = (components) => componentPanel.showBlobs(components);
+        ['red', 'green', 'blue', 'hsv', 'lab'].forEach(color => {
+            stageHandlers[`${color}AutoThreshold`] = (result) => showAutoThreshold(color, result);
+        });
+        inputSource = new InputSourceManager();
+        screenCaptureController = new ScreenCaptureController();
+        imageInputController = new ImageInputController();
+        batchProcessor = new BatchProcessor();
+        videoFileController = new VideoFileController();
         
         setupCanvases();
         
         console.log("Starting video capture...");
         
-        // Initialize video capture with error handling
+        // Initialize video capture with error handling; the stream itself is opened by
+        // the camera controller so the device and constraints can be chosen and switched
         try {
-            video = createCapture(VIDEO, videoReady);
+            video = createVideo([]);
+            video.elt.muted = true;
+            video.elt.playsInline = true;
             video.size(imageProcessor.width, imageProcessor.height);
             video.hide();
+            cameraController = new CameraController(videoReady);
+            cameraController.start();
         } catch (videoError) {
             console.error("Error initializing video capture:", videoError);
             document.getElementById('statusText').textContent = 'Camera initialization failed - check permissions';
@@ -1285,6 +1220,9 @@ function setup() {
                     
                     if (typeof ml5.faceMesh === 'function') {
                         console.log("Initializing ML5 faceMesh...");
+                        // Orientation is applied by us: captures are already oriented and boxes
+                        // from raw video frames are mapped with Orientation.transformBox, so ML5
+                        // must never flip on its own
                         faceMesh = ml5.faceMesh({
                             maxFaces: 1,
                             refineLandmarks: false,
@@ -1383,13 +1321,16 @@ function setupCanvases() {
     const canvasTypes = [
         'original', 'grayscale', 'redChannel', 'greenChannel', 'blueChannel',
         'redThreshold', 'greenThreshold', 'blueThreshold', 'originalRepeat',
-        'hsvConversion', 'labConversion', 'hsvThreshold', 'labThreshold', 'faceDetection'
+        'hsvConversion', 'labConversion', 'hsvThreshold', 'labThreshold', 'faceDetection',
+        'colorPickMask', 'colorEdit', 'convolution', 'edges', 'componentLabels', 'denoised'
     ];
     
     const canvasNames = [
         'Webcam Image', 'Grayscale + 20% Brightness', 'Red Channel', 'Green Channel', 'Blue Channel',
         'Red Threshold', 'Green Threshold', 'Blue Threshold', 'Webcam Image',
-        'HSV Color Space', 'Lab Color Space', 'HSV Threshold', 'Lab Threshold', 'Face Detection'
+        'HSV Color Space', 'Lab Color Space', 'HSV Threshold', 'Lab Threshold', 'Face Detection',
+        'Picked Color Mask', 'Color Edit (RGB)', 'Convolution', 'Edge Detection', 'Connected Components',
+        'Denoised (Threshold Input)'
     ];
     
     canvasTypes.forEach((type, index) => {
@@ -1417,22 +1358,47 @@ function setupCanvases() {
     console.log(`Created ${Object.keys(canvases).length} canvas contexts for image display`);
 }
 
+// Resize every grid canvas to the current processing resolution
+function resizeCanvases() {
+    Object.keys(canvases).forEach(type => {
+        const canvas = document.getElementById(`canvas_${type}`);
+        if (canvas && (canvas.width !== imageProcessor.width || canvas.height !== imageProcessor.height)) {
+            canvas.width = imageProcessor.width;
+            canvas.height = imageProcessor.height;
+        }
+    });
+    console.log(`Resized ${Object.keys(canvases).length} canvases to ${imageProcessor.width}x${imageProcessor.height}`);
+}
+
 function draw() {
     // Update FPS counter less frequently to improve performance
     if (millis() - fpsUpdateTimer > 2000) { 
         const fpsElement = document.getElementById('fpsCounter');
         if (fpsElement) {
-            fpsElement.textContent = Math.round(frameRate());
+            // In live mode report real pipeline throughput instead of the draw loop rate
+            fpsElement.textContent = liveModeController && liveModeController.isLive ?
+                liveModeController.getFpsText() : Math.round(frameRate());
         }
+        updateBufferCounter();
         fpsUpdateTimer = millis();
     }
     
-    // Display live video feed with throttling
-    if (video && video.elt && video.elt.readyState >= 2 && cameraActive && canvases.original) {
-        
-        if (frameCount % 2 === 0) { 
-            displayLiveVideo();
-        }
+    // Display the active source's live feed with throttling
+    if (inputSource && frameCount % 2 === 0) {
+        inputSource.drawPreview();
+    }
+    
+    // Run the full pipeline on the stream when live mode is on
+    if (liveModeController) {
+        liveModeController.update(millis());
+    }
+}
+
+// Show how many pooled buffers are currently alive
+function updateBufferCounter() {
+    const counterElement = document.getElementById('bufferCounter');
+    if (counterElement && bufferPool) {
+        counterElement.textContent = bufferPool.liveCount;
     }
 }
 
@@ -1445,80 +1411,142 @@ function displayLiveVideo() {
         canvas.height = imageProcessor.height;
         
         const ctx = canvases.original;
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
-        ctx.save();
-        ctx.scale(-1, 1); // Flip to correct camera mirroring
-        ctx.drawImage(video.elt, -imageProcessor.width, 0, imageProcessor.width, imageProcessor.height);
-        ctx.restore();
+        Orientation.drawFrame(ctx, video.elt, video.elt.videoWidth, video.elt.videoHeight,
+                              imageProcessor.width, imageProcessor.height);
         
     } catch (error) {
         console.error("Error displaying live video:", error);
     }
 }
 
+// Get threshold values from UI sliders with fallback defaults
+function readThresholdParams() {
+    const params = {};
+    ['red', 'green', 'blue', 'hsv', 'lab'].forEach(color => {
+        const mode = document.getElementById(`${color}ThresholdMode`)?.value || 'manual';
+        params[`${color}ThresholdMode`] = mode;
+        params[`${color}ThresholdType`] = document.getElementById(`${color}ThresholdType`)?.value || 'global';
+        // In auto mode the slider only displays the computed value; keep the last manual one
+        if (mode === 'manual') {
+            params[`${color}Threshold`] = parseInt(document.getElementById(`${color}Threshold`)?.value || 128);
+        }
+    });
+    if (colorEditPanel) {
+        Object.assign(params, colorEditPanel.getParams());
+    }
+    if (kernelEditor) {
+        Object.assign(params, kernelEditor.getParams());
+    }
+    if (edgePanel) {
+        Object.assign(params, edgePanel.getParams());
+    }
+    if (morphologyPanel) {
+        Object.assign(params, morphologyPanel.getParams());
+    }
+    if (componentPanel) {
+        Object.assign(params, componentPanel.getParams());
+    }
+    if (denoisePanel) {
+        Object.assign(params, denoisePanel.getParams());
+    }
+    params.hsvSpace = document.getElementById('hsvSpace')?.value || 'hsv';
+    params.labSpace = document.getElementById('labSpace')?.value || 'lab';
+    if (colorRangePanel) {
+        params.hsvRanges = colorRangePanel.getRanges('hsv');
+        params.labRanges = colorRangePanel.getRanges('lab');
+    }
+    if (colorPickController) {
+        params.colorPickSpace = colorPickController.space;
+        params.colorPickRanges = colorPickController.getRanges();
+    }
+    params.autoPercentile = parseInt(document.getElementById('autoPercentile')?.value || 50);
+    params.adaptiveWindow = parseInt(document.getElementById('adaptiveWindow')?.value || 15);
+    params.adaptiveOffset = parseInt(document.getElementById('adaptiveOffset')?.value || 0);
+    params.adaptiveK = parseFloat(document.getElementById('adaptiveK')?.value || 0.2);
+    return params;
+}
+
+// Show an automatically chosen threshold on its slider
+function showAutoThreshold(color, result) {
+    if (!result || result.value === null) return;
+    // Adaptive panels don't use the global value
+    if ((document.getElementById(`${color}ThresholdType`)?.value || 'global') !== 'global') return;
+    
+    const slider = document.getElementById(`${color}Threshold`);
+    const valueSpan = document.getElementById(`${color}Value`);
+    if (slider) slider.value = result.value;
+    if (valueSpan) valueSpan.textContent = `${result.value} (${result.mode})`;
+    
+    if (histogramPanel) {
+        histogramPanel.drawCharts();
+    }
+}
+
+// Recompute only the stages invalidated since the last run and redraw their panels.
+// Runs in the processing worker when available; resolves with the changed stage names.
+function runPipeline(frame = null) {
+    const params = readThresholdParams();
+    // Keep the main-thread pipeline in sync so it can take over if the worker fails
+    processingPipeline.setParams(params);
+    
+    if (processingWorker && processingWorker.isAvailable) {
+        return processingWorker.process(frame, params).catch(error => {
+            console.warn("Worker processing failed, processing on main thread:", error);
+            return runPipelineSync();
+        });
+    }
+    
+    return Promise.resolve(runPipelineSync());
+}
+
+// Synchronous fallback on the main thread
+function runPipelineSync() {
+    const changed = processingPipeline.run();
+    const stages = {};
+    changed.forEach(stageName => {
+        stages[stageName] = processingPipeline.get(stageName);
+    });
+    displayStageResults(stages);
+    return changed;
+}
+
+function displayStageResults(stages) {
+    Object.keys(stages).forEach(stageName => {
+        if (stageHandlers[stageName]) {
+            stageHandlers[stageName](stages[stageName]);
+        } else {
+            displayImageOnCanvas(stages[stageName], stageName);
+        }
+    });
+}
+
 //  Complete image processing pipeline with  error handling
-function processImages() {
+// Resolves once every panel (and face detection, unless skipped) has been drawn
+function processImages({ detectFaces = true } = {}) {
     if (!capturedImage) {
         console.error("No captured image to process");
         uiController.updateStatusText('Error: No captured image to process');
-        return;
+        return Promise.resolve();
     }
     
-
-    console.log("Starting image processing pipeline");
-    
     try {
-        // Get threshold values from UI sliders with fallback defaults
-        const redThreshold = parseInt(document.getElementById('redThreshold')?.value || 128);
-        const greenThreshold = parseInt(document.getElementById('greenThreshold')?.value || 128);
-        const blueThreshold = parseInt(document.getElementById('blueThreshold')?.value || 128);
-        const hsvThreshold = parseInt(document.getElementById('hsvThreshold')?.value || 128);
-        const labThreshold = parseInt(document.getElementById('labThreshold')?.value || 128);
-        
-        // Step 1: Process grayscale with 20% brightness increase
-        const grayscale = imageProcessor.createGrayscaleWithBrightness(capturedImage);
-        if (grayscale) displayImageOnCanvas(grayscale, 'grayscale');
-        
-        // Step 2: Extract RGB color channels
-        const channels = imageProcessor.extractColorChannels(capturedImage);
-        if (channels.red) displayImageOnCanvas(channels.red, 'redChannel');
-        if (channels.green) displayImageOnCanvas(channels.green, 'greenChannel');
-        if (channels.blue) displayImageOnCanvas(channels.blue, 'blueChannel');
-        
-        // Step 3: Apply thresholds to individual channels
-        const redThresholdImg = imageProcessor.applyChannelThreshold(capturedImage, redThreshold, 0);
-        const greenThresholdImg = imageProcessor.applyChannelThreshold(capturedImage, greenThreshold, 1);
-        const blueThresholdImg = imageProcessor.applyChannelThreshold(capturedImage, blueThreshold, 2);
-        
-        if (redThresholdImg) displayImageOnCanvas(redThresholdImg, 'redThreshold');
-        if (greenThresholdImg) displayImageOnCanvas(greenThresholdImg, 'greenThreshold');
-        if (blueThresholdImg) displayImageOnCanvas(blueThresholdImg, 'blueThreshold');
-        
-        // Step 4: Color space conversions
-        const hsvImage = imageProcessor.convertToHSV(capturedImage);
-        const labImage = imageProcessor.convertToLab(capturedImage);
-        
-        if (hsvImage) displayImageOnCanvas(hsvImage, 'hsvConversion');
-        if (labImage) displayImageOnCanvas(labImage, 'labConversion');
-        
-        // Step 5: Apply thresholds to color space converted images
-        const hsvThresholdImg = imageProcessor.applyColorSpaceThreshold(hsvImage, hsvThreshold);
-        const labThresholdImg = imageProcessor.applyColorSpaceThreshold(labImage, labThreshold);
-        
-        if (hsvThresholdImg) displayImageOnCanvas(hsvThresholdImg, 'hsvThreshold');
-        if (labThresholdImg) displayImageOnCanvas(labThresholdImg, 'labThreshold');
-        
-        // Step 6: Display original image in repeat position
-        displayImageOnCanvas(capturedImage, 'originalRepeat');
+        // A new capture invalidates every stage
+        const source = imageProcessor.toSourceBuffer(capturedImage);
+        processingPipeline.setInput('source', source);
+        const pipelineDone = runPipeline(source);
         
         // Step 7: Process face detection and filters
-        processFaceDetection();
+        const facesDone = detectFaces ? processFaceDetection() : null;
         
-        console.log("Image processing completed");
+        return Promise.all([pipelineDone, facesDone]).catch(error => {
+            console.error("ERROR in image processing pipeline:", error);
+            uiController.updateStatusText('Error processing image: ' + error.message);
+        });
         
     } catch (error) {
         console.error("ERROR in image processing pipeline:", error);
         uiController.updateStatusText('Error processing image: ' + error.message);
+        return Promise.resolve();
     }
 }
 
@@ -1545,7 +1573,16 @@ function displayImageOnCanvas(p5Image, canvasType) {
         ctx.clearRect(0, 0, canvas.width, canvas.height);
         
         // Draw p5 graphics to canvas with optimized path
-        if (p5Image.canvas) {
+        if (p5Image.bitmap) {
+            // ImageBitmap transferred from the processing worker
+            ctx.drawImage(p5Image.bitmap, 0, 0, canvas.width, canvas.height);
+            p5Image.bitmap.close();
+        } else if (p5Image.data && p5Image.width === canvas.width && p5Image.height === canvas.height) {
+            // PixelCore buffer from the processing pipeline
+            const imageData = p5Image instanceof ImageData ? p5Image :
+                new ImageData(p5Image.data, p5Image.width, p5Image.height);
+            ctx.putImageData(imageData, 0, 0);
+        } else if (p5Image.canvas) {
             ctx.drawImage(p5Image.canvas, 0, 0, imageProcessor.width, imageProcessor.height);
         } else {
             // Fallback to pixel manipulation (slower)
@@ -1568,126 +1605,158 @@ function displayImageOnCanvas(p5Image, canvasType) {
     }
 }
 
+// Detections can overlap (live mode, slider changes, color picks), so each call in flight
+// takes its own pool slot for its graphics, canvas and image; a slot is reused once settled
+const faceDetectionSlots = new Set();
+
 //  Updated face detection processing with  error handling
-function processFaceDetection() {
-    if (!capturedImage) {
+// Resolves with the face detection image once the panel has been drawn. Live mode passes
+// its own snapshot, since the next frame is grabbed while detection is still running.
+function processFaceDetection(sourceImage = capturedImage) {
+    if (!sourceImage) {
         console.error("No captured image for face detection");
         uiController.updateStatusText('Error: No captured image for face detection');
-        return;
+        return Promise.resolve(null);
     }
     
-    try {
-        let faceImage = safeCreateGraphics(imageProcessor.width, imageProcessor.height);
-        if (!faceImage) {
-            console.error("Failed to create face image graphics");
-            return;
-        }
-        faceImage.image(capturedImage, 0, 0);
+    let slot = 0;
+    while (faceDetectionSlots.has(slot)) slot++;
+    faceDetectionSlots.add(slot);
+    const slotSuffix = slot > 0 ? `-${slot}` : '';
+    
+    return new Promise((resolve) => {
+        // Every path ends here, freeing the slot for the next detection exactly once
+        let settled = false;
+        const settle = (result) => {
+            if (settled) return;
+            settled = true;
+            faceDetectionSlots.delete(slot);
+            resolve(result);
+        };
+        
+        try {
+            let faceImage = bufferPool.acquireGraphics('faceDetection' + slotSuffix, imageProcessor.width, imageProcessor.height);
+            if (!faceImage) {
+                console.error("Failed to create face image graphics");
+                settle(null);
+                return;
+            }
+            faceImage.image(sourceImage, 0, 0);
+        
+            // Display the result and settle the promise once detection has finished
+            const finish = () => {
+                displayImageOnCanvas(faceImage, 'faceDetection');
+                settle(faceImage);
+            };
+            
+            // Skin-tone detection when ML5 is unavailable or fails; settles even if it throws
+            const detectManually = () => {
+                faceProcessor.detectFaceManually(faceImage, sourceImage).then(finish, (manualError) => {
+                    console.error("Error during manual face detection:", manualError);
+                    settle(null);
+                });
+            };
         
-        // Check if ML5 faceMesh is available
-        if (typeof ml5 !== 'undefined' && faceMesh && typeof faceMesh.detect === 'function') {
-            // Create a temporary canvas for face detection
-            let tempCanvas = document.createElement('canvas');
-            tempCanvas.width = imageProcessor.width;
-            tempCanvas.height = imageProcessor.height;
-            let tempCtx = tempCanvas.getContext('2d');
+            // Check if ML5 faceMesh is available
+            if (typeof ml5 !== 'undefined' && faceMesh && typeof faceMesh.detect === 'function') {
+                // Reuse a pooled canvas for face detection
+                let tempCanvas = bufferPool.acquireCanvas('detection' + slotSuffix, imageProcessor.width, imageProcessor.height);
+                let tempCtx = tempCanvas.getContext('2d');
             
-            // Draw the captured image to temp canvas
-            if (capturedImage.canvas) {
-                tempCtx.drawImage(capturedImage.canvas, 0, 0, imageProcessor.width, imageProcessor.height);
+                // Draw the captured image to temp canvas
+                if (sourceImage.canvas) {
+                    tempCtx.drawImage(sourceImage.canvas, 0, 0, imageProcessor.width, imageProcessor.height);
                 
-                // Convert to image for ML5
-                let tempImg = new Image();
-                tempImg.crossOrigin = 'anonymous';
+                    // Convert to image for ML5
+                    let tempImg = bufferPool.acquireImage('detection' + slotSuffix);
+                    tempImg.crossOrigin = 'anonymous';
                 
-                tempImg.onload = async () => {
-                    try {
-                        // Use the latest ML5.js API with async/await
-                        const results = await faceMesh.detect(tempImg);
+                    tempImg.onload = async () => {
+                        try {
+                            // Use the latest ML5.js API with async/await
+                            const results = await faceMesh.detect(tempImg);
                         
-                        if (results && results.length > 0) {
-                            console.log(`Found ${results.length} face(s)`);
+                            if (results && results.length > 0) {
+                                console.log(`Found ${results.length} face(s)`);
                             
-                            // Process the first detected face
-                            const face = results[0];
-                            let bbox;
+                                // Process the first detected face
+                                const face = results[0];
+                                let bbox;
                             
-                            // Handle different ML5.js faceMesh result formats
-                            if (face.box) {
-                                // Latest ML5.js format
-                                bbox = {
-                                    x: Math.max(0, Math.round(face.box.xMin)),
-                                    y: Math.max(0, Math.round(face.box.yMin)),
-                                    width: Math.min(Math.round(face.box.width), imageProcessor.width),
-                                    height: Math.min(Math.round(face.box.height), imageProcessor.height)
-                                };
-                            } else if (face.boundingBox) {
-                                // Alternative format
-                                bbox = {
-                                    x: Math.max(0, Math.round(face.boundingBox.topLeft.x)),
-                                    y: Math.max(0, Math.round(face.boundingBox.topLeft.y)),
-                                    width: Math.min(Math.round(face.boundingBox.width), imageProcessor.width),
-                                    height: Math.min(Math.round(face.boundingBox.height), imageProcessor.height)
-                                };
-                            }
-                            
-                            if (bbox && bbox.width > 0 && bbox.height > 0) {
-                                // Final bounds validation
-                                if (bbox.x + bbox.width > imageProcessor.width) {
-                                    bbox.width = imageProcessor.width - bbox.x;
-                                }
-                                if (bbox.y + bbox.height > imageProcessor.height) {
-                                    bbox.height = imageProcessor.height - bbox.y;
+                                // Handle different ML5.js faceMesh result formats
+                                if (face.box) {
+                                    // Latest ML5.js format
+                                    bbox = {
+                                        x: Math.max(0, Math.round(face.box.xMin)),
+                                        y: Math.max(0, Math.round(face.box.yMin)),
+                                        width: Math.min(Math.round(face.box.width), imageProcessor.width),
+                                        height: Math.min(Math.round(face.box.height), imageProcessor.height)
+                                    };
+                                } else if (face.boundingBox) {
+                                    // Alternative format
+                                    bbox = {
+                                        x: Math.max(0, Math.round(face.boundingBox.topLeft.x)),
+                                        y: Math.max(0, Math.round(face.boundingBox.topLeft.y)),
+                                        width: Math.min(Math.round(face.boundingBox.width), imageProcessor.width),
+                                        height: Math.min(Math.round(face.boundingBox.height), imageProcessor.height)
+                                    };
                                 }
+                            
+                                if (bbox && bbox.width > 0 && bbox.height > 0) {
+                                    // Final bounds validation
+                                    if (bbox.x + bbox.width > imageProcessor.width) {
+                                        bbox.width = imageProcessor.width - bbox.x;
+                                    }
+                                    if (bbox.y + bbox.height > imageProcessor.height) {
+                                        bbox.height = imageProcessor.height - bbox.y;
+                                    }
                                 
-                                console.log(`Face detected at:`, bbox);
+                                    console.log(`Face detected at:`, bbox);
                                 
-                                // Update face tracking history
-                                faceProcessor.updateFaceHistory(bbox);
+                                    // Update face tracking history
+                                    faceProcessor.updateFaceHistory(bbox);
                                 
-                                // Apply face filter
-                                faceProcessor.applyFaceFilter(faceImage, capturedImage, bbox);
+                                    // Apply face filter
+                                    faceProcessor.applyFaceFilter(faceImage, sourceImage, bbox);
+                                } else {
+                                    console.warn("Invalid face bbox, using manual detection");
+                                    await faceProcessor.detectFaceManually(faceImage, sourceImage);
+                                }
                             } else {
-                                console.warn("Invalid face bbox, using manual detection");
-                                faceProcessor.detectFaceManually(faceImage, capturedImage);
+                                console.log("No faces detected, using manual detection");
+                                await faceProcessor.detectFaceManually(faceImage, sourceImage);
                             }
-                        } else {
-                            console.log("No faces detected, using manual detection");
-                            faceProcessor.detectFaceManually(faceImage, capturedImage);
-                        }
                         
-                        displayImageOnCanvas(faceImage, 'faceDetection');
+                            finish();
                         
-                    } catch (detectError) {
-                        console.error("Error during ML5 face detection:", detectError);
-                        faceProcessor.detectFaceManually(faceImage, capturedImage);
-                        displayImageOnCanvas(faceImage, 'faceDetection');
-                    }
-                };
+                        } catch (detectError) {
+                            console.error("Error during ML5 face detection:", detectError);
+                            detectManually();
+                        }
+                    };
                 
-                tempImg.onerror = (imgError) => {
-                    console.error("Error loading temp image:", imgError);
-                    faceProcessor.detectFaceManually(faceImage, capturedImage);
-                    displayImageOnCanvas(faceImage, 'faceDetection');
-                };
+                    tempImg.onerror = (imgError) => {
+                        console.error("Error loading temp image:", imgError);
+                        detectManually();
+                    };
                 
-                tempImg.src = tempCanvas.toDataURL();
+                    tempImg.src = tempCanvas.toDataURL();
                 
+                } else {
+                    console.warn("No canvas available on captured image, using manual detection");
+                    detectManually();
+                }
             } else {
-                console.warn("No canvas available on captured image, using manual detection");
-                faceProcessor.detectFaceManually(faceImage, capturedImage);
-                displayImageOnCanvas(faceImage, 'faceDetection');
+                console.log("ML5 faceMesh not available, using manual face detection");
+                detectManually();
             }
-        } else {
-            console.log("ML5 faceMesh not available, using manual face detection");
-            faceProcessor.detectFaceManually(faceImage, capturedImage);
-            displayImageOnCanvas(faceImage, 'faceDetection');
-        }
         
-    } catch (error) {
-        console.error("Error in face detection processing:", error);
-        uiController.updateStatusText('Error in face detection: ' + error.message);
-    }
+        } catch (error) {
+            console.error("Error in face detection processing:", error);
+            uiController.updateStatusText('Error in face detection: ' + error.message);
+            settle(null);
+        }
+    });
 }
 
 // Real-time face tracking during live video with error handling
@@ -1709,24 +1778,32 @@ async function enableRealTimeFaceTracking() {
                 const face = results[0]; // Get the first detected face
                 
                 if (face && faceProcessor) {
+                    let videoBox;
                     let faceBbox;
                     
-                    // Handle different ML5.js result formats
+                    // Handle different ML5.js result formats (raw camera coordinates)
                     if (face.box) {
                         // Latest ML5.js format
-                        faceBbox = {
-                            x: Math.max(0, Math.round(face.box.xMin)),
-                            y: Math.max(0, Math.round(face.box.yMin)),
-                            width: Math.min(Math.round(face.box.width), imageProcessor.width),
-                            height: Math.min(Math.round(face.box.height), imageProcessor.height)
-                        };
+                        videoBox = { x: face.box.xMin, y: face.box.yMin, width: face.box.width, height: face.box.height };
                     } else if (face.boundingBox) {
                         // Alternative format
+                        videoBox = {
+                            x: face.boundingBox.topLeft.x,
+                            y: face.boundingBox.topLeft.y,
+                            width: face.boundingBox.width,
+                            height: face.boundingBox.height
+                        };
+                    }
+                    
+                    // Map into the oriented processing frame that captures are taken in
+                    if (videoBox) {
+                        const mapped = Orientation.transformBox(videoBox, video.elt.videoWidth, video.elt.videoHeight,
+                                                                imageProcessor.width, imageProcessor.height);
                         faceBbox = {
-                            x: Math.max(0, Math.round(face.boundingBox.topLeft.x)),
-                            y: Math.max(0, Math.round(face.boundingBox.topLeft.y)),
-                            width: Math.min(Math.round(face.boundingBox.width), imageProcessor.width),
-                            height: Math.min(Math.round(face.boundingBox.height), imageProcessor.height)
+                            x: Math.max(0, Math.round(mapped.x)),
+                            y: Math.max(0, Math.round(mapped.y)),
+                            width: Math.min(Math.round(mapped.width), imageProcessor.width),
+                            height: Math.min(Math.round(mapped.height), imageProcessor.height)
                         };
                     }
                     
@@ -1757,7 +1834,7 @@ function startPeriodicFaceTracking() {
     
     faceTrackingInterval = setInterval(() => {
         // Only run if camera is active and video is ready
-        if (cameraActive && video && video.elt && video.elt.readyState >= 2 && !isCapturing) {
+        if (cameraActive && inputSource.isCamera() && video && video.elt && video.elt.readyState >= 2 && !isCapturing) {
             enableRealTimeFaceTracking();
         }
     }, 3000); 
@@ -1778,8 +1855,8 @@ function keyPressed() {
     try {
         const keyNum = parseInt(key);
         
-        // Handle face filter keystrokes 0-4 as specified in requirement 13
-        if (keyNum >= 0 && keyNum <= 4) {
+        // Handle face filter keystrokes 0-4 as specified in requirement 13, plus 5 for edges
+        if (keyNum >= 0 && keyNum <= 5) {
             currentFaceFilter = keyNum;
             
             if (uiController) {
@@ -1792,7 +1869,8 @@ function keyPressed() {
                 1: 'Grayscale Face Filter',
                 2: 'Blurred Face Filter for Privacy', 
                 3: 'HSV Color Space Face Filter',
-                4: 'Pixelated Face Filter with 5x5 blocks'
+                4: 'Pixelated Face Filter with 5x5 blocks',
+                5: 'Edge Detection Face Filter'
             };
             
             const description = filterDescriptions[keyNum];
@@ -1825,10 +1903,11 @@ function keyPressed() {
         if (key === 'd' || key === 'D') {
             console.log("Debug: Testing manual face detection");
             if (capturedImage && faceProcessor) {
-                let debugFaceImage = createGraphics(imageProcessor.width, imageProcessor.height);
+                let debugFaceImage = bufferPool.acquireGraphics('debugFace', imageProcessor.width, imageProcessor.height);
                 debugFaceImage.image(capturedImage, 0, 0);
-                faceProcessor.detectFaceManually(debugFaceImage, capturedImage);
-                displayImageOnCanvas(debugFaceImage, 'faceDetection');
+                faceProcessor.detectFaceManually(debugFaceImage, capturedImage).then(() => {
+                    displayImageOnCanvas(debugFaceImage, 'faceDetection');
+                });
             }
         }
     } catch (error) {
@@ -1883,7 +1962,10 @@ function debugApplicationState() {
     console.log("Camera active:", cameraActive);
     console.log("Current face filter:", currentFaceFilter);
     console.log("Is capturing:", isCapturing);
+    console.log("Live mode:", liveModeController ? liveModeController.isLive : false);
+    console.log("Processing worker:", processingWorker && processingWorker.isAvailable ? 'active' : 'main thread');
     console.log("Canvas count:", Object.keys(canvases).length);
+    console.log("Pooled buffers:", bufferPool ? `${bufferPool.liveCount} live, ${bufferPool.createdCount} created, ${bufferPool.reusedCount} reused` : 0);
     console.log("Face tracking history:", faceProcessor ? faceProcessor.faceTrackingHistory.length : 0);
     console.log("================================");
 }
\ No newline at end of file
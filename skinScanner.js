@@ -0,0 +1,276 @@
+// Skin Scanner for Image Processing Application
+// Pure skin-tone face search on {width, height, data} RGBA buffers. Used by FaceProcessor
+// on the main thread and by the processing worker; needs PixelCore and ConnectedComponents.
+
+// Script globals in the browser and worker; required here when running under Node
+if (typeof module !== 'undefined' && module.exports) {
+    globalThis.PixelCore = require('./pixelCore.js');
+    globalThis.ConnectedComponents = require('./components.js');
+}
+
+const SkinScanner = {
+    // Skin tone detection with colour ranges for various ethnicities
+    isSkinTone(r, g, b) {
+        // Range 1: Light skin tones
+        if (r > 95 && g > 40 && b > 20 &&
+            Math.max(r, g, b) - Math.min(r, g, b) > 15 &&
+            Math.abs(r - g) > 15 && r > g && r > b) {
+            return true;
+        }
+
+        // Range 2: Medium skin tones
+        if (r > 80 && g > 50 && b > 30 &&
+            r > g && g > b && r - g > 10) {
+            return true;
+        }
+
+        // Range 3: Darker skin tones
+        if (r > 50 && g > 30 && b > 15 &&
+            r > g && g >= b && r - b > 15) {
+            return true;
+        }
+
+        // Range 4: Additional medium-dark skin tones
+        if (r > 60 && g > 40 && b > 20 &&
+            r > b && g > b && (r - b) > 10 && (g - b) > 5) {
+            return true;
+        }
+
+        return false;
+    },
+
+    // Fraction of skin-toned pixels inside a region
+    skinDensity(img, x, y, width, height) {
+        const data = img.data;
+        let skinPixels = 0;
+        let totalPixels = 0;
+
+        for (let py = y; py < y + height && py < img.height; py++) {
+            for (let px = x; px < x + width && px < img.width; px++) {
+                const idx = (py * img.width + px) * 4;
+                if (SkinScanner.isSkinTone(data[idx], data[idx + 1], data[idx + 2])) {
+                    skinPixels++;
+                }
+                totalPixels++;
+            }
+        }
+
+        return totalPixels > 0 ? skinPixels / totalPixels : 0;
+    },
+
+    // Binary mask of the skin-toned pixels
+    skinMask(img, output) {
+        const out = PixelCore.prepareOutput(img, output);
+        const s = img.data;
+        const d = out.data;
+        for (let i = 0; i < s.length; i += 4) {
+            const value = SkinScanner.isSkinTone(s[i], s[i + 1], s[i + 2]) ? 255 : 0;
+            d[i] = value;
+            d[i + 1] = value;
+            d[i + 2] = value;
+            d[i + 3] = 255;
+        }
+        return out;
+    },
+
+    // Connected skin blobs shaped like a face: face-sized bounding box (when the
+    // options give limits), roughly upright aspect and a well filled box
+    skinBlobCandidates(img, options = {}) {
+        const { minFaceSize = 0, maxFaceSize = Infinity } = options;
+        const minArea = Math.max(1, Math.round(minFaceSize * minFaceSize * 0.4));
+        const { blobs } = ConnectedComponents.analyze(SkinScanner.skinMask(img), null, { connectivity: 8, minArea });
+
+        return blobs
+            .map(blob => ({
+                region: blob.bbox,
+                ratio: blob.area / (blob.bbox.width * blob.bbox.height),
+                area: blob.area
+            }))
+            .filter(({ region, ratio }) => {
+                const aspect = region.width / region.height;
+                return region.width >= minFaceSize && region.height >= minFaceSize &&
+                       region.width <= maxFaceSize && region.height <= maxFaceSize &&
+                       aspect >= 0.5 && aspect <= 1.5 && ratio >= 0.4;
+            });
+    },
+
+    // Prefer the largest face-shaped skin blob; otherwise check five fixed regions
+    // and return the one with the most skin, if any
+    detectBySkinTone(img, options = {}) {
+        const blobs = SkinScanner.skinBlobCandidates(img, options);
+        if (blobs.length > 0) {
+            return { region: blobs[0].region, ratio: blobs[0].ratio };
+        }
+
+        const regions = [
+            {x: Math.round(img.width * 0.1), y: Math.round(img.height * 0.1), w: Math.round(img.width * 0.4), h: Math.round(img.height * 0.4)}, // Top-left
+            {x: Math.round(img.width * 0.5), y: Math.round(img.height * 0.1), w: Math.round(img.width * 0.4), h: Math.round(img.height * 0.4)}, // Top-right
+            {x: Math.round(img.width * 0.2), y: Math.round(img.height * 0.15), w: Math.round(img.width * 0.6), h: Math.round(img.height * 0.6)}, // Center-large
+            {x: Math.round(img.width * 0.25), y: Math.round(img.height * 0.2), w: Math.round(img.width * 0.5), h: Math.round(img.height * 0.5)}, // Center-medium
+            {x: Math.round(img.width * 0.3), y: Math.round(img.height * 0.25), w: Math.round(img.width * 0.4), h: Math.round(img.height * 0.4)} // Center-small
+        ];
+
+        let bestRegion = null;
+        let maxSkinPixels = 0;
+        let maxSkinRatio = 0;
+
+        regions.forEach(region => {
+            if (region.x + region.w > img.width || region.y + region.h > img.height) {
+                return;
+            }
+
+            const skinRatio = SkinScanner.skinDensity(img, region.x, region.y, region.w, region.h);
+            const skinPixelCount = Math.round(skinRatio * region.w * region.h);
+
+            if (skinPixelCount > maxSkinPixels && skinRatio > 0.12 && skinRatio > maxSkinRatio) {
+                maxSkinPixels = skinPixelCount;
+                maxSkinRatio = skinRatio;
+                bestRegion = {
+                    x: region.x,
+                    y: region.y,
+                    width: region.w,
+                    height: region.h
+                };
+            }
+        });
+
+        return bestRegion ? { region: bestRegion, ratio: maxSkinRatio } : null;
+    },
+
+    // Search around the last known face position for the densest skin region
+    trackByMotion(img, lastPos, searchRadius, searchStep) {
+        if (!lastPos) return null;
+
+        let maxSkinDensity = 0;
+        let bestPosition = null;
+
+        for (let offsetY = -searchRadius; offsetY <= searchRadius; offsetY += searchStep) {
+            for (let offsetX = -searchRadius; offsetX <= searchRadius; offsetX += searchStep) {
+                const testX = Math.max(0, lastPos.x + offsetX);
+                const testY = Math.max(0, lastPos.y + offsetY);
+
+                if (testX + lastPos.width <= img.width &&
+                    testY + lastPos.height <= img.height) {
+
+                    const skinDensity = SkinScanner.skinDensity(img, testX, testY, lastPos.width, lastPos.height);
+
+                    if (skinDensity > maxSkinDensity && skinDensity > 0.1) {
+                        maxSkinDensity = skinDensity;
+                        bestPosition = {
+                            x: testX,
+                            y: testY,
+                            width: lastPos.width,
+                            height: lastPos.height
+                        };
+                    }
+                }
+            }
+        }
+
+        return bestPosition ? { region: bestPosition, density: maxSkinDensity } : null;
+    },
+
+    // Multi-scale sliding window search scored on face-like characteristics
+    scanForFaceRegions(img, options) {
+        const { minScanSize, maxScanSize, minStep, idealSize } = options;
+
+        let bestPosition = null;
+        let maxScore = 0;
+
+        for (let scale = 0.3; scale <= 0.7; scale += 0.1) {
+            const scanWidth = Math.round(Math.max(minScanSize, Math.min(maxScanSize, img.width * scale)));
+            const scanHeight = Math.round(Math.max(minScanSize, Math.min(maxScanSize, img.height * scale)));
+
+            const stepSize = Math.max(minStep, Math.round(scanWidth * 0.2));
+
+            for (let y = 0; y <= img.height - scanHeight; y += stepSize) {
+                for (let x = 0; x <= img.width - scanWidth; x += stepSize) {
+                    const score = SkinScanner.scoreFaceRegion(img, x, y, scanWidth, scanHeight, idealSize);
+
+                    if (score > maxScore) {
+                        maxScore = score;
+                        bestPosition = {
+                            x: x,
+                            y: y,
+                            width: scanWidth,
+                            height: scanHeight
+                        };
+                    }
+                }
+            }
+        }
+
+        return bestPosition && maxScore > 0.15 ? { region: bestPosition, score: maxScore } : null;
+    },
+
+    // Score a region based on skin density, position, colour variation, size and aspect
+    scoreFaceRegion(img, x, y, width, height, idealSize) {
+        const skinToneScore = SkinScanner.skinDensity(img, x, y, width, height);
+
+        // Prefer regions in upper-middle portion of image
+        let positionScore = 1.0 - Math.abs((y + height/2) - img.height * 0.35) / (img.height * 0.35);
+        positionScore = Math.max(0, Math.min(1, positionScore));
+
+        // Prefer regions with appropriate color variation
+        const variationScore = SkinScanner.colorVariation(img, x, y, width, height);
+
+        // Size preference - medium sizes are more likely to be faces
+        let sizeScore = 1.0 - Math.abs((width + height) / 2 - idealSize) / idealSize;
+        sizeScore = Math.max(0, Math.min(1, sizeScore));
+
+        // Aspect ratio preference - faces are roughly rectangular
+        const aspectRatio = width / height;
+        let aspectScore = 1.0 - Math.abs(aspectRatio - 0.8) / 0.8;
+        aspectScore = Math.max(0, Math.min(1, aspectScore));
+
+        return (skinToneScore * 0.4) + (positionScore * 0.25) +
+               (variationScore * 0.15) + (sizeScore * 0.1) + (aspectScore * 0.1);
+    },
+
+    // Average RGB standard deviation over a sampled region, normalised to 0-1
+    colorVariation(img, x, y, width, height) {
+        const data = img.data;
+        const rValues = [];
+        const gValues = [];
+        const bValues = [];
+
+        const stepSize = Math.max(1, Math.round(width / 10));
+
+        for (let py = y; py < y + height && py < img.height; py += stepSize) {
+            for (let px = x; px < x + width && px < img.width; px += stepSize) {
+                const idx = (py * img.width + px) * 4;
+                rValues.push(data[idx]);
+                gValues.push(data[idx + 1]);
+                bValues.push(data[idx + 2]);
+            }
+        }
+
+        const avgVariation = (SkinScanner.standardDeviation(rValues) +
+                              SkinScanner.standardDeviation(gValues) +
+                              SkinScanner.standardDeviation(bValues)) / 3;
+        return Math.min(1.0, avgVariation / 40);
+    },
+
+    standardDeviation(values) {
+        if (!values || values.length === 0) return 0;
+
+        const mean = values.reduce((sum, val) => sum + val, 0) / values.length;
+        const avgSquaredDiff = values.reduce((sum, val) => sum + (val - mean) * (val - mean), 0) / values.length;
+        return Math.sqrt(avgSquaredDiff);
+    },
+
+    // Run every manual strategy; FaceProcessor decides which candidate to trust
+    findCandidates(img, options) {
+        return {
+            skinTone: SkinScanner.detectBySkinTone(img, options),
+            motion: SkinScanner.trackByMotion(img, options.lastKnownFacePosition,
+                                              options.searchRadius, options.searchStep),
+            scan: SkinScanner.scanForFaceRegions(img, options)
+        };
+    }
+};
+
+// Export for Node scripts and unit tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SkinScanner;
+}
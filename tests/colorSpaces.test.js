@@ -0,0 +1,149 @@
+// Unit tests for the color space registry; run with `npm test` (node --test)
+const test = require('node:test');
+const assert = require('node:assert');
+const PixelCore = require('../pixelCore.js');
+const {
+    COLOR_SPACES, convertToColorSpace, editInColorSpace, deltaE, colorRoundTripReport,
+    defaultColorRanges, colorRangesToBytes, colorRangesAroundSamples
+} = require('../colorSpaces.js');
+
+// One-row RGBA buffer holding the given [r, g, b] pixels
+function pixels(colors) {
+    const data = new Uint8ClampedArray(colors.length * 4);
+    colors.forEach((color, i) => data.set([...color, 255], i * 4));
+    return { width: colors.length, height: 1, data };
+}
+
+function pixelAt(buffer, i) {
+    return Array.from(buffer.data.slice(i * 4, i * 4 + 3));
+}
+
+test('default ranges cover every component in natural units', () => {
+    assert.deepStrictEqual(defaultColorRanges('hsv'), {
+        h: { min: 0, max: 360 }, s: { min: 0, max: 100 }, v: { min: 0, max: 100 }
+    });
+    assert.deepStrictEqual(defaultColorRanges('lab'), {
+        l: { min: 0, max: 100 }, a: { min: -128, max: 127 }, b: { min: -128, max: 127 }
+    });
+});
+
+test('colorRangesToBytes encodes natural units and wraps hue only when min > max', () => {
+    const bytes = colorRangesToBytes('hsv', { h: { min: 340, max: 20 }, s: { min: 20, max: 80 } });
+    assert.strictEqual(bytes.length, 3);
+    assert.ok(Math.abs(bytes[0].min - 340 * 255 / 360) < 1e-9);
+    assert.ok(Math.abs(bytes[0].max - 20 * 255 / 360) < 1e-9);
+    assert.strictEqual(bytes[0].wraps, true);
+    assert.deepStrictEqual(bytes[1], { min: 51, max: 204, wraps: false });
+    // Missing components keep their full range
+    assert.deepStrictEqual(bytes[2], { min: 0, max: 255, wraps: false });
+
+    assert.strictEqual(colorRangesToBytes('hsv', { h: { min: 20, max: 340 } })[0].wraps, false);
+    // Only hue wraps; an inverted Lab range is simply empty
+    assert.strictEqual(colorRangesToBytes('lab', { a: { min: 50, max: -50 } })[1].wraps, false);
+    assert.strictEqual(colorRangesToBytes('lab', { a: { min: 0, max: 0 } })[1].min, 127.5);
+});
+
+test('a wrapped hue range masks reds on both sides of 0', () => {
+    // Encoded HSV bytes: hue 350°, 10°, 180°, and 350° with too little saturation
+    const hue = degrees => Math.round(degrees * 255 / 360);
+    const encoded = pixels([[hue(350), 200, 200], [hue(10), 200, 200], [hue(180), 200, 200], [hue(350), 20, 200]]);
+    const ranges = colorRangesToBytes('hsv', { h: { min: 340, max: 20 }, s: { min: 30, max: 100 } });
+    const mask = PixelCore.componentRangeMask(encoded, ranges);
+    assert.deepStrictEqual([0, 1, 2, 3].map(i => pixelAt(mask, i)[0]), [255, 255, 0, 0]);
+});
+
+test('colorRangesAroundSamples widens the sample ranges by the tolerance', () => {
+    const ranges = colorRangesAroundSamples('hsv', [{ h: 100, s: 40, v: 60 }, { h: 120, s: 50, v: 70 }], 10);
+    assert.deepStrictEqual(ranges, { h: { min: 90, max: 130 }, s: { min: 30, max: 60 }, v: { min: 50, max: 80 } });
+
+    // Non-wrapping components stop at their limits
+    const clamped = colorRangesAroundSamples('lab', [{ l: 2, a: -125, b: 0 }, { l: 98, a: 0, b: 125 }], 5);
+    assert.deepStrictEqual(clamped, { l: { min: 0, max: 100 }, a: { min: -128, max: 5 }, b: { min: -5, max: 127 } });
+});
+
+test('colorRangesAroundSamples takes the shortest hue arc across 0', () => {
+    const reds = [350, 10, 2].map(h => ({ h: h, s: 50, v: 50 }));
+    assert.deepStrictEqual(colorRangesAroundSamples('hsv', reds, 5).h, { min: 345, max: 15 });
+
+    // Tolerance can push the arc across 0 too
+    assert.deepStrictEqual(colorRangesAroundSamples('hsv', [{ h: 3, s: 0, v: 0 }], 5).h, { min: 358, max: 8 });
+
+    // Samples all around the circle select every hue
+    const spread = [0, 90, 180, 270].map(h => ({ h: h, s: 50, v: 50 }));
+    assert.deepStrictEqual(colorRangesAroundSamples('hsv', spread, 45).h, { min: 0, max: 360 });
+});
+
+test('convertToColorSpace encodes each space and repeats grayscale values', () => {
+    const src = pixels([[255, 0, 0], [128, 128, 128], [20, 200, 90]]);
+    assert.deepStrictEqual(convertToColorSpace(src, 'hsv').data, PixelCore.convertToHSV(src).data);
+    assert.deepStrictEqual(convertToColorSpace(src, 'lab').data, PixelCore.convertToLab(src).data);
+
+    // Neutral gray sits at the center of the chroma axes
+    assert.deepStrictEqual(pixelAt(convertToColorSpace(src, 'ycbcr'), 1), [128, 128, 128]);
+
+    const gray = convertToColorSpace(src, 'gray601');
+    const y = Math.round(PixelCore.grayValue(255, 0, 0, 'luma601'));
+    assert.deepStrictEqual(pixelAt(gray, 0), [y, y, y]);
+    assert.deepStrictEqual(pixelAt(convertToColorSpace(src, 'grayAverage'), 0), [85, 85, 85]);
+
+    assert.throws(() => convertToColorSpace(src, 'cmyk'), /Unknown color space "cmyk"/);
+});
+
+test('grayscale spaces pad their byte ranges to three channels', () => {
+    assert.deepStrictEqual(colorRangesToBytes('gray709', { y: { min: 10, max: 20 } }), [
+        { min: 10, max: 20, wraps: false },
+        { min: 0, max: 255, wraps: false },
+        { min: 0, max: 255, wraps: false }
+    ]);
+    // Every registered space has ranges and at most three components
+    Object.keys(COLOR_SPACES).forEach(key => {
+        assert.strictEqual(colorRangesToBytes(key, defaultColorRanges(key)).length, 3, key);
+    });
+});
+
+test('editInColorSpace shifts hue, scales chroma and lightness, then returns to RGB', () => {
+    const src = pixels([[255, 0, 0], [0, 0, 255], [128, 128, 128]]);
+
+    assert.deepStrictEqual(editInColorSpace(src, 'hsv', {}).data, src.data);
+    assert.deepStrictEqual(pixelAt(editInColorSpace(src, 'hsv', { hueShift: 120 }), 0), [0, 255, 0]);
+    // Shifts wrap past 360 in either direction
+    assert.deepStrictEqual(pixelAt(editInColorSpace(src, 'hsv', { hueShift: -120 }), 1), [0, 255, 0]);
+    assert.deepStrictEqual(pixelAt(editInColorSpace(src, 'hsl', { chromaScale: 0 }), 0), [128, 128, 128]);
+    assert.deepStrictEqual(pixelAt(editInColorSpace(src, 'lch', { lightnessScale: 0 }), 2), [0, 0, 0]);
+
+    // Rotating the a/b plane leaves neutral gray untouched
+    const gray = pixelAt(editInColorSpace(src, 'lab', { hueShift: 90 }), 2);
+    gray.forEach(v => assert.ok(Math.abs(v - 128) <= 1));
+
+    assert.throws(() => editInColorSpace(src, 'xyz', { hueShift: 10 }), /does not support editing/);
+});
+
+test('deltaE is the Lab distance between two colors', () => {
+    assert.strictEqual(deltaE(10, 200, 30, 10, 200, 30), 0);
+    assert.ok(Math.abs(deltaE(0, 0, 0, 255, 255, 255) - 100) < 0.01);
+    assert.strictEqual(deltaE(255, 0, 0, 0, 0, 255), deltaE(0, 0, 255, 255, 0, 0));
+});
+
+test('the round-trip report shows which panels keep the color', () => {
+    const colors = [];
+    for (let r = 0; r < 256; r += 51) {
+        for (let g = 0; g < 256; g += 51) {
+            for (let b = 0; b < 256; b += 51) colors.push([r, g, b]);
+        }
+    }
+    const report = colorRoundTripReport(pixels(colors));
+
+    assert.deepStrictEqual(Object.keys(report), Object.keys(COLOR_SPACES));
+    // XYZ loses the most to byte rounding, in the darkest colors
+    ['hsv', 'hsl', 'lab', 'lch', 'xyz', 'ycbcr'].forEach(key => {
+        assert.ok(report[key].maxDeltaE < 10 && report[key].meanDeltaE < 1, `${key} max ΔE ${report[key].maxDeltaE}`);
+    });
+    // Grayscale panels drop all chroma
+    assert.ok(report.gray601.maxDeltaE > 50);
+    assert.strictEqual(report.gray601.name, 'Gray (luma 601)');
+
+    // Grays survive even a grayscale panel
+    const grays = colorRoundTripReport(pixels([[0, 0, 0], [128, 128, 128], [255, 255, 255]]), ['gray709', 'hsv']);
+    assert.deepStrictEqual(Object.keys(grays), ['gray709', 'hsv']);
+    assert.ok(grays.gray709.maxDeltaE < 1 && grays.hsv.maxDeltaE < 1);
+});
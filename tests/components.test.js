@@ -0,0 +1,117 @@
+// Unit tests for ConnectedComponents; run with `npm test` (node --test)
+const test = require('node:test');
+const assert = require('node:assert');
+const ConnectedComponents = require('../components.js');
+
+// Binary mask from rows of '#' (white) and '.' (black)
+function mask(rows) {
+    const width = rows[0].length;
+    const data = new Uint8ClampedArray(width * rows.length * 4);
+    rows.join('').split('').forEach((c, i) => {
+        const v = c === '#' ? 255 : 0;
+        data.set([v, v, v, 255], i * 4);
+    });
+    return { width, height: rows.length, data };
+}
+
+function blobOf(rows) {
+    return ConnectedComponents.analyze(mask(rows), null).blobs[0];
+}
+
+test('diagonal neighbours join blobs only with 8-connectivity', () => {
+    const diagonal = mask([
+        '#...#',
+        '.#.#.',
+        '..#..',
+        '.#.#.',
+        '#...#'
+    ]);
+    assert.strictEqual(ConnectedComponents.label(diagonal, 4).count, 9);
+    assert.strictEqual(ConnectedComponents.label(diagonal, 8).count, 1);
+
+    // Labels are consecutive from 1 in raster order, 0 for the background
+    const { labels } = ConnectedComponents.label(mask(['#.#', '...', '#.#']), 4);
+    assert.deepStrictEqual(Array.from(labels), [1, 0, 2, 0, 0, 0, 3, 0, 4]);
+});
+
+test('a U shape whose arms meet late still gets one label', () => {
+    const u = mask([
+        '#...#',
+        '#...#',
+        '#####'
+    ]);
+    const { labels, count } = ConnectedComponents.label(u, 4);
+    assert.strictEqual(count, 1);
+    assert.ok(Array.from(labels).every((l, i) => l === (u.data[i * 4] ? 1 : 0)));
+});
+
+test('measure reports area, centroid and bounding box of a known blob', () => {
+    const blob = blobOf([
+        '........',
+        '..####..',
+        '..####..',
+        '..####..',
+        '........'
+    ]);
+    assert.strictEqual(blob.area, 12);
+    assert.deepStrictEqual(blob.centroid, { x: 3.5, y: 2 });
+    assert.deepStrictEqual(blob.bbox, { x: 2, y: 1, width: 4, height: 3 });
+});
+
+test('the Moore contour runs through the outer pixel centers', () => {
+    // A 10x2 bar: 9 + 1 + 9 + 1 straight steps
+    const bar = blobOf(['##########', '##########']);
+    assert.strictEqual(bar.perimeter, 20);
+    assert.ok(Math.abs(bar.circularity - 4 * Math.PI * 20 / 400) < 1e-9);
+
+    // A one-pixel line is traced there and back
+    const line = blobOf(['..........', '.########.', '..........']);
+    assert.strictEqual(line.perimeter, 14);
+    assert.ok(Math.abs(line.circularity - 4 * Math.PI * 8 / 196) < 1e-9);
+
+    // A diamond's edges are all diagonal steps
+    const diamond = blobOf([
+        '..#..',
+        '.###.',
+        '#####',
+        '.###.',
+        '..#..'
+    ]);
+    assert.strictEqual(diamond.area, 13);
+    assert.ok(Math.abs(diamond.perimeter - 8 * Math.SQRT2) < 1e-9);
+    // 4πA/P² exceeds 1 on such a coarse grid and is capped
+    assert.strictEqual(diamond.circularity, 1);
+
+    const single = blobOf(['...', '.#.', '...']);
+    assert.strictEqual(single.perimeter, 0);
+    assert.strictEqual(single.circularity, 0);
+});
+
+test('analyze drops small blobs, sorts by area and averages the source color', () => {
+    const m = mask([
+        '##....#',
+        '##.....',
+        '....###',
+        '....###'
+    ]);
+    const source = { width: 7, height: 4, data: new Uint8ClampedArray(7 * 4 * 4) };
+    for (let i = 0; i < 28; i++) {
+        source.data.set([i % 7 < 3 ? 200 : 50, 100, i < 14 ? 10 : 30, 255], i * 4);
+    }
+
+    const { count, blobs } = ConnectedComponents.analyze(m, source, { minArea: 2 });
+    assert.strictEqual(count, 3);
+    assert.deepStrictEqual(blobs.map(b => b.area), [6, 4]);
+    assert.deepStrictEqual(blobs[0].meanColor, [50, 100, 30]);
+    assert.deepStrictEqual(blobs[1].meanColor, [200, 100, 10]);
+});
+
+test('render colors kept blobs and leaves the background and dropped blobs black', () => {
+    const components = ConnectedComponents.analyze(mask(['##..#', '##...']), null, { minArea: 2 });
+    const out = ConnectedComponents.render(components);
+    const pixel = i => Array.from(out.data.slice(i * 4, i * 4 + 4));
+    assert.notDeepStrictEqual(pixel(0), [0, 0, 0, 255]);
+    assert.deepStrictEqual(pixel(6), pixel(0));
+    assert.deepStrictEqual(pixel(2), [0, 0, 0, 255]);
+    assert.deepStrictEqual(pixel(4), [0, 0, 0, 255]);
+});
@@ -0,0 +1,123 @@
+// Unit tests for Convolution; run with `npm test` (node --test)
+const test = require('node:test');
+const assert = require('node:assert');
+const Convolution = require('../convolution.js');
+
+// RGBA buffer whose red, green and blue channels all hold the given gray values
+function grayImage(width, height, valueAt) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < width * height; i++) {
+        const v = valueAt(i % width, Math.floor(i / width));
+        data.set([v, v, v, 255], i * 4);
+    }
+    return { width, height, data };
+}
+
+function firstChannel(buffer) {
+    return Array.from(buffer.data.filter((v, i) => i % 4 === 0));
+}
+
+// Direct 2D convolution, rounded and clamped like the Uint8ClampedArray output
+function referenceConvolve(src, kernel, border) {
+    const { width, height } = src;
+    const radius = Math.floor(kernel.size / 2);
+    const result = [];
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let sum = 0;
+            for (let ky = 0; ky < kernel.size; ky++) {
+                const sy = Convolution.borderIndex(y + ky - radius, height, border);
+                for (let kx = 0; kx < kernel.size; kx++) {
+                    const sx = Convolution.borderIndex(x + kx - radius, width, border);
+                    if (sx < 0 || sy < 0) continue;
+                    sum += src.data[(sy * width + sx) * 4] * kernel.values[ky * kernel.size + kx];
+                }
+            }
+            result.push(Math.min(255, Math.max(0, sum)));
+        }
+    }
+    return result;
+}
+
+function assertClose(actual, expected, tolerance, message) {
+    actual.forEach((v, i) => assert.ok(Math.abs(v - expected[i]) <= tolerance,
+        `${message}: pixel ${i} is ${v}, expected ${expected[i]}`));
+}
+
+test('borderIndex maps coordinates past either edge for every border mode', () => {
+    // clamp repeats the edge pixel, reflect mirrors including it, wrap tiles, zero pads
+    assert.deepStrictEqual([-2, -1, 4, 5].map(i => Convolution.borderIndex(i, 4, 'clamp')), [0, 0, 3, 3]);
+    assert.deepStrictEqual([-2, -1, 4, 5].map(i => Convolution.borderIndex(i, 4, 'reflect')), [1, 0, 3, 2]);
+    assert.deepStrictEqual([-2, -1, 4, 5].map(i => Convolution.borderIndex(i, 4, 'wrap')), [2, 3, 0, 1]);
+    assert.deepStrictEqual([-2, -1, 4, 5].map(i => Convolution.borderIndex(i, 4, 'zero')), [-1, -1, -1, -1]);
+    assert.strictEqual(Convolution.borderIndex(2, 4, 'zero'), 2);
+});
+
+test('convolve reads past the left edge according to the border mode', () => {
+    // Row 10 20 30 40; the kernel copies the pixel two to the left
+    const src = grayImage(4, 1, x => (x + 1) * 10);
+    const values = new Array(25).fill(0);
+    values[2 * 5 + 0] = 1;
+    const kernel = { size: 5, values };
+
+    const expected = {
+        clamp: [10, 10, 10, 20],
+        reflect: [20, 10, 10, 20],
+        wrap: [30, 40, 10, 20],
+        zero: [0, 0, 10, 20]
+    };
+    Object.keys(expected).forEach(border => {
+        assert.deepStrictEqual(firstChannel(Convolution.convolve(src, kernel, { border })), expected[border], border);
+    });
+});
+
+test('the separable path matches the full 2D convolution', () => {
+    const src = grayImage(9, 7, (x, y) => (x * 53 + y * 97 + x * y * 11) % 256);
+    const gaussian = Convolution.gaussianKernel(5);
+    const box = Convolution.preset('box', 3).kernel;
+    assert.ok(Convolution.separate(gaussian));
+    assert.ok(Convolution.separate(box));
+
+    ['clamp', 'reflect', 'wrap', 'zero'].forEach(border => {
+        [gaussian, box].forEach(kernel => {
+            assertClose(firstChannel(Convolution.convolve(src, kernel, { border })),
+                referenceConvolve(src, kernel, border), 1, `${kernel.size}x${kernel.size} ${border}`);
+        });
+    });
+});
+
+test('non-separable kernels take the 2D path with the same result', () => {
+    const src = grayImage(8, 6, (x, y) => (x * 31 + y * 71) % 256);
+    const { kernel } = Convolution.preset('sharpen', 3);
+    assert.strictEqual(Convolution.separate(kernel), null);
+    assertClose(firstChannel(Convolution.convolve(src, kernel, { border: 'reflect' })),
+        referenceConvolve(src, kernel, 'reflect'), 1, 'sharpen');
+});
+
+test('the kernel editor presets keep flat areas at their brightness', () => {
+    const flat = grayImage(7, 7, () => 100);
+    [3, 5, 7].forEach(size => {
+        ['identity', 'box', 'gaussian', 'sharpen', 'emboss'].forEach(name => {
+            const { kernel, bias } = Convolution.preset(name, size);
+            assert.ok(Math.abs(Convolution.kernelSum(kernel) - 1) < 1e-9, `${name} ${size}x${size} sums to 1`);
+            assert.strictEqual(bias, 0);
+            assert.ok(firstChannel(Convolution.convolve(flat, kernel)).every(v => v === 100), `${name} ${size}x${size}`);
+        });
+
+        // The Laplacian is zero-sum; its bias shows flat areas as mid gray
+        const { kernel, bias } = Convolution.preset('laplacian', size);
+        assert.strictEqual(Convolution.kernelSum(kernel), 0);
+        assert.ok(firstChannel(Convolution.convolve(flat, kernel, { bias })).every(v => v === 128));
+    });
+});
+
+test('normalizeKernel divides by the sum and leaves zero-sum kernels alone', () => {
+    const ones = { size: 3, values: new Array(9).fill(1) };
+    assert.deepStrictEqual(Convolution.normalizeKernel(ones).values, new Array(9).fill(1 / 9));
+    const laplacian = Convolution.preset('laplacian', 3).kernel;
+    assert.strictEqual(Convolution.normalizeKernel(laplacian), laplacian);
+
+    const flat = grayImage(5, 5, () => 60);
+    assert.ok(firstChannel(Convolution.convolve(flat, ones, { normalize: true })).every(v => v === 60));
+    assert.ok(firstChannel(Convolution.convolve(flat, ones)).every(v => v === 255));
+});
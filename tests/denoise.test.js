@@ -0,0 +1,107 @@
+// Unit tests for Denoise; run with `npm test` (node --test)
+const test = require('node:test');
+const assert = require('node:assert');
+const Denoise = require('../denoise.js');
+
+function grayImage(width, height, valueAt) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < width * height; i++) {
+        const v = valueAt(i % width, Math.floor(i / width));
+        data.set([v, v, v, 255], i * 4);
+    }
+    return { width, height, data };
+}
+
+function channel(buffer, c) {
+    return Array.from(buffer.data.filter((v, i) => i % 4 === c));
+}
+
+// Median of the clamped window around every pixel, one channel at a time
+function bruteForceMedian(src, radius, c) {
+    const { width, height } = src;
+    const clamp = (i, n) => Math.min(n - 1, Math.max(0, i));
+    const result = [];
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const window = [];
+            for (let ky = -radius; ky <= radius; ky++) {
+                for (let kx = -radius; kx <= radius; kx++) {
+                    window.push(src.data[(clamp(y + ky, height) * width + clamp(x + kx, width)) * 4 + c]);
+                }
+            }
+            window.sort((a, b) => a - b);
+            result.push(window[Math.floor(window.length / 2)]);
+        }
+    }
+    return result;
+}
+
+test('median removes a salt pixel from a flat area', () => {
+    const src = grayImage(5, 5, (x, y) => x === 2 && y === 2 ? 255 : 50);
+    assert.ok(channel(Denoise.median(src, 1), 0).every(v => v === 50));
+});
+
+test('median clamps the window at the image edges', () => {
+    // A 2x2 block in the corner fills the whole clamped 3x3 window of the corner pixel;
+    // padding with black would leave it only four of nine bright values
+    const corner = grayImage(4, 4, (x, y) => x < 2 && y < 2 ? 200 : 10);
+    assert.strictEqual(Denoise.median(corner, 1).data[0], 200);
+
+    // A lone edge pixel appears only twice in its window and is removed
+    const edge = grayImage(4, 4, (x, y) => x === 1 && y === 0 ? 200 : 10);
+    assert.strictEqual(Denoise.median(edge, 1).data[4], 10);
+});
+
+test('median matches a brute-force median on every channel', () => {
+    const width = 11;
+    const height = 9;
+    const src = { width, height, data: new Uint8ClampedArray(width * height * 4) };
+    for (let i = 0; i < width * height; i++) {
+        src.data.set([(i * 73) % 256, (i * 151 + 7) % 256, (i * i) % 256, 100], i * 4);
+    }
+
+    [1, 2, 3].forEach(radius => {
+        const out = Denoise.median(src, radius);
+        [0, 1, 2].forEach(c => {
+            assert.deepStrictEqual(channel(out, c), bruteForceMedian(src, radius, c), `radius ${radius} channel ${c}`);
+        });
+        assert.ok(channel(out, 3).every(v => v === 255));
+    });
+
+    // Filtering in place gives the same result
+    const expected = channel(Denoise.median(src, 2), 1);
+    Denoise.median(src, 2, src);
+    assert.deepStrictEqual(channel(src, 1), expected);
+});
+
+test('bilateral keeps a hard edge while smoothing a flat area', () => {
+    // Left half around 40 with mild noise, right half a flat 200
+    const noise = [0, 6, -6, 4, -4, 2, -2];
+    const src = grayImage(12, 8, (x, y) => x < 6 ? 40 + noise[(x * 3 + y * 5) % noise.length] : 200);
+    const out = channel(Denoise.bilateral(src, { radius: 2, sigmaColor: 20, sigmaSpace: 3 }), 0);
+    const before = channel(src, 0);
+
+    const spread = values => Math.max(...values) - Math.min(...values);
+    const left = values => values.filter((v, i) => i % 12 < 6);
+    assert.ok(spread(left(out)) < spread(left(before)) / 2);
+
+    // Both sides of the edge stay at their own level
+    for (let y = 0; y < 8; y++) {
+        assert.ok(Math.abs(out[y * 12 + 5] - 40) <= 4, `left of the edge, row ${y}`);
+        assert.ok(out[y * 12 + 6] >= 199, `right of the edge, row ${y}`);
+    }
+
+    // A box blur of the same radius would pull the edge pixels far toward each other
+    assert.ok(out[6] - out[5] > 150);
+});
+
+test('apply dispatches on the method and passes the source through for none', () => {
+    const src = grayImage(3, 3, (x, y) => x === 1 && y === 1 ? 255 : 0);
+    assert.strictEqual(Denoise.apply(src, { method: 'none' }), src);
+    assert.strictEqual(Denoise.apply(src, {}), src);
+    assert.strictEqual(Denoise.apply(src, { method: 'median', radius: 1 }).data[16], 0);
+
+    const flat = grayImage(4, 4, () => 90);
+    assert.ok(channel(Denoise.apply(flat, { method: 'nlm', strength: 10, searchRadius: 1, patchRadius: 1 }), 0)
+        .every(v => v === 90));
+});
@@ -0,0 +1,92 @@
+// Unit tests for EdgeDetection; run with `npm test` (node --test)
+const test = require('node:test');
+const assert = require('node:assert');
+const EdgeDetection = require('../edgeDetection.js');
+
+// Gray values of a width x height image whose columns follow the given profile
+function columnProfile(profile, height) {
+    const width = profile.length;
+    const values = new Float32Array(width * height);
+    for (let i = 0; i < values.length; i++) {
+        values[i] = profile[i % width];
+    }
+    return { values, width, height };
+}
+
+function row(array, width, y) {
+    return Array.from(array.slice(y * width, (y + 1) * width));
+}
+
+test('Sobel, Prewitt and Scharr give the full step height on both sides of a step edge', () => {
+    const { values, width, height } = columnProfile([0, 0, 0, 0, 200, 200, 200, 200], 5);
+    ['sobel', 'prewitt', 'scharr'].forEach(operator => {
+        const { gx, gy, magnitude } = EdgeDetection.gradients(values, width, height, operator);
+        for (let y = 0; y < height; y++) {
+            assert.deepStrictEqual(row(magnitude, width, y), [0, 0, 0, 200, 200, 0, 0, 0], `${operator} row ${y}`);
+            assert.ok(row(gy, width, y).every(v => v === 0));
+        }
+        // Brighter to the right is a positive horizontal gradient
+        assert.ok(gx[3] > 0);
+    });
+});
+
+test('the operators weight a diagonal step differently', () => {
+    // A bright pixel below-right of the center reaches the center only through the corner weight
+    const values = new Float32Array(9);
+    values[8] = 255;
+    const corner = operator => EdgeDetection.gradients(values, 3, 3, operator).gx[4];
+    assert.strictEqual(corner('sobel'), 255 / 4);
+    assert.strictEqual(corner('prewitt'), 255 / 3);
+    assert.strictEqual(corner('scharr'), 255 * 3 / 16);
+});
+
+test('non-maximum suppression thins a soft edge to one pixel per row', () => {
+    // gx along the row is 0 40 120 160 120 55 15 0 ..., so only column 4 is a maximum
+    const { values, width, height } = columnProfile([0, 0, 0, 40, 120, 200, 240, 255, 255, 255], 6);
+    const gradients = EdgeDetection.gradients(values, width, height, 'sobel');
+    assert.ok(row(gradients.magnitude, width, 2).filter(v => v > 0).length > 1);
+
+    const suppressed = EdgeDetection.nonMaximumSuppression(gradients, width, height);
+    for (let y = 1; y < height - 1; y++) {
+        const kept = row(suppressed, width, y).map((v, x) => v > 0 ? x : -1).filter(x => x >= 0);
+        assert.deepStrictEqual(kept, [4], `row ${y}`);
+        assert.strictEqual(suppressed[y * width + 4], 160);
+    }
+});
+
+test('hysteresis keeps weak pixels only when they connect to a strong one', () => {
+    // strong, weak, weak, gap, isolated weak, below low
+    const suppressed = Float32Array.from([90, 50, 50, 0, 50, 10, 0]);
+    assert.deepStrictEqual(Array.from(EdgeDetection.hysteresis(suppressed, 7, 1, 30, 80)), [1, 1, 1, 0, 0, 0, 0]);
+
+    // Links run through diagonal neighbours too
+    const diagonal = Float32Array.from([
+        90, 0, 0,
+        0, 40, 0,
+        0, 0, 40
+    ]);
+    assert.deepStrictEqual(Array.from(EdgeDetection.hysteresis(diagonal, 3, 3, 30, 80)), [1, 0, 0, 0, 1, 0, 0, 0, 1]);
+
+    // Without a strong pixel nothing survives
+    assert.ok(EdgeDetection.hysteresis(Float32Array.from([50, 60, 70]), 3, 1, 30, 80).every(v => v === 0));
+});
+
+test('Canny marks a straight step edge with a one-pixel line', () => {
+    const width = 16;
+    const height = 12;
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < width * height; i++) {
+        const v = i % width < 8 ? 20 : 220;
+        data.set([v, v, v, 255], i * 4);
+    }
+    const out = EdgeDetection.detect({ width, height, data }, { mode: 'canny', low: 30, high: 80 });
+
+    for (let y = 2; y < height - 2; y++) {
+        const edges = [];
+        for (let x = 0; x < width; x++) {
+            if (out.data[(y * width + x) * 4] === 255) edges.push(x);
+        }
+        assert.strictEqual(edges.length, 1, `row ${y} has ${edges}`);
+        assert.ok(edges[0] === 7 || edges[0] === 8);
+    }
+});
@@ -0,0 +1,200 @@
+// Unit tests for Morphology; run with `npm test` (node --test)
+const test = require('node:test');
+const assert = require('node:assert');
+const Morphology = require('../morphology.js');
+
+// Binary mask from rows of '#' (white) and '.' (black), and back
+function mask(rows) {
+    const width = rows[0].length;
+    const data = new Uint8ClampedArray(width * rows.length * 4);
+    rows.join('').split('').forEach((c, i) => {
+        const v = c === '#' ? 255 : 0;
+        data.set([v, v, v, 255], i * 4);
+    });
+    return { width, height: rows.length, data };
+}
+
+function rowsOf(buffer) {
+    const rows = [];
+    for (let y = 0; y < buffer.height; y++) {
+        let row = '';
+        for (let x = 0; x < buffer.width; x++) {
+            row += buffer.data[(y * buffer.width + x) * 4] === 255 ? '#' : '.';
+        }
+        rows.push(row);
+    }
+    return rows;
+}
+
+const dot = mask([
+    '.......',
+    '.......',
+    '.......',
+    '...#...',
+    '.......',
+    '.......',
+    '.......'
+]);
+
+test('dilating a single pixel stamps the structuring element', () => {
+    assert.deepStrictEqual(rowsOf(Morphology.apply(dot, { operation: 'dilate', shape: 'square', size: 3 })), [
+        '.......',
+        '.......',
+        '..###..',
+        '..###..',
+        '..###..',
+        '.......',
+        '.......'
+    ]);
+    assert.deepStrictEqual(rowsOf(Morphology.apply(dot, { operation: 'dilate', shape: 'cross', size: 3 })), [
+        '.......',
+        '.......',
+        '...#...',
+        '..###..',
+        '...#...',
+        '.......',
+        '.......'
+    ]);
+    // A 5x5 disk drops the four corners
+    assert.deepStrictEqual(rowsOf(Morphology.apply(dot, { operation: 'dilate', shape: 'disk', size: 5 })), [
+        '.......',
+        '..###..',
+        '.#####.',
+        '.#####.',
+        '.#####.',
+        '..###..',
+        '.......'
+    ]);
+});
+
+test('iterations repeat the operation', () => {
+    assert.deepStrictEqual(rowsOf(Morphology.apply(dot, { operation: 'dilate', shape: 'square', size: 3, iterations: 2 })), [
+        '.......',
+        '.#####.',
+        '.#####.',
+        '.#####.',
+        '.#####.',
+        '.#####.',
+        '.......'
+    ]);
+
+    const block = mask([
+        '.......',
+        '.#####.',
+        '.#####.',
+        '.#####.',
+        '.#####.',
+        '.#####.',
+        '.......'
+    ]);
+    assert.deepStrictEqual(rowsOf(Morphology.apply(block, { operation: 'erode', shape: 'square', size: 3, iterations: 2 })),
+        rowsOf(dot));
+    assert.deepStrictEqual(rowsOf(Morphology.apply(block, { operation: 'erode', shape: 'disk', size: 5 })), [
+        '.......',
+        '.......',
+        '.......',
+        '...#...',
+        '.......',
+        '.......',
+        '.......'
+    ]);
+});
+
+test('erosion ignores pixels outside the image', () => {
+    const full = mask(['#####', '#####', '#####']);
+    assert.deepStrictEqual(rowsOf(Morphology.apply(full, { operation: 'erode', shape: 'square', size: 3 })),
+        ['#####', '#####', '#####']);
+});
+
+test('opening removes specks smaller than the element and keeps larger shapes', () => {
+    const noisy = mask([
+        '.......',
+        '.###..#',
+        '.###...',
+        '.###...',
+        '.......',
+        '....#..',
+        '.......'
+    ]);
+    assert.deepStrictEqual(rowsOf(Morphology.apply(noisy, { operation: 'open', shape: 'square', size: 3 })), [
+        '.......',
+        '.###...',
+        '.###...',
+        '.###...',
+        '.......',
+        '.......',
+        '.......'
+    ]);
+});
+
+test('closing fills holes and gaps smaller than the element', () => {
+    const holed = mask([
+        '.........',
+        '.........',
+        '..#####..',
+        '..##.##..',
+        '..#.#.#..',
+        '..##.##..',
+        '..#####..',
+        '.........',
+        '.........'
+    ]);
+    assert.deepStrictEqual(rowsOf(Morphology.apply(holed, { operation: 'close', shape: 'square', size: 3 })), [
+        '.........',
+        '.........',
+        '..#####..',
+        '..#####..',
+        '..#####..',
+        '..#####..',
+        '..#####..',
+        '.........',
+        '.........'
+    ]);
+});
+
+test('gradient outlines a shape and top-hat keeps only small bright details', () => {
+    const square = mask([
+        '.......',
+        '.......',
+        '..###..',
+        '..###..',
+        '..###..',
+        '.......',
+        '.......'
+    ]);
+    assert.deepStrictEqual(rowsOf(Morphology.apply(square, { operation: 'gradient', shape: 'square', size: 3 })), [
+        '.......',
+        '.#####.',
+        '.#####.',
+        '.##.##.',
+        '.#####.',
+        '.#####.',
+        '.......'
+    ]);
+
+    const withDot = mask([
+        '.......',
+        '.###...',
+        '.###...',
+        '.###...',
+        '.....#.',
+        '.......',
+        '.......'
+    ]);
+    assert.deepStrictEqual(rowsOf(Morphology.apply(withDot, { operation: 'tophat', shape: 'square', size: 3 })), [
+        '.......',
+        '.......',
+        '.......',
+        '.......',
+        '.....#.',
+        '.......',
+        '.......'
+    ]);
+});
+
+test('output may be the source buffer', () => {
+    const src = mask(['.....', '.###.', '.###.', '.###.', '.....']);
+    const out = Morphology.apply(src, { operation: 'erode', shape: 'square', size: 3 }, src);
+    assert.strictEqual(out, src);
+    assert.deepStrictEqual(rowsOf(src), ['.....', '.....', '..#..', '.....', '.....']);
+});
@@ -0,0 +1,103 @@
+// Unit tests for the processing pipeline; run with `npm test` (node --test)
+const test = require('node:test');
+const assert = require('node:assert');
+const { ProcessingPipeline, buildProcessingPipeline } = require('../pipeline.js');
+const PixelCore = require('../pixelCore.js');
+
+function gradientSource(width, height) {
+    const source = PixelCore.createBuffer(width, height);
+    for (let i = 0; i < width * height; i++) {
+        source.data.set([(i * 7) % 256, (i * 13) % 256, (i * 29) % 256, 255], i * 4);
+    }
+    return source;
+}
+
+test('stages only recompute when an input or one of their parameters changes', () => {
+    let runs = 0;
+    const pipeline = new ProcessingPipeline();
+    pipeline.addInput('source');
+    pipeline.addStage('double', {
+        inputs: ['source'],
+        params: ['factor'],
+        compute: ({ source }, params) => {
+            runs++;
+            return source * (params.factor || 2);
+        }
+    });
+
+    pipeline.setInput('source', 3);
+    assert.deepStrictEqual(pipeline.run(), ['double']);
+    assert.strictEqual(pipeline.get('double'), 6);
+
+    pipeline.setParams({ factor: 2, unrelated: 1 });
+    pipeline.run();
+    pipeline.setParams({ factor: 2, unrelated: 2 });
+    assert.deepStrictEqual(pipeline.run(), []);
+    assert.strictEqual(runs, 2);
+});
+
+test('the full pipeline runs under Node and fills every image stage', () => {
+    const pipeline = buildProcessingPipeline();
+    pipeline.setInput('source', gradientSource(16, 12));
+    pipeline.setParams({ redThreshold: 128, greenThreshold: 128, blueThreshold: 128, hsvThreshold: 128, labThreshold: 128 });
+    const changed = pipeline.run();
+
+    ['grayscale', 'redChannel', 'hsvConversion', 'redThreshold', 'labThreshold', 'edges'].forEach(stage => {
+        assert.ok(changed.includes(stage), `${stage} should have run`);
+        assert.strictEqual(pipeline.get(stage).width, 16);
+    });
+});
+
+test('switching on denoising after a pass-through never writes into an old source', () => {
+    const pipeline = buildProcessingPipeline();
+    const first = gradientSource(8, 8);
+    const original = first.data.slice();
+
+    pipeline.setParams({ denoiseMethod: 'none' });
+    pipeline.setInput('source', first);
+    pipeline.run();
+    assert.strictEqual(pipeline.get('denoised'), first);
+
+    pipeline.setInput('source', gradientSource(8, 8));
+    pipeline.setParams({ denoiseMethod: 'median', denoiseRadius: 1 });
+    pipeline.run();
+
+    assert.notStrictEqual(pipeline.get('denoised'), first);
+    assert.deepStrictEqual(first.data, original);
+});
+
+test('changing the cleanup options only recomputes the panels being cleaned', () => {
+    const pipeline = buildProcessingPipeline();
+    pipeline.setInput('source', gradientSource(8, 8));
+    pipeline.setParams({ redThreshold: 128, greenThreshold: 128, redCleanup: null, greenCleanup: null });
+    pipeline.run();
+
+    pipeline.setParams({ redCleanup: { operation: 'open', shape: 'square', size: 3, iterations: 1 } });
+    pipeline.run();
+    pipeline.setParams({ redCleanup: { operation: 'open', shape: 'square', size: 3, iterations: 2 }, greenCleanup: null });
+    const changed = pipeline.run();
+
+    assert.ok(changed.includes('redThreshold'));
+    assert.ok(!changed.includes('greenThreshold'));
+});
+
+test('connected components only follow the mask they are measuring', () => {
+    const pipeline = buildProcessingPipeline();
+    pipeline.setInput('source', gradientSource(8, 8));
+    pipeline.setParams({ redThreshold: 128, hsvThreshold: 128, componentMask: 'redThreshold' });
+    pipeline.run();
+    const redBlobs = pipeline.get('components').count;
+
+    pipeline.setParams({ hsvThreshold: 40 });
+    assert.ok(!pipeline.run().includes('components'));
+
+    pipeline.setParams({ redThreshold: 0 });
+    assert.ok(pipeline.run().includes('components'));
+    assert.notStrictEqual(pipeline.get('components').count, redBlobs);
+
+    // Switching masks picks up the one changed while it was not selected
+    pipeline.setParams({ componentMask: 'hsvThreshold' });
+    assert.ok(pipeline.run().includes('components'));
+    const ConnectedComponents = require('../components.js');
+    assert.strictEqual(pipeline.get('components').count, ConnectedComponents.label(pipeline.get('hsvThreshold'), 8).count);
+});
@@ -0,0 +1,259 @@
+// Unit tests for PixelCore; run with `npm test` (node --test)
+const test = require('node:test');
+const assert = require('node:assert');
+const PixelCore = require('../pixelCore.js');
+
+// Build a buffer from a list of [r, g, b] pixels laid out in one row
+function bufferFrom(pixels) {
+    const buffer = PixelCore.createBuffer(pixels.length, 1);
+    pixels.forEach(([r, g, b], i) => {
+        buffer.data.set([r, g, b, 255], i * 4);
+    });
+    return buffer;
+}
+
+function pixelAt(buffer, index) {
+    return Array.from(buffer.data.slice(index * 4, index * 4 + 4));
+}
+// Gray buffer from rows of values, and the first channel of a buffer as a flat array
+function grayBuffer(rows) {
+    const buffer = PixelCore.createBuffer(rows[0].length, rows.length);
+    rows.flat().forEach((v, i) => {
+        buffer.data.set([v, v, v, 255], i * 4);
+    });
+    return buffer;
+}
+
+function firstChannel(buffer) {
+    return Array.from(buffer.data.filter((v, i) => i % 4 === 0));
+}
+// 256-bin histogram with the given counts at the given values
+function histogramOf(counts) {
+    const hist = new Uint32Array(256);
+    Object.keys(counts).forEach(v => {
+        hist[v] = counts[v];
+    });
+    return hist;
+}
+
+test('grayscaleWithBrightness uses luma weights, adds 20% and clamps at 255', () => {
+    const out = PixelCore.grayscaleWithBrightness(bufferFrom([[100, 100, 100], [255, 0, 0], [250, 250, 250]]));
+    assert.deepStrictEqual(pixelAt(out, 0), [120, 120, 120, 255]);
+    assert.deepStrictEqual(pixelAt(out, 1), [91, 91, 91, 255]); // 0.299 * 255 * 1.2 = 91.5, truncated
+    assert.deepStrictEqual(pixelAt(out, 2), [255, 255, 255, 255]);
+});
+
+test('extractChannel keeps one channel and zeroes the others', () => {
+    const src = bufferFrom([[10, 20, 30]]);
+    assert.deepStrictEqual(pixelAt(PixelCore.extractChannel(src, 0), 0), [10, 0, 0, 255]);
+    assert.deepStrictEqual(pixelAt(PixelCore.extractChannel(src, 1), 0), [0, 20, 0, 255]);
+    assert.deepStrictEqual(pixelAt(PixelCore.extractChannel(src, 2), 0), [0, 0, 30, 255]);
+});
+
+test('channelThreshold is white only above the threshold', () => {
+    const out = PixelCore.channelThreshold(bufferFrom([[128, 0, 0], [129, 0, 0]]), 128, 0);
+    assert.deepStrictEqual(pixelAt(out, 0), [0, 0, 0, 255]);
+    assert.deepStrictEqual(pixelAt(out, 1), [255, 255, 255, 255]);
+});
+
+test('otsuThreshold splits a bimodal histogram at the top of the lower mode', () => {
+    // Every split between the modes gives the same between-class variance; the first one wins
+    const hist = histogramOf({ 40: 30, 50: 60, 60: 30, 190: 20, 200: 40, 210: 20 });
+    assert.strictEqual(PixelCore.otsuThreshold(hist), 60);
+});
+
+test('otsuThreshold maximises the between-class variance', () => {
+    // t = 10: 2 * 2 * (10 - 25)² = 900; t = 20: 3 * 1 * (13.3 - 30)² = 833
+    assert.strictEqual(PixelCore.otsuThreshold(histogramOf({ 10: 2, 20: 1, 30: 1 })), 10);
+});
+
+test('triangleThreshold finds the knee of a skewed histogram on its longer side', () => {
+    // Peak of 100 at 10 and a flat tail of 1 up to 100: the distance to the line from
+    // (10, 100) to (100, 0) is largest right where the tail starts
+    const tail = {};
+    for (let v = 11; v <= 100; v++) tail[v] = 1;
+    assert.strictEqual(PixelCore.triangleThreshold(histogramOf({ 10: 100, ...tail })), 11);
+
+    // Mirrored: the tail runs down to the dark end
+    const darkTail = {};
+    for (let v = 155; v <= 244; v++) darkTail[v] = 1;
+    assert.strictEqual(PixelCore.triangleThreshold(histogramOf({ 245: 100, ...darkTail })), 244);
+});
+
+test('percentileThreshold handles 0, 100 and out-of-range percentages', () => {
+    const hist = histogramOf({ 20: 25, 40: 25, 60: 25, 80: 25 });
+    assert.strictEqual(PixelCore.percentileThreshold(hist, 0), 0);
+    assert.strictEqual(PixelCore.percentileThreshold(hist, 25), 20);
+    assert.strictEqual(PixelCore.percentileThreshold(hist, 26), 40);
+    assert.strictEqual(PixelCore.percentileThreshold(hist, 100), 80);
+    assert.strictEqual(PixelCore.percentileThreshold(hist, 150), 80);
+    assert.strictEqual(PixelCore.percentileThreshold(hist, -10), 0);
+});
+
+test('auto thresholds of an all-equal image stay on its value', () => {
+    const hist = histogramOf({ 77: 64 });
+    assert.strictEqual(PixelCore.percentileThreshold(hist, 1), 77);
+    assert.strictEqual(PixelCore.percentileThreshold(hist, 50), 77);
+    assert.strictEqual(PixelCore.percentileThreshold(hist, 100), 77);
+    assert.strictEqual(PixelCore.triangleThreshold(hist), 77);
+});
+
+test('autoThreshold dispatches by method and falls back to 128 for an empty histogram', () => {
+    const hist = histogramOf({ 10: 2, 20: 1, 30: 1 });
+    assert.strictEqual(PixelCore.autoThreshold(hist, 'otsu'), 10);
+    assert.strictEqual(PixelCore.autoThreshold(hist, 'percentile', 75), 20);
+    ['otsu', 'triangle', 'percentile'].forEach(method => {
+        assert.strictEqual(PixelCore.autoThreshold(new Uint32Array(256), method), 128);
+    });
+    assert.throws(() => PixelCore.autoThreshold(hist, 'median'), /Unknown auto threshold method/);
+});
+
+// Straightforward reference for the adaptive methods: statistics over the window
+// clipped at the border, computed pixel by pixel
+function windowStats(values, width, height, x, y, radius) {
+    const window = [];
+    for (let wy = Math.max(0, y - radius); wy <= Math.min(height - 1, y + radius); wy++) {
+        for (let wx = Math.max(0, x - radius); wx <= Math.min(width - 1, x + radius); wx++) {
+            window.push(values[wy * width + wx]);
+        }
+    }
+    const mean = window.reduce((sum, v) => sum + v, 0) / window.length;
+    const variance = window.reduce((sum, v) => sum + v * v, 0) / window.length - mean * mean;
+    return { mean, std: Math.sqrt(Math.max(0, variance)) };
+}
+
+function boxMeanReference(values, width, height, radius) {
+    return values.map((v, i) => windowStats(values, width, height, i % width, Math.floor(i / width), radius).mean);
+}
+
+// Deterministic gray test image with structure at several scales
+function textureRows(width, height) {
+    const rows = [];
+    for (let y = 0; y < height; y++) {
+        const row = [];
+        for (let x = 0; x < width; x++) {
+            row.push((x * 37 + y * 91 + ((x * y) % 7) * 23) % 256);
+        }
+        rows.push(row);
+    }
+    return rows;
+}
+
+test('adaptive mean compares each pixel with its clipped 3x3 window mean', () => {
+    const src = grayBuffer([[10, 20, 30], [40, 50, 60], [70, 80, 90]]);
+    // Window means: corners 30, 40, 60, 70; edges 35, 45, 55, 65; center 50
+    assert.deepStrictEqual(firstChannel(PixelCore.adaptiveThreshold(src, 0, { method: 'mean', windowSize: 3 })),
+        [0, 0, 0, 0, 0, 255, 255, 255, 255]);
+
+    // The offset C is subtracted from the mean: only the center (50 > 45) flips
+    assert.deepStrictEqual(firstChannel(PixelCore.adaptiveThreshold(src, 0, { method: 'mean', windowSize: 3, offset: 5 })),
+        [0, 0, 0, 0, 255, 255, 255, 255, 255]);
+});
+
+test('adaptive block size sets the window radius, with at least a 3x3 window', () => {
+    const rows = textureRows(9, 7);
+    const src = grayBuffer(rows);
+    const values = rows.flat();
+    const threshold = windowSize => firstChannel(PixelCore.adaptiveThreshold(src, 0, { method: 'mean', windowSize }));
+
+    assert.deepStrictEqual(threshold(1), threshold(3));
+    [3, 5, 7, 15].forEach(windowSize => {
+        const means = boxMeanReference(values, 9, 7, Math.floor(windowSize / 2));
+        assert.deepStrictEqual(threshold(windowSize), values.map((v, i) => v > means[i] ? 255 : 0), `window ${windowSize}`);
+    });
+});
+
+test('adaptive Gaussian matches three box passes with the radius for sigma = window / 6', () => {
+    const rows = textureRows(12, 10);
+    const src = grayBuffer(rows);
+    const values = rows.flat();
+
+    // windowSize 15: sigma 2.5, box radius round((sqrt(4 * 2.5² + 1) - 1) / 2) = 2
+    let smoothed = values;
+    for (let pass = 0; pass < 3; pass++) {
+        smoothed = boxMeanReference(smoothed, 12, 10, 2);
+    }
+    const expected = values.map((v, i) => v > smoothed[i] - 4 ? 255 : 0);
+    const out = PixelCore.adaptiveThreshold(src, 0, { method: 'gaussian', windowSize: 15, offset: 4 });
+    assert.deepStrictEqual(firstChannel(out), expected);
+});
+
+test('Niblack and Sauvola use the window mean and standard deviation', () => {
+    const rows = textureRows(9, 7);
+    const src = grayBuffer(rows);
+    const values = rows.flat();
+    const formulas = {
+        niblack: ({ mean, std }, k) => mean - k * std,
+        sauvola: ({ mean, std }, k) => mean * (1 + k * (std / 128 - 1))
+    };
+
+    Object.keys(formulas).forEach(method => {
+        [{ k: 0.2, offset: 0 }, { k: 0.5, offset: 10 }, { k: -0.3, offset: -5 }].forEach(({ k, offset }) => {
+            const expected = values.map((v, i) => {
+                const stats = windowStats(values, 9, 7, i % 9, Math.floor(i / 9), 2);
+                return v > formulas[method](stats, k) - offset ? 255 : 0;
+            });
+            const out = PixelCore.adaptiveThreshold(src, 0, { method, windowSize: 5, k, offset });
+            assert.deepStrictEqual(firstChannel(out), expected, `${method} k=${k} offset=${offset}`);
+        });
+    });
+});
+
+test('Niblack on a hand-computed 3x3 window', () => {
+    // Center window 10..90: mean 50, std sqrt(28500 / 9 - 2500) = 25.82
+    const src = grayBuffer([[10, 20, 30], [40, 50, 60], [70, 80, 90]]);
+    const center = (k) => firstChannel(PixelCore.adaptiveThreshold(src, 0, { method: 'niblack', windowSize: 3, k }))[4];
+    assert.strictEqual(center(0.2), 255);  // T = 50 - 5.16
+    assert.strictEqual(center(-0.2), 0);   // T = 50 + 5.16
+});
+
+test('adaptiveThreshold rejects unknown methods', () => {
+    assert.throws(() => PixelCore.adaptiveThreshold(grayBuffer([[1, 2], [3, 4]]), 0, { method: 'median' }),
+        /Unknown adaptive threshold method/);
+});
+
+test('output buffers are reused when the size matches', () => {
+    const src = bufferFrom([[1, 2, 3], [4, 5, 6]]);
+    const output = PixelCore.createBuffer(2, 1);
+    assert.strictEqual(PixelCore.extractChannel(src, 0, output), output);
+    assert.notStrictEqual(PixelCore.extractChannel(src, 0, PixelCore.createBuffer(3, 1)), output);
+});
+
+test('rgbToHsv returns hue in degrees and saturation/value in bytes', () => {
+    assert.deepStrictEqual(PixelCore.rgbToHsv(255, 0, 0), [0, 255, 255]);
+    assert.deepStrictEqual(PixelCore.rgbToHsv(0, 255, 0), [120, 255, 255]);
+    assert.deepStrictEqual(PixelCore.rgbToHsv(0, 0, 255), [240, 255, 255]);
+    assert.deepStrictEqual(PixelCore.rgbToHsv(128, 128, 128), [0, 0, 128]);
+});
+
+test('convertToHSV scales hue into 0-255', () => {
+    const out = PixelCore.convertToHSV(bufferFrom([[0, 0, 255]]));
+    assert.deepStrictEqual(pixelAt(out, 0), [170, 255, 255, 255]);
+});
+
+test('rgbToLabValues matches reference values for white, black and red', () => {
+    const close = (actual, expected) => actual.forEach((v, i) => assert.ok(Math.abs(v - expected[i]) < 0.1,
+        `${actual} should be close to ${expected}`));
+    close(PixelCore.rgbToLabValues(255, 255, 255), [100, 0, 0]);
+    close(PixelCore.rgbToLabValues(0, 0, 0), [0, 0, 0]);
+    close(PixelCore.rgbToLabValues(255, 0, 0), [53.24, 80.09, 67.20]);
+});
+
+test('convertToLab stores L, a and b as bytes', () => {
+    const out = PixelCore.convertToLab(bufferFrom([[255, 255, 255], [0, 0, 0]]));
+    const [whiteL, whiteA, whiteB] = pixelAt(out, 0);
+    const [blackL, blackA, blackB] = pixelAt(out, 1);
+    assert.strictEqual(whiteL, 255);
+    assert.strictEqual(blackL, 0);
+    // Neutral colors sit at a = b = 0, which is byte 127.5
+    [whiteA, whiteB, blackA, blackB].forEach(value => assert.ok(Math.abs(value - 127.5) <= 1));
+});
+
+test('Lab and HSV conversions round-trip through their inverses', () => {
+    [[200, 120, 80], [12, 200, 99], [255, 255, 0]].forEach(([r, g, b]) => {
+        const [h, s, v] = PixelCore.rgbToHsv(r, g, b);
+        PixelCore.hsvToRgb(h, s, v).forEach((value, i) => assert.ok(Math.abs(value - [r, g, b][i]) <= 2));
+        const [L, a, bLab] = PixelCore.rgbToLabValues(r, g, b);
+        PixelCore.labValuesToRgb(L, a, bLab).forEach((value, i) => assert.ok(Math.abs(value - [r, g, b][i]) <= 1));
+    });
+});
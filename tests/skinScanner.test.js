@@ -0,0 +1,72 @@
+// Unit tests for SkinScanner; run with `npm test` (node --test)
+const test = require('node:test');
+const assert = require('node:assert');
+const SkinScanner = require('../skinScanner.js');
+
+const SKIN = [200, 150, 120];
+const BLUE = [40, 80, 200];
+
+// RGBA buffer filled with one color, then painted with the given rectangles
+function paint(width, height, background, rects = []) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < width * height; i++) {
+        data.set([...background, 255], i * 4);
+    }
+    rects.forEach(({ x, y, w, h, color }) => {
+        for (let py = y; py < y + h; py++) {
+            for (let px = x; px < x + w; px++) {
+                data.set([...color, 255], (py * width + px) * 4);
+            }
+        }
+    });
+    return { width, height, data };
+}
+
+test('isSkinTone accepts light to dark skin and rejects grays and blues', () => {
+    assert.ok(SkinScanner.isSkinTone(...SKIN));
+    assert.ok(SkinScanner.isSkinTone(120, 80, 50));
+    assert.ok(SkinScanner.isSkinTone(70, 45, 30));
+    assert.ok(!SkinScanner.isSkinTone(128, 128, 128));
+    assert.ok(!SkinScanner.isSkinTone(...BLUE));
+    assert.ok(!SkinScanner.isSkinTone(20, 10, 5));
+});
+
+test('skinDensity is the skin fraction of a region, clipped to the image', () => {
+    const img = paint(10, 10, BLUE, [{ x: 0, y: 0, w: 5, h: 10, color: SKIN }]);
+    assert.strictEqual(SkinScanner.skinDensity(img, 0, 0, 10, 10), 0.5);
+    assert.strictEqual(SkinScanner.skinDensity(img, 0, 0, 5, 5), 1);
+    assert.strictEqual(SkinScanner.skinDensity(img, 5, 0, 5, 10), 0);
+    // Only the 7x10 part inside the image counts, two columns of it skin
+    assert.strictEqual(SkinScanner.skinDensity(img, 3, 0, 20, 20), 2 / 7);
+});
+
+test('skinMask marks skin pixels white', () => {
+    const img = paint(4, 1, BLUE, [{ x: 1, y: 0, w: 2, h: 1, color: SKIN }]);
+    const mask = SkinScanner.skinMask(img);
+    assert.deepStrictEqual(Array.from(mask.data.filter((v, i) => i % 4 === 0)), [0, 255, 255, 0]);
+    assert.ok(mask.data.filter((v, i) => i % 4 === 3).every(v => v === 255));
+});
+
+test('skinBlobCandidates keeps upright, well filled blobs only', () => {
+    const img = paint(48, 24, BLUE, [
+        // Face-like block, aspect 10/12
+        { x: 1, y: 2, w: 10, h: 12, color: SKIN },
+        // Tall strip, aspect 4/16
+        { x: 14, y: 2, w: 4, h: 16, color: SKIN },
+        // Hollow square, fill 44/144
+        { x: 22, y: 2, w: 12, h: 1, color: SKIN },
+        { x: 22, y: 13, w: 12, h: 1, color: SKIN },
+        { x: 22, y: 3, w: 1, h: 10, color: SKIN },
+        { x: 33, y: 3, w: 1, h: 10, color: SKIN }
+    ]);
+
+    const candidates = SkinScanner.skinBlobCandidates(img);
+    assert.deepStrictEqual(candidates, [
+        { region: { x: 1, y: 2, width: 10, height: 12 }, ratio: 1, area: 120 }
+    ]);
+
+    // The face size limits apply to both sides of the box
+    assert.strictEqual(SkinScanner.skinBlobCandidates(img, { minFaceSize: 11 }).length, 0);
+    assert.strictEqual(SkinScanner.skinBlobCandidates(img, { maxFaceSize: 11 }).length, 0);
+    assert.strictEqual(SkinScanner.skinBlobCandidates(img, { minFaceSize: 10, maxFaceSize: 12 }).length, 1);
+});
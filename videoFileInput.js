@@ -0,0 +1,258 @@
+// Video File Input for Image Processing Application
+// Plays a local video file as the pipeline source. Pausing, seeking and stepping
+// frame by frame run the exact frame shown through processImages(), so face
+// detection failures can be replayed.
+class VideoFileController {
+    constructor() {
+        this.videoElement = null;
+        this.isActive = false;     // The video file is the input instead of the camera
+        this.fileName = '';
+        this.frameRate = 30;       // Used for frame stepping; browsers don't expose the file's rate
+        this.objectUrl = null;
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        const openBtn = document.getElementById('openVideoBtn');
+        const fileInput = document.getElementById('videoFileInput');
+
+        if (openBtn && fileInput) {
+            openBtn.addEventListener('click', () => {
+                fileInput.click();
+            });
+        }
+
+        if (fileInput) {
+            fileInput.addEventListener('change', (e) => {
+                if (e.target.files.length > 0) {
+                    this.loadFile(e.target.files[0]);
+                }
+                e.target.value = '';
+            });
+        }
+
+        const playBtn = document.getElementById('videoPlayBtn');
+        if (playBtn) {
+            playBtn.addEventListener('click', () => {
+                this.togglePlay();
+            });
+        }
+
+        const backBtn = document.getElementById('videoStepBack');
+        if (backBtn) {
+            backBtn.addEventListener('click', () => {
+                this.stepFrame(-1);
+            });
+        }
+
+        const forwardBtn = document.getElementById('videoStepForward');
+        if (forwardBtn) {
+            forwardBtn.addEventListener('click', () => {
+                this.stepFrame(1);
+            });
+        }
+
+        const closeBtn = document.getElementById('videoCloseBtn');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => {
+                inputSource.select('webcam');
+                uiController.updateStatusText('Video closed - back to camera');
+            });
+        }
+
+        const seekSlider = document.getElementById('videoSeek');
+        if (seekSlider) {
+            seekSlider.addEventListener('input', (e) => {
+                this.seek(parseFloat(e.target.value));
+            });
+        }
+
+        const frameRateInput = document.getElementById('videoFrameRate');
+        if (frameRateInput) {
+            frameRateInput.addEventListener('change', (e) => {
+                const fps = parseFloat(e.target.value);
+                if (fps > 0) {
+                    this.frameRate = fps;
+                }
+            });
+        }
+    }
+
+    loadFile(file) {
+        if (!file || !file.type.startsWith('video/')) {
+            uiController.updateStatusText(`Unsupported file type: ${file ? file.type || file.name : 'none'}`);
+            return;
+        }
+
+        console.log(`=== LOADING VIDEO FILE: ${file.name} ===`);
+        this.close();
+
+        if (liveModeController && liveModeController.isLive) {
+            liveModeController.stop();
+        }
+
+        const videoElement = document.createElement('video');
+        videoElement.muted = true;
+        videoElement.playsInline = true;
+        videoElement.preload = 'auto';
+
+        this.objectUrl = URL.createObjectURL(file);
+        this.videoElement = videoElement;
+        this.fileName = file.name;
+
+        videoElement.addEventListener('loadeddata', () => {
+            inputSource.select('video');
+            this.isActive = true;
+            this.showControls(true);
+            this.updateTimeDisplay();
+            uiController.updateStatusText(`Loaded ${file.name} (${videoElement.videoWidth}x${videoElement.videoHeight}, ` +
+                                          `${videoElement.duration.toFixed(1)}s)`);
+            this.processCurrentFrame();
+        });
+
+        videoElement.addEventListener('error', () => {
+            console.error("Error loading video file:", videoElement.error);
+            uiController.updateStatusText(`Error loading video: ${file.name} could not be decoded`);
+            this.close();
+        });
+
+        // Paused seeks (slider, frame steps) are processed once the frame is available
+        videoElement.addEventListener('seeked', () => {
+            this.updateTimeDisplay();
+            if (videoElement.paused) {
+                this.processCurrentFrame();
+            }
+        });
+
+        videoElement.addEventListener('timeupdate', () => {
+            this.updateTimeDisplay();
+        });
+
+        videoElement.addEventListener('pause', () => {
+            this.updatePlayButton();
+            if (!videoElement.seeking) {
+                this.processCurrentFrame();
+            }
+        });
+
+        videoElement.addEventListener('play', () => {
+            this.updatePlayButton();
+        });
+
+        videoElement.src = this.objectUrl;
+    }
+
+    isPlaying() {
+        return this.isActive && !this.videoElement.paused && !this.videoElement.ended;
+    }
+
+    togglePlay() {
+        if (!this.isActive) return;
+
+        if (this.videoElement.paused) {
+            this.videoElement.play().catch(error => {
+                console.error("Error playing video:", error);
+                uiController.updateStatusText('Error playing video: ' + error.message);
+            });
+        } else {
+            this.videoElement.pause();
+        }
+    }
+
+    seek(time) {
+        if (!this.isActive) return;
+        this.videoElement.currentTime = Math.max(0, Math.min(this.videoElement.duration, time));
+    }
+
+    // Move exactly one frame; stepping always pauses playback
+    stepFrame(direction) {
+        if (!this.isActive) return;
+
+        this.videoElement.pause();
+        const frame = this.getFrameNumber() + direction;
+        // Aim for the middle of the frame so rounding never lands on its neighbour
+        this.seek((Math.max(0, frame) + 0.5) / this.frameRate);
+    }
+
+    getFrameNumber() {
+        return this.isActive ? Math.floor(this.videoElement.currentTime * this.frameRate) : 0;
+    }
+
+    // Draw the current video frame into the pooled capture buffer
+    grabFrame() {
+        return imageInputController.fitToResolution(this.videoElement,
+            this.videoElement.videoWidth, this.videoElement.videoHeight);
+    }
+
+    // Called from draw() while playing so the original panel follows the video
+    drawPreview() {
+        if (!this.isPlaying() || !canvases.original) return;
+        // Drawn straight to the panel so the pooled capture buffer is left untouched
+        imageInputController.drawFitted(canvases.original, this.videoElement,
+            this.videoElement.videoWidth, this.videoElement.videoHeight,
+            imageProcessor.width, imageProcessor.height);
+    }
+
+    // Run the frame currently shown through the whole pipeline and face detection
+    processCurrentFrame() {
+        if (!this.isActive) return Promise.resolve();
+
+        capturedImage = this.grabFrame();
+        displayImageOnCanvas(capturedImage, 'original');
+        uiController.updateStatusText(`Processing frame ${this.getFrameNumber()} ` +
+                                      `(${this.videoElement.currentTime.toFixed(3)}s) of ${this.fileName}`);
+        return processImages();
+    }
+
+    // Release the video; called by the source switcher when another source takes over
+    close() {
+        if (this.videoElement) {
+            this.videoElement.pause();
+            this.videoElement.removeAttribute('src');
+            this.videoElement.load();
+            this.videoElement = null;
+        }
+        if (this.objectUrl) {
+            URL.revokeObjectURL(this.objectUrl);
+            this.objectUrl = null;
+        }
+        this.isActive = false;
+        this.showControls(false);
+    }
+
+    showControls(visible) {
+        const controls = document.getElementById('videoControls');
+        if (controls) {
+            controls.style.display = visible ? 'flex' : 'none';
+        }
+    }
+
+    updatePlayButton() {
+        const playBtn = document.getElementById('videoPlayBtn');
+        if (playBtn && this.videoElement) {
+            playBtn.textContent = this.videoElement.paused ? '▶ Play' : '⏸ Pause';
+        }
+    }
+
+    updateTimeDisplay() {
+        if (!this.videoElement) return;
+
+        const seekSlider = document.getElementById('videoSeek');
+        if (seekSlider) {
+            seekSlider.max = this.videoElement.duration || 0;
+            seekSlider.value = this.videoElement.currentTime;
+        }
+
+        const timeDisplay = document.getElementById('videoTime');
+        if (timeDisplay) {
+            timeDisplay.textContent = `${this.videoElement.currentTime.toFixed(2)}s / ` +
+                                      `${(this.videoElement.duration || 0).toFixed(2)}s · frame ${this.getFrameNumber()}`;
+        }
+    }
+}
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VideoFileController;
+}
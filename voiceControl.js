@@ -32,6 +32,8 @@ class VoiceController {
             'face filter three': () => this.executeCommand('faceFilter', 3),
             'pixelate face': () => this.executeCommand('faceFilter', 4),
             'face filter four': () => this.executeCommand('faceFilter', 4),
+            'edge face': () => this.executeCommand('faceFilter', 5),
+            'face filter five': () => this.executeCommand('faceFilter', 5),
             
             // Threshold adjustments
             'increase red threshold': () => this.executeCommand('adjustThreshold', 'red', 10),
@@ -41,6 +43,16 @@ class VoiceController {
             'increase blue threshold': () => this.executeCommand('adjustThreshold', 'blue', 10),
             'decrease blue threshold': () => this.executeCommand('adjustThreshold', 'blue', -10),
             'reset thresholds': () => this.executeCommand('resetThresholds'),
+            'auto red threshold': () => this.executeCommand('autoThreshold', 'red'),
+            'auto green threshold': () => this.executeCommand('autoThreshold', 'green'),
+            'auto blue threshold': () => this.executeCommand('autoThreshold', 'blue'),
+            'auto hsv threshold': () => this.executeCommand('autoThreshold', 'hsv'),
+            'auto lab threshold': () => this.executeCommand('autoThreshold', 'lab'),
+            'manual red threshold': () => this.executeCommand('manualThreshold', 'red'),
+            'manual green threshold': () => this.executeCommand('manualThreshold', 'green'),
+            'manual blue threshold': () => this.executeCommand('manualThreshold', 'blue'),
+            'manual hsv threshold': () => this.executeCommand('manualThreshold', 'hsv'),
+            'manual lab threshold': () => this.executeCommand('manualThreshold', 'lab'),
             
             // System commands
             'help': () => this.executeCommand('help'),
@@ -375,7 +387,7 @@ class VoiceController {
                     
                 case 'faceFilter':
                     const filterValue = params[0];
-                    if (filterValue >= 0 && filterValue <= 4) {
+                    if (filterValue >= 0 && filterValue <= 5) {
                         if (typeof currentFaceFilter !== 'undefined') {
                             currentFaceFilter = filterValue;
                         }
@@ -391,7 +403,7 @@ class VoiceController {
                             processFaceDetection();
                         }
                         
-                        const filterNames = ['Original', 'Grayscale', 'Blur', 'Color Space', 'Pixelate'];
+                        const filterNames = ['Original', 'Grayscale', 'Blur', 'Color Space', 'Pixelate', 'Edges'];
                         this.showFeedback(`Face filter: ${filterNames[filterValue]}`, 'success');
                         this.addSuccessState();
                     }
@@ -413,6 +425,14 @@ class VoiceController {
                     this.resetAllThresholds();
                     break;
                     
+                case 'autoThreshold':
+                    this.setThresholdMode(params[0], 'auto');
+                    break;
+                    
+                case 'manualThreshold':
+                    this.setThresholdMode(params[0], 'manual');
+                    break;
+                    
                 case 'help':
                     this.showHelpCommands();
                     break;
@@ -484,10 +504,39 @@ class VoiceController {
         }
     }
 
+    // 'auto' keeps an already chosen auto method and defaults to Otsu
+    setThresholdMode(channel, mode) {
+        const modeSelect = document.getElementById(`${channel}ThresholdMode`);
+
+        // Disabled while the panel uses an adaptive or range threshold
+        if (modeSelect && modeSelect.disabled) {
+            this.showFeedback(`${channel} threshold is not global; switch it to global to use ${mode} mode`, 'warning');
+        } else if (modeSelect) {
+            if (mode === 'auto') {
+                mode = modeSelect.value !== 'manual' ? modeSelect.value : 'otsu';
+            }
+            modeSelect.value = mode;
+            
+            // Trigger change event
+            modeSelect.dispatchEvent(new Event('change'));
+            
+            this.showFeedback(`${channel} threshold: ${mode}`, 'success');
+            this.addSuccessState();
+        } else {
+            this.showFeedback(`Cannot change ${channel} threshold mode`, 'error');
+            this.addErrorState();
+        }
+    }
+
     resetAllThresholds() {
         const channels = ['red', 'green', 'blue', 'hsv', 'lab'];
         
         channels.forEach(channel => {
+            const modeSelect = document.getElementById(`${channel}ThresholdMode`);
+            if (modeSelect && modeSelect.value !== 'manual') {
+                modeSelect.value = 'manual';
+                modeSelect.dispatchEvent(new Event('change'));
+            }
             this.setThresholdValue(channel, 128);
         });
         
@@ -503,10 +552,12 @@ Voice Commands Available:
 • "grayscale face" - Apply grayscale filter
 • "blur face" - Apply blur filter
 • "pixelate face" - Apply pixelate filter
+• "edge face" - Apply edge detection filter
 • "original face" - Remove filters
 • "increase/decrease [color] threshold"
 • "set [color] threshold to [number]"
 • "reset thresholds"
+• "auto/manual [color] threshold"
 • "stop listening" - Stop voice recognition
 • "help" - Show this help
         `.trim();
@@ -0,0 +1,150 @@
+// Worker Bridge for Image Processing Application
+// Main-thread side of the processing worker protocol (see processingWorker.js).
+// Falls back to synchronous processing when workers are unavailable.
+class ProcessingWorkerBridge {
+    constructor(scriptUrl, onStages) {
+        this.worker = null;
+        this.isAvailable = false;
+        this.onStages = onStages;    // Draws stage results as they arrive
+        this.requests = new Map();   // id -> { resolve, reject }
+        this.nextRequestId = 1;
+
+        // Only one process request is in flight; later ones are merged while it runs
+        this.processInFlight = false;
+        this.queuedProcess = null;
+
+        this.initializeWorker(scriptUrl);
+    }
+
+    initializeWorker(scriptUrl) {
+        if (typeof Worker === 'undefined') {
+            console.warn('Web Workers not supported - processing on the main thread');
+            return;
+        }
+
+        try {
+            this.worker = new Worker(scriptUrl);
+            this.worker.onmessage = (event) => this.handleMessage(event.data);
+            this.worker.onerror = (event) => {
+                console.error('Processing worker failed, falling back to main thread:', event.message);
+                this.disable(new Error(event.message || 'Processing worker failed'));
+            };
+            this.isAvailable = true;
+            console.log('Processing worker started');
+        } catch (error) {
+            // e.g. pages opened from file:// cannot start workers
+            console.warn('Could not start processing worker - processing on the main thread:', error);
+            this.worker = null;
+        }
+    }
+
+    // Stop using the worker and reject everything still waiting on it
+    disable(error) {
+        this.isAvailable = false;
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+
+        this.requests.forEach(request => request.reject(error));
+        this.requests.clear();
+        if (this.queuedProcess) {
+            this.queuedProcess.reject(error);
+            this.queuedProcess = null;
+        }
+        this.processInFlight = false;
+    }
+
+    send(message, transfer = []) {
+        return new Promise((resolve, reject) => {
+            if (!this.isAvailable) {
+                reject(new Error('Processing worker not available'));
+                return;
+            }
+
+            const id = this.nextRequestId++;
+            this.requests.set(id, { resolve, reject });
+            this.worker.postMessage(Object.assign({ id }, message), transfer);
+        });
+    }
+
+    handleMessage(message) {
+        const request = this.requests.get(message.id);
+        if (!request) return;
+        this.requests.delete(message.id);
+
+        if (message.type === 'error') {
+            request.reject(new Error(message.message));
+        } else if (message.type === 'result') {
+            request.resolve(message.stages);
+        } else if (message.type === 'faces') {
+            request.resolve(message.candidates);
+        }
+    }
+
+    // Copy a frame into a transferable message payload; the caller keeps its own buffer
+    packFrame(frame, transfer) {
+        const data = new Uint8ClampedArray(frame.data);
+        transfer.push(data.buffer);
+        return { width: frame.width, height: frame.height, data: data };
+    }
+
+    // Run the pipeline in the worker; frame is optional when only parameters changed
+    process(frame, params) {
+        if (this.queuedProcess) {
+            // Merge into the queued request: keep the newest frame and parameters
+            if (frame) this.queuedProcess.frame = frame;
+            this.queuedProcess.params = params;
+            return this.queuedProcess.promise;
+        }
+
+        const job = { frame, params };
+        job.promise = new Promise((resolve, reject) => {
+            job.resolve = resolve;
+            job.reject = reject;
+        });
+
+        if (this.processInFlight) {
+            this.queuedProcess = job;
+        } else {
+            this.sendProcess(job);
+        }
+        return job.promise;
+    }
+
+    sendProcess(job) {
+        this.processInFlight = true;
+
+        const transfer = [];
+        const message = { type: 'process', params: job.params };
+        if (job.frame) {
+            message.frame = this.packFrame(job.frame, transfer);
+        }
+
+        this.send(message, transfer)
+            .then(stages => {
+                this.onStages(stages);
+                job.resolve(Object.keys(stages));
+            })
+            .catch(error => job.reject(error))
+            .finally(() => {
+                this.processInFlight = false;
+                if (this.queuedProcess && this.isAvailable) {
+                    const next = this.queuedProcess;
+                    this.queuedProcess = null;
+                    this.sendProcess(next);
+                }
+            });
+    }
+
+    // Run the manual skin-tone face search in the worker
+    scanFaces(frame, options) {
+        const transfer = [];
+        return this.send({ type: 'scanFaces', frame: this.packFrame(frame, transfer), options }, transfer);
+    }
+}
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProcessingWorkerBridge;
+}